@@ -0,0 +1,213 @@
+/* ---------------------------
+   Logged intake & adherence
+   The tracker reports what was actually eaten as an intake payload:
+
+   {
+     schema:    'thedietplanner.intake',
+     version:   1,
+     createdAt: ISO timestamp,
+     source:    tracker id,
+     days: { 'YYYY-MM-DD': { <slot>: { status, name?, calories?, protein?, carbs?, fat? } } },
+     checksum:  'fnv1a:xxxxxxxx' (same scheme as the plan payload)
+   }
+
+   status is 'eaten' (the planned meal; nutrition may be omitted), 'swapped'
+   (something else instead), 'skipped', or 'extra' (a slot the plan didn't
+   have). Adherence compares it with the plan; the replan adjustments feed
+   the next generatePlan call.
+--------------------------- */
+import { safeNumber, normalizeKey } from './util.mjs';
+import { parseISODate, buildPlanDays, toISODate } from './calendar.mjs';
+import { getMealId, getMealTitle } from './meals.mjs';
+import { getCalorieFloor, CALORIE_CEILING } from './energy.mjs';
+import { computePayloadChecksum } from './integration.mjs';
+
+export const INTAKE_SCHEMA = 'thedietplanner.intake';
+export const INTAKE_VERSION = 1;
+export const INTAKE_STORAGE_KEY = 'dietplanner_intake';
+export const INTAKE_STATUSES = ['eaten', 'swapped', 'skipped', 'extra'];
+
+export const MIN_LOGGED_DAYS_FOR_DRIFT = 3;
+export const DRIFT_COMPENSATION = 0.5;     // share of the observed drift taken off next week's target
+export const MAX_DRIFT_SHIFT = 300;        // kcal/day
+export const MIN_REPEATED_MISSES = 2;      // a meal must be missed this often...
+export const MISS_RATIO = 0.5;             // ...and on at least this share of the days it was planned
+
+const INTAKE_NUMBER_FIELDS = ['calories', 'protein', 'carbs', 'fat'];
+
+/* ---------------------------
+   Payload
+--------------------------- */
+export function buildIntakePayload(days, options = {}) {
+    const content = {
+        schema: INTAKE_SCHEMA,
+        version: INTAKE_VERSION,
+        createdAt: options.createdAt || new Date().toISOString(),
+        source: options.source || 'diet-tracker',
+        days
+    };
+    return { ...content, checksum: computePayloadChecksum(content) };
+}
+
+const isPlainObject = v => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+
+export function validateIntakePayload(payload) {
+    const errors = [];
+    if (!isPlainObject(payload)) return ['Intake must be a JSON object'];
+    if (payload.schema !== INTAKE_SCHEMA) errors.push(`schema must be "${INTAKE_SCHEMA}"`);
+    if (payload.version !== INTAKE_VERSION) errors.push(`version must be ${INTAKE_VERSION}`);
+    if (Number.isNaN(Date.parse(payload.createdAt))) errors.push('createdAt must be an ISO timestamp');
+    if (!isPlainObject(payload.days) || !Object.keys(payload.days).length) errors.push('days must be an object with at least one logged day');
+    else {
+        Object.entries(payload.days).forEach(([day, slots]) => {
+            if (!parseISODate(day)) errors.push(`days: "${day}" is not a YYYY-MM-DD date`);
+            if (!isPlainObject(slots)) { errors.push(`days.${day} must be an object of slots`); return; }
+            Object.entries(slots).forEach(([slot, entry]) => {
+                const where = `days.${day}.${slot}`;
+                if (!isPlainObject(entry)) { errors.push(`${where} must be an object`); return; }
+                if (!INTAKE_STATUSES.includes(entry.status)) errors.push(`${where}.status must be one of ${INTAKE_STATUSES.join(', ')}`);
+                INTAKE_NUMBER_FIELDS.forEach(f => {
+                    if (entry[f] !== undefined && !(typeof entry[f] === 'number' && Number.isFinite(entry[f]) && entry[f] >= 0)) errors.push(`${where}.${f} must be a non-negative number`);
+                });
+                if ((entry.status === 'swapped' || entry.status === 'extra') && typeof entry.calories !== 'number') errors.push(`${where} needs calories for a ${entry.status} meal`);
+            });
+        });
+    }
+    if (typeof payload.checksum !== 'string') errors.push('checksum is missing');
+    else if (payload.checksum !== computePayloadChecksum(payload)) errors.push('checksum does not match — the intake was modified or truncated');
+    return errors;
+}
+
+// JSON text or an object -> { payload, errors }; `payload` is null unless valid
+export function parseIntakePayload(input) {
+    let raw = input;
+    if (typeof input === 'string') {
+        try { raw = JSON.parse(input); } catch (err) { return { payload: null, errors: ['Not valid JSON'] }; }
+    }
+    const errors = validateIntakePayload(raw);
+    return { payload: errors.length ? null : raw, errors };
+}
+
+/* ---------------------------
+   Adherence
+--------------------------- */
+// calories actually eaten for one logged slot, given what was planned there
+function loggedCalories(entry, planned) {
+    if (entry.status === 'skipped') return 0;
+    if (typeof entry.calories === 'number') return entry.calories;
+    return entry.status === 'eaten' && planned ? safeNumber(planned.calories) : 0;
+}
+
+// -> { loggedDays, unloggedDays, days: { day: { planned, actual, drift } }, plannedSlots,
+//      eaten, swapped, skipped, extras, adherencePct, avgPlanned, avgActual, calorieDrift,
+//      slots: { slot: { planned, eaten, swapped, skipped } }, meals: [...], missedMeals: [...], swapIns: [...] }
+// Only days that are both planned and logged count; a planned slot missing
+// from a logged day counts as skipped.
+export function calculateAdherence(plan, intake) {
+    const logged = (intake && intake.days) || {};
+    const planDays = Object.keys(plan || {});
+    const loggedDays = planDays.filter(day => logged[day]);
+    const report = {
+        loggedDays, unloggedDays: planDays.filter(day => !logged[day]),
+        days: {}, plannedSlots: 0, eaten: 0, swapped: 0, skipped: 0, extras: 0,
+        slots: {}, meals: [], missedMeals: [], swapIns: []
+    };
+    const mealStats = new Map();
+    const swapIns = new Map();
+
+    loggedDays.forEach(day => {
+        const plannedMeals = plan[day] || {};
+        const entries = logged[day] || {};
+        let planned = 0;
+        let actual = 0;
+        Object.entries(plannedMeals).forEach(([slot, meal]) => {
+            if (!meal) return;
+            const entry = entries[slot] || { status: 'skipped' };
+            const status = entry.status === 'extra' ? 'swapped' : entry.status;
+            planned += safeNumber(meal.calories);
+            actual += loggedCalories(entry, meal);
+            report.plannedSlots++;
+            report[status]++;
+
+            const slotStats = report.slots[slot] || (report.slots[slot] = { planned: 0, eaten: 0, swapped: 0, skipped: 0 });
+            slotStats.planned++;
+            slotStats[status]++;
+            const id = getMealId(meal);
+            const stats = mealStats.get(id) || { id, title: getMealTitle(meal), planned: 0, eaten: 0, swapped: 0, skipped: 0 };
+            stats.planned++;
+            stats[status]++;
+            mealStats.set(id, stats);
+            if (status === 'swapped' && entry.name) {
+                const key = normalizeKey(entry.name);
+                const swap = swapIns.get(key) || { name: entry.name, count: 0 };
+                swap.count++;
+                swapIns.set(key, swap);
+            }
+        });
+        Object.entries(entries).forEach(([slot, entry]) => {
+            if (plannedMeals[slot]) return;
+            report.extras++;
+            actual += loggedCalories(entry, null);
+        });
+        report.days[day] = { planned: Math.round(planned), actual: Math.round(actual), drift: Math.round(actual - planned) };
+    });
+
+    const dayList = Object.values(report.days);
+    const avg = key => dayList.length ? Math.round(dayList.reduce((sum, d) => sum + d[key], 0) / dayList.length) : 0;
+    report.avgPlanned = avg('planned');
+    report.avgActual = avg('actual');
+    report.calorieDrift = report.avgActual - report.avgPlanned;
+    report.adherencePct = report.plannedSlots ? Math.round((report.eaten / report.plannedSlots) * 100) : 0;
+    report.meals = [...mealStats.values()];
+    report.missedMeals = report.meals.filter(m => {
+        const misses = m.skipped + m.swapped;
+        return misses >= MIN_REPEATED_MISSES && misses / m.planned >= MISS_RATIO;
+    });
+    report.swapIns = [...swapIns.values()].filter(s => s.count >= MIN_REPEATED_MISSES).sort((a, b) => b.count - a.count);
+    return report;
+}
+
+/* ---------------------------
+   Replanning
+--------------------------- */
+// -> { targetCalories, calorieShift, startDate, avoidMeals: [id], preferMeals: [name], reasons: [text] }
+// Consistent over-eating lowers the next target (and under-eating raises
+// it) by part of the drift, so that what's eaten lands nearer the goal.
+export function buildReplanAdjustments(adherence, profile) {
+    const reasons = [];
+    const base = safeNumber(profile && profile.targetCalories);
+    let calorieShift = 0;
+    if (adherence.loggedDays.length >= MIN_LOGGED_DAYS_FOR_DRIFT && adherence.calorieDrift) {
+        const shift = -Math.round(adherence.calorieDrift * DRIFT_COMPENSATION);
+        calorieShift = Math.max(-MAX_DRIFT_SHIFT, Math.min(MAX_DRIFT_SHIFT, shift));
+    }
+    const floor = getCalorieFloor(profile || {});
+    const targetCalories = Math.round(Math.max(floor, Math.min(CALORIE_CEILING, base + calorieShift)));
+    const limited = targetCalories !== base + calorieShift;
+    calorieShift = targetCalories - base;
+    if (calorieShift) {
+        const direction = adherence.calorieDrift > 0 ? 'over' : 'under';
+        const limit = limited ? ` (stopped at the ${targetCalories === floor ? 'safety floor' : 'ceiling'})` : '';
+        reasons.push(`Target ${calorieShift > 0 ? 'raised' : 'lowered'} by ${Math.abs(calorieShift)} kcal/day${limit}: intake ran ${Math.abs(adherence.calorieDrift)} kcal/day ${direction} plan on ${adherence.loggedDays.length} logged days.`);
+    } else if (limited) {
+        reasons.push(`Calorie target unchanged: intake ran ${Math.abs(adherence.calorieDrift)} kcal/day ${adherence.calorieDrift > 0 ? 'over' : 'under'} plan, but the target is already at the ${targetCalories === floor ? 'safety floor' : 'ceiling'}.`);
+    }
+    if (!calorieShift && adherence.loggedDays.length < MIN_LOGGED_DAYS_FOR_DRIFT) {
+        reasons.push(`Calorie target unchanged: at least ${MIN_LOGGED_DAYS_FOR_DRIFT} logged days are needed to judge drift.`);
+    }
+    adherence.missedMeals.forEach(m => reasons.push(`Leaving out ${m.title}: skipped or swapped ${m.skipped + m.swapped} of ${m.planned} times.`));
+    adherence.swapIns.forEach(s => reasons.push(`Favouring ${s.name}: chosen as a swap ${s.count} times.`));
+
+    // the next plan starts the day after the last planned day
+    const planDays = [...adherence.loggedDays, ...adherence.unloggedDays].sort();
+    const last = planDays.length ? planDays[planDays.length - 1] : toISODate(new Date());
+    const startDate = buildPlanDays(last, 2)[1];
+    return {
+        targetCalories,
+        calorieShift,
+        startDate,
+        avoidMeals: adherence.missedMeals.map(m => m.id),
+        preferMeals: adherence.swapIns.map(s => s.name),
+        reasons
+    };
+}
@@ -0,0 +1,34 @@
+/* ---------------------------
+   Plan calendar
+   Plans are keyed by local ISO dates (YYYY-MM-DD). Older saved plans keyed
+   by weekday names still render — formatPlanDay passes them through.
+--------------------------- */
+export const DAYS_PER_WEEK = 7;
+export const MAX_PLAN_WEEKS = 4;
+export const DEFAULT_REPEAT_GAP_DAYS = 7;
+
+export function toISODate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function parseISODate(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+export function buildPlanDays(startDate, dayCount) {
+    const start = parseISODate(startDate) || new Date();
+    const days = [];
+    for (let i = 0; i < dayCount; i++) {
+        days.push(toISODate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i)));
+    }
+    return days;
+}
+
+export function formatPlanDay(key, style = 'long') {
+    const date = parseISODate(key);
+    if (!date) return style === 'short' ? String(key).substr(0, 3) : String(key);
+    if (style === 'short') return date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+    return date.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+}
@@ -0,0 +1,197 @@
+/* ---------------------------
+   Medical-condition profiles
+   Each condition is a list of explicit selection rules. Strict per-meal
+   rules remove candidates before the solver runs; everything else is a
+   soft penalty the solver weighs against the calorie and macro targets.
+   Not medical advice — the rules are conservative general guidelines.
+--------------------------- */
+import { safeNumber } from './util.mjs';
+import { getMicronutrient } from './nutrients.mjs';
+
+export const CONDITION_RULE_WEIGHT = 0.5;   // soft-rule penalty, same scale as scoreDayTotals
+export const CONDITION_TAG_BONUS = 0.01;    // nudge towards meals the dataset marks for the condition
+export const ASSUMED_GLYCEMIC_INDEX = 55;   // medium GI when a meal reports neither GI nor GL
+const MAIN_MEALS = ['breakfast', 'lunch', 'dinner'];
+
+// rule: { nutrient, scope: 'meal' | 'day', max | min, strict?, buckets? }
+// strict rules only apply per meal; `buckets` limits a meal rule to those meal types
+export const MEDICAL_CONDITIONS = {
+    diabetes: {
+        label: 'Diabetes',
+        datasetDiet: 'Diabetic_Friendly',
+        rules: [
+            { nutrient: 'carbs', scope: 'meal', max: 60, strict: true },
+            { nutrient: 'glycemic_load', scope: 'meal', max: 20 },
+            { nutrient: 'sugar', scope: 'day', max: 50 }
+        ]
+    },
+    hypertension: {
+        label: 'Hypertension',
+        datasetDiet: null,
+        rules: [
+            { nutrient: 'sodium', scope: 'meal', max: 700, strict: true },
+            { nutrient: 'sodium', scope: 'day', max: 1500 },
+            { nutrient: 'saturated_fat', scope: 'day', max: 13 }
+        ]
+    },
+    pcos: {
+        label: 'PCOS',
+        datasetDiet: 'PCOS_Friendly',
+        rules: [
+            { nutrient: 'carbs', scope: 'meal', max: 45, strict: true },
+            { nutrient: 'glycemic_load', scope: 'meal', max: 15 },
+            { nutrient: 'protein', scope: 'meal', min: 20, buckets: MAIN_MEALS }
+        ]
+    },
+    senior: {
+        label: 'Senior (65+)',
+        datasetDiet: 'Senior_Friendly',
+        rules: [
+            { nutrient: 'protein', scope: 'meal', min: 25, buckets: MAIN_MEALS },
+            { nutrient: 'sodium', scope: 'day', max: 2300 },
+            { nutrient: 'calcium', scope: 'day', min: 1200 }
+        ]
+    }
+};
+
+// meals.json diet buckets that describe a condition rather than a diet
+export const CONDITION_DATASET_DIETS = Object.fromEntries(
+    Object.entries(MEDICAL_CONDITIONS).filter(([, c]) => c.datasetDiet).map(([key, c]) => [c.datasetDiet, key])
+);
+
+export function normalizeConditions(list) {
+    return (Array.isArray(list) ? list : [])
+        .map(c => String(c).trim().toLowerCase())
+        .filter((c, i, arr) => MEDICAL_CONDITIONS[c] && arr.indexOf(c) === i);
+}
+
+// every rule for the profile's conditions, tagged with its condition key
+export function getConditionRules(profile) {
+    return normalizeConditions(profile && profile.conditions)
+        .flatMap(key => MEDICAL_CONDITIONS[key].rules.map(rule => ({ ...rule, condition: key })));
+}
+
+const NUTRIENT_LABELS = { calories: ['Calories', 'kcal'], protein: ['Protein', 'g'], carbs: ['Carbs', 'g'], fat: ['Fat', 'g'], fiber: ['Fiber', 'g'], glycemic_load: ['Glycemic load', ''] };
+
+export function describeRule(rule) {
+    const micro = getMicronutrient(rule.nutrient);
+    const [label, unit] = micro ? [micro.label, micro.unit] : (NUTRIENT_LABELS[rule.nutrient] || [rule.nutrient, '']);
+    const bound = rule.max !== undefined ? `≤ ${rule.max}` : `≥ ${rule.min}`;
+    const where = rule.scope === 'day' ? 'per day' : `per ${rule.buckets ? 'main ' : ''}meal`;
+    return `${label} ${bound}${unit ? ' ' + unit : ''} ${where}`;
+}
+
+/* ---------------------------
+   Rule evaluation
+--------------------------- */
+// GL = GI × net carbs / 100, from the meal's own GI when it has one
+export function getGlycemicLoad(meal) {
+    if (!meal) return 0;
+    const netCarbs = Math.max(0, safeNumber(meal.carbs) - safeNumber(meal.fiber));
+    const gi = meal.glycemic_index !== undefined ? safeNumber(meal.glycemic_index) : ASSUMED_GLYCEMIC_INDEX;
+    return Math.round(gi * netCarbs) / 100;
+}
+
+const MACRO_KEYS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// value used to check a rule, or null when the meal doesn't report it
+export function getRuleValue(meal, nutrient) {
+    if (!meal) return null;
+    if (nutrient === 'glycemic_load') return getGlycemicLoad(meal);
+    if (MACRO_KEYS.includes(nutrient)) return safeNumber(meal[nutrient]);
+    return typeof meal[nutrient] === 'number' ? meal[nutrient] : null;
+}
+
+const ruleAppliesTo = (rule, bucket) => !rule.buckets || !bucket || rule.buckets.includes(bucket);
+
+// relative amount by which `value` misses the rule; 0 when it complies
+function ruleExcess(rule, value) {
+    if (value === null) return 0;
+    if (rule.max !== undefined && value > rule.max) return rule.max ? (value - rule.max) / rule.max : 1;
+    if (rule.min !== undefined && value < rule.min) return rule.min ? (rule.min - value) / rule.min : 1;
+    return 0;
+}
+
+// Strict-rule filter for one slot's candidates. Meals that don't report a
+// nutrient are let through — the compliance report lists them as unverified.
+export function createConditionMealFilter(profile) {
+    const strict = getConditionRules(profile).filter(r => r.strict && r.scope === 'meal');
+    if (!strict.length) return () => true;
+    return (meal, bucket) => strict.every(rule => !ruleAppliesTo(rule, bucket) || ruleExcess(rule, getRuleValue(meal, rule.nutrient)) === 0);
+}
+
+// Soft per-meal penalty; negative for meals tagged for one of the conditions
+export function createConditionMealPenalty(profile) {
+    const conditions = normalizeConditions(profile && profile.conditions);
+    const soft = getConditionRules(profile).filter(r => !r.strict && r.scope === 'meal');
+    if (!conditions.length) return null;
+    return (meal, bucket) => {
+        let penalty = 0;
+        soft.forEach(rule => {
+            if (!ruleAppliesTo(rule, bucket)) return;
+            const excess = ruleExcess(rule, getRuleValue(meal, rule.nutrient));
+            penalty += CONDITION_RULE_WEIGHT * excess * excess;
+        });
+        if (Array.isArray(meal && meal.conditions) && meal.conditions.some(c => conditions.includes(c))) penalty -= CONDITION_TAG_BONUS;
+        return penalty;
+    };
+}
+
+// Soft per-day penalty over summed day totals. `value(meal, nutrient)` is
+// null for a nutrient the meal doesn't report; `missing` counts those meals
+// per nutrient. As in buildComplianceReport, a partial total only counts
+// when it already breaks a maximum — otherwise the rule is skipped that day.
+export function createConditionDayPenalty(profile) {
+    const dayRules = getConditionRules(profile).filter(r => r.scope === 'day');
+    if (!dayRules.length) return null;
+    return {
+        nutrients: [...new Set(dayRules.map(r => r.nutrient))],
+        value: getRuleValue,
+        penalty: (totals, missing = {}) => dayRules.reduce((sum, rule) => {
+            const total = safeNumber(totals[rule.nutrient]);
+            const provenOver = rule.max !== undefined && total > rule.max;
+            if (missing[rule.nutrient] && !provenOver) return sum;
+            const excess = ruleExcess(rule, total);
+            return sum + CONDITION_RULE_WEIGHT * excess * excess;
+        }, 0)
+    };
+}
+
+/* ---------------------------
+   Compliance report
+--------------------------- */
+// -> [{ condition, label, rules: [{ rule, description, checked, passed, noData, failures: [{ day, slot, value }] }] }]
+// `slotBucket(slotKey)` maps a plan slot to its meal bucket for bucket-limited rules
+export function buildComplianceReport(plan, profile, slotBucket = key => key) {
+    const days = Object.keys(plan || {});
+    return normalizeConditions(profile && profile.conditions).map(condition => {
+        const rules = MEDICAL_CONDITIONS[condition].rules.map(rule => {
+            const result = { rule, description: describeRule(rule), checked: 0, passed: 0, noData: 0, failures: [] };
+            const check = (value, day, slot) => {
+                if (value === null) { result.noData++; return; }
+                result.checked++;
+                if (ruleExcess(rule, value) === 0) result.passed++;
+                else result.failures.push({ day, slot, value: Math.round(value * 10) / 10 });
+            };
+            days.forEach(day => {
+                const meals = plan[day] || {};
+                if (rule.scope === 'day') {
+                    // a partial day total can prove a maximum broken, but not kept
+                    const values = Object.values(meals).filter(Boolean).map(m => getRuleValue(m, rule.nutrient));
+                    const reported = values.filter(v => v !== null);
+                    const total = reported.reduce((sum, v) => sum + v, 0);
+                    const complete = reported.length === values.length;
+                    const provenOver = rule.max !== undefined && total > rule.max;
+                    check(reported.length && (complete || provenOver) ? total : null, day, null);
+                    return;
+                }
+                Object.entries(meals).forEach(([slot, meal]) => {
+                    if (!meal || !ruleAppliesTo(rule, slotBucket(slot))) return;
+                    check(getRuleValue(meal, rule.nutrient), day, slot);
+                });
+            });
+            return result;
+        });
+        return { condition, label: MEDICAL_CONDITIONS[condition].label, rules };
+    });
+}
@@ -0,0 +1,131 @@
+/* ---------------------------
+   Energy models: BMR, TDEE & calorie target
+   BMR comes from a pluggable model (ENERGY_MODELS), is multiplied by the
+   activity factor, then shifted by the calories needed for the desired
+   weekly weight change. The result is kept between a sex-specific safety
+   floor and a ceiling; calculateEnergyTarget reports every step so the UI
+   can explain the number.
+--------------------------- */
+import { safeNumber } from './util.mjs';
+import { formatWeight } from './units.mjs';
+
+export const ACTIVITY_FACTORS = { low: 1.2, moderate: 1.375, high: 1.55, 'very-high': 1.725 };
+
+const isMale = profile => ['male', 'm'].includes((profile.gender || '').toString().toLowerCase());
+
+// bmr(profile) -> kcal/day; `requires` lists profile fields beyond age/sex/height/weight
+export const ENERGY_MODELS = {
+    mifflin_st_jeor: {
+        label: 'Mifflin-St Jeor',
+        requires: [],
+        bmr: p => 10 * safeNumber(p.weight) + 6.25 * safeNumber(p.height) - 5 * safeNumber(p.age) + (isMale(p) ? 5 : -161)
+    },
+    // revised equation (Roza & Shizgal, 1984)
+    harris_benedict: {
+        label: 'Harris-Benedict',
+        requires: [],
+        bmr: p => isMale(p)
+            ? 88.362 + 13.397 * safeNumber(p.weight) + 4.799 * safeNumber(p.height) - 5.677 * safeNumber(p.age)
+            : 447.593 + 9.247 * safeNumber(p.weight) + 3.098 * safeNumber(p.height) - 4.330 * safeNumber(p.age)
+    },
+    // lean-mass based, so it needs a body-fat estimate
+    katch_mcardle: {
+        label: 'Katch-McArdle',
+        requires: ['bodyFat'],
+        bmr: p => 370 + 21.6 * safeNumber(p.weight) * (1 - safeNumber(p.bodyFat) / 100)
+    }
+};
+export const DEFAULT_ENERGY_MODEL = 'mifflin_st_jeor';
+
+export const KCAL_PER_KG = 7700;                          // energy in 1 kg of body weight change
+export const DEFAULT_GOAL_RATE_KG = { loss: 0.5, gain: 0.25, muscle: 0.25 };
+export const MAX_GOAL_RATE_KG = { loss: 1.0, gain: 0.5, muscle: 0.5 };
+export const CALORIE_FLOOR = { male: 1500, female: 1200 };  // anyone else gets the lower floor
+export const CALORIE_CEILING = 4200;
+
+export function normalizeEnergyModel(key) {
+    return ENERGY_MODELS[key] ? key : DEFAULT_ENERGY_MODEL;
+}
+
+// loss / gain / muscle / maintain, accepting the older spellings
+export function normalizeGoal(goal) {
+    const g = (goal || '').toString().toLowerCase();
+    if (['loss', 'lose', 'weight_loss'].includes(g)) return 'loss';
+    if (['gain', 'weight_gain'].includes(g)) return 'gain';
+    if (g === 'muscle') return 'muscle';
+    return 'maintain';
+}
+
+export function getCalorieFloor(profile) {
+    return isMale(profile) ? CALORIE_FLOOR.male : CALORIE_FLOOR.female;
+}
+
+// signed kg/week for the goal: the profile's rate when given, capped per goal
+export function resolveGoalRate(profile) {
+    const goal = normalizeGoal(profile.goal);
+    if (goal === 'maintain') return { goal, rateKg: 0, capped: false };
+    const requested = safeNumber(profile.weeklyRateKg) > 0 ? Math.abs(safeNumber(profile.weeklyRateKg)) : DEFAULT_GOAL_RATE_KG[goal];
+    const rate = Math.min(requested, MAX_GOAL_RATE_KG[goal]);
+    return { goal, rateKg: goal === 'loss' ? -rate : rate, capped: rate < requested };
+}
+
+export function calculateEnergyTarget(profile) {
+    const requestedModel = normalizeEnergyModel(profile.energyModel);
+    // fall back when the chosen model is missing an input (e.g. no body fat %)
+    const missing = ENERGY_MODELS[requestedModel].requires.filter(f => !safeNumber(profile[f]));
+    const model = missing.length ? DEFAULT_ENERGY_MODEL : requestedModel;
+
+    const bmr = ENERGY_MODELS[model].bmr(profile);
+    const activityFactor = ACTIVITY_FACTORS[(profile.activityLevel || 'low').toString()] || 1.2;
+    const tdee = bmr * activityFactor;
+    const { goal, rateKg, capped } = resolveGoalRate(profile);
+    const goalAdjustment = Math.round(rateKg * KCAL_PER_KG / 7);
+    const unclamped = tdee + goalAdjustment;
+
+    const floor = getCalorieFloor(profile);
+    const target = Math.round(Math.max(floor, Math.min(CALORIE_CEILING, unclamped)));
+    return {
+        model,
+        modelLabel: ENERGY_MODELS[model].label,
+        requestedModel,
+        missingInputs: missing,
+        bmr: Math.round(bmr),
+        activityFactor,
+        tdee: Math.round(tdee),
+        goal,
+        rateKg,
+        rateCapped: capped,
+        goalAdjustment,
+        unclamped: Math.round(unclamped),
+        floor,
+        ceiling: CALORIE_CEILING,
+        floorApplied: unclamped < floor,
+        ceilingApplied: unclamped > CALORIE_CEILING,
+        target
+    };
+}
+
+export function calculateTargetCalories(profile) {
+    return calculateEnergyTarget(profile).target;
+}
+
+// plain-language steps behind the target, in the profile's units
+export function describeEnergyTarget(result, unitSystem) {
+    const kcal = v => `${Math.round(v).toLocaleString('en-US')} kcal`;
+    const lines = [];
+    if (result.requestedModel !== result.model) {
+        lines.push(`${ENERGY_MODELS[result.requestedModel].label} needs ${result.missingInputs.map(f => f === 'bodyFat' ? 'body fat %' : f).join(', ')} — used ${result.modelLabel} instead.`);
+    }
+    let summary = `${result.modelLabel} BMR ${kcal(result.bmr)} × ${result.activityFactor} activity = ${kcal(result.tdee)} maintenance`;
+    if (result.goalAdjustment) {
+        const sign = result.goalAdjustment < 0 ? '−' : '+';
+        summary += `, ${sign}${kcal(Math.abs(result.goalAdjustment))}/day for ${formatWeight(Math.abs(result.rateKg), unitSystem)}/week ${result.rateKg < 0 ? 'loss' : 'gain'}`;
+    }
+    lines.push(summary + '.');
+    if (result.rateCapped) lines.push(`Rate capped at ${formatWeight(MAX_GOAL_RATE_KG[result.goal], unitSystem)}/week.`);
+    if (result.floorApplied) {
+        lines.push(`Raised from ${kcal(result.unclamped)} to the ${kcal(result.floor)} safety floor${result.goalAdjustment < 0 ? ' — a slower loss rate would stay above it' : ''}.`);
+    }
+    if (result.ceilingApplied) lines.push(`Capped at the ${kcal(result.ceiling)} ceiling.`);
+    return lines;
+}
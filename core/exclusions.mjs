@@ -0,0 +1,65 @@
+/* ---------------------------
+   Allergen & ingredient exclusions
+   Keyword lexicon per allergen, matched as whole words (plural allowed)
+   against a meal's title, foods, ingredients and tags. "dairy-free" style
+   mentions do not count as a match.
+--------------------------- */
+import { getMealTitle } from './meals.mjs';
+
+export const ALLERGEN_LEXICON = {
+    tree_nuts: ['nut', 'almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut', 'pine nut', 'praline', 'marzipan', 'nutella'],
+    peanuts:   ['peanut', 'groundnut', 'satay'],
+    gluten:    ['gluten', 'wheat', 'barley', 'rye', 'bread', 'toast', 'pasta', 'noodle', 'couscous', 'bulgur', 'semolina', 'seitan', 'flour', 'roti', 'chapati', 'naan', 'paratha', 'pita', 'bagel', 'cracker', 'spaghetti', 'bun', 'sandwich', 'wrap', 'pancake', 'muffin'],
+    shellfish: ['shellfish', 'shrimp', 'prawn', 'crab', 'lobster', 'scallop', 'clam', 'mussel', 'oyster', 'crayfish'],
+    fish:      ['fish', 'salmon', 'tuna', 'cod', 'sardine', 'anchovy', 'mackerel', 'tilapia', 'trout', 'haddock', 'herring'],
+    dairy:     ['dairy', 'lactose', 'milk', 'cheese', 'yogurt', 'yoghurt', 'butter', 'cream', 'paneer', 'ghee', 'whey', 'curd', 'kefir', 'lassi', 'casein', 'raita', 'labneh', 'feta', 'mozzarella'],
+    egg:       ['egg', 'omelette', 'omelet', 'mayonnaise', 'frittata', 'shakshuka'],
+    soy:       ['soy', 'soya', 'tofu', 'tempeh', 'edamame', 'miso'],
+    sesame:    ['sesame', 'tahini', 'hummus', 'halva']
+};
+
+// meals are immutable once loaded, so their search text is built once
+const searchTextCache = new WeakMap();
+
+export function getMealSearchText(meal) {
+    if (!meal || typeof meal !== 'object') return String(meal || '').toLowerCase();
+    if (searchTextCache.has(meal)) return searchTextCache.get(meal);
+    const foods = Array.isArray(meal.foods) ? meal.foods.map(f => (typeof f === 'string' ? f : (f && (f.name || f.title)) || '')).join(' ') : '';
+    const ingredients = Array.isArray(meal.ingredients) ? meal.ingredients.join(' ') : (meal.ingredients || '');
+    const components = Array.isArray(meal.components) ? meal.components.map(c => (typeof c === 'string' ? c : (c && c.name) || '')).join(' ') : '';
+    const tags = Array.isArray(meal.tags) ? meal.tags.join(' ') : (meal.tags || '');
+    const text = `${getMealTitle(meal)} ${foods} ${ingredients} ${components} ${tags}`.toLowerCase().replace(/_/g, ' ');
+    searchTextCache.set(meal, text);
+    return text;
+}
+
+export function getExclusionTerms(profile) {
+    if (!profile) return [];
+    const terms = [];
+    (profile.allergens || []).forEach(a => terms.push(...(ALLERGEN_LEXICON[a] || [a])));
+    (profile.excludedIngredients || []).forEach(t => terms.push(String(t).toLowerCase()));
+    return terms.filter(Boolean);
+}
+
+function termPattern(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}(?:e?s)?\\b(?![\\s-]*free)`, 'i');
+}
+
+export function findExclusionMatches(meal, terms) {
+    if (!terms.length) return [];
+    const text = getMealSearchText(meal);
+    return terms.filter(term => termPattern(term).test(text));
+}
+
+// compiles the profile's terms once; use this when filtering many meals
+export function createExclusionFilter(profile) {
+    const terms = getExclusionTerms(profile);
+    if (!terms.length) return () => false;
+    const pattern = new RegExp(terms.map(t => termPattern(t).source).join('|'), 'i');
+    return meal => pattern.test(getMealSearchText(meal));
+}
+
+export function mealHasExclusion(meal, profile) {
+    return findExclusionMatches(meal, getExclusionTerms(profile)).length > 0;
+}
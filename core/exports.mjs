@@ -0,0 +1,485 @@
+/* ---------------------------
+   Export builders
+   Each builder returns file contents (CSV, PDF, Markdown, iCalendar);
+   downloading, storing and rendering them is left to the UI.
+--------------------------- */
+import { safeNumber, csvQuote } from './util.mjs';
+import { DAYS_PER_WEEK, formatPlanDay, toISODate, parseISODate } from './calendar.mjs';
+import { localizeServing, formatHeight, formatWeight, kgToLb } from './units.mjs';
+import { ENERGY_MODELS } from './energy.mjs';
+import { calculateMacroTargets } from './nutrition.mjs';
+import { MICRONUTRIENTS, hasMicronutrient, formatNutrientAmount, percentOfDailyValue } from './nutrients.mjs';
+import { getMealTitle } from './meals.mjs';
+import { MEDICAL_CONDITIONS } from './conditions.mjs';
+import { MEAL_STRUCTURES, getPlanSlots, getSlotLabel } from './structures.mjs';
+import { formatPortion, getMealPortion } from './portions.mjs';
+import { calculateWeeklyStats, calculateDailyTotals, sumMealTotals } from './stats.mjs';
+import { projectWeight } from './projection.mjs';
+import { buildShoppingList } from './shopping.mjs';
+import { createPdfDocument, wrapText, drawBarChart, drawDoughnutChart, drawLineChart } from './pdf.mjs';
+
+// micronutrients reported by at least one meal in the plan, in schema order
+function getPlanMicronutrients(plan) {
+    const meals = Object.values(plan || {}).flatMap(day => Object.values(day || {}));
+    return MICRONUTRIENTS.filter(n => meals.some(m => hasMicronutrient(m, n.key)));
+}
+
+export function planToCSV(plan, profile) {
+    const micros = getPlanMicronutrients(plan);
+    let csv = '\uFEFF';
+    csv += ['Date,Meal Time,Food Name,Serving Size,Portion,Calories,Protein,Carbs,Fat,Fiber', ...micros.map(n => `${n.label} (${n.unit})`)].join(',') + '\n';
+    const slots = getPlanSlots(plan, profile);
+    const unitSystem = profile && profile.unitSystem;
+    Object.keys(plan || {}).forEach(day => {
+        slots.forEach(slot => {
+            const meal = (plan[day] || {})[slot.key];
+            if (!meal) return;
+            const title = (meal.title && typeof meal.title === 'string') ? meal.title : getMealTitle(meal);
+            const row = [day, csvQuote(getSlotLabel(slot, false)), csvQuote(title), csvQuote(localizeServing(meal.serving_size, unitSystem) || 'N/A'), formatPortion(getMealPortion(meal)), safeNumber(meal.calories), safeNumber(meal.protein), safeNumber(meal.carbs), safeNumber(meal.fat), safeNumber(meal.fiber),
+                // blank, not 0, when the meal doesn't report the nutrient
+                ...micros.map(n => hasMicronutrient(meal, n.key) ? meal[n.key] : '')].join(',');
+            csv += row + '\n';
+        });
+    });
+    return csv;
+}
+
+/* ---------------------------
+   PDF
+--------------------------- */
+const PDF_MARGIN = 40;
+const PDF_BRAND_COLOR = '#007bff';
+const PDF_MUTED_COLOR = '#6c757d';
+const PDF_RULE_COLOR = '#dee2e6';
+const PDF_HEADER_FILL = '#f3f4f6';
+const PDF_TOTAL_FILL = '#f8f9fa';
+const MACRO_COLORS = { protein: '#007bff', carbs: '#28a745', fat: '#ffc107' };
+const GOAL_LABELS = { loss: 'Weight loss', gain: 'Weight gain', maintain: 'Maintain weight', muscle: 'Muscle gain' };
+const ACTIVITY_LABELS = { low: 'Low (sedentary)', moderate: 'Moderate (light exercise)', high: 'High (regular exercise)', 'very-high': 'Very high (intense exercise)' };
+
+const humanize = value => {
+    const text = String(value ?? '').replace(/_/g, ' ').trim();
+    return text ? text[0].toUpperCase() + text.slice(1) : '—';
+};
+
+// a top-to-bottom cursor over the document; y is the top of the free space
+function createPdfFlow(doc) {
+    const flow = {
+        doc,
+        left: PDF_MARGIN,
+        width: doc.width - PDF_MARGIN * 2,
+        bottom: doc.height - PDF_MARGIN,
+        y: PDF_MARGIN,
+        newPage() {
+            doc.addPage();
+            flow.y = PDF_MARGIN;
+        },
+        // starts a new page unless `height` more points fit on this one
+        ensure(height) {
+            if (flow.y + height <= flow.bottom) return false;
+            flow.newPage();
+            return true;
+        }
+    };
+    doc.addPage();
+    return flow;
+}
+
+function pdfHeading(flow, text, level = 1) {
+    const size = [16, 13, 10.5][level - 1];
+    // keep the heading on the same page as what follows it
+    flow.ensure(size + 60);
+    if (flow.y > PDF_MARGIN) flow.y += level === 1 ? 12 : 8;
+    flow.y += size;
+    flow.doc.text(flow.left, flow.y, text, { size, bold: true, color: level === 1 ? PDF_BRAND_COLOR : '#222222' });
+    flow.y += level === 1 ? 8 : 5;
+}
+
+function pdfParagraph(flow, text, style = {}) {
+    const size = style.size || 9;
+    wrapText(text, flow.width, size, style.bold).forEach(line => {
+        flow.ensure(size * 1.35);
+        flow.y += size * 1.35;
+        flow.doc.text(flow.left, flow.y - size * 0.35, line, { size, bold: style.bold, color: style.color });
+    });
+}
+
+// a cell is text or a list of runs { text, bold, color, size } stacked top to bottom
+const toRuns = cell => (Array.isArray(cell) ? cell : [cell]).filter(run => run !== null && run !== undefined && run !== '')
+    .map(run => (typeof run === 'object' ? run : { text: String(run) }));
+
+// columns: [{ label, width (share of the row), align }]; rows: arrays of cells.
+// options: { header, size, rowStyle: (row, index) -> { fill, bold } }.
+// Rows never split; the header repeats after a page break.
+function pdfTable(flow, columns, rows, options = {}) {
+    const { doc } = flow;
+    const size = options.size || 8.5;
+    const pad = 4;
+    const widths = columns.map(c => c.width * flow.width);
+    const lefts = widths.map((w, i) => flow.left + widths.slice(0, i).reduce((a, b) => a + b, 0));
+
+    const layoutRow = (cells, style) => cells.map((cell, i) => toRuns(cell).flatMap(run => {
+        const runSize = run.size || size;
+        const bold = run.bold ?? style.bold;
+        return wrapText(run.text, widths[i] - pad * 2, runSize, bold).map(text => ({ ...run, text, size: runSize, bold }));
+    }));
+    const rowHeight = laid => Math.max(size * 1.3, ...laid.map(lines => lines.reduce((h, l) => h + l.size * 1.3, 0))) + pad * 2;
+
+    const drawRow = (laid, style) => {
+        const height = rowHeight(laid);
+        if (style.fill) doc.rect(flow.left, flow.y, flow.width, height, { fill: style.fill });
+        laid.forEach((lines, i) => {
+            let y = flow.y + pad;
+            const align = columns[i].align || 'left';
+            const x = align === 'right' ? lefts[i] + widths[i] - pad : align === 'center' ? lefts[i] + widths[i] / 2 : lefts[i] + pad;
+            lines.forEach(line => {
+                y += line.size * 1.3;
+                doc.text(x, y - line.size * 0.3, line.text, { size: line.size, bold: line.bold, color: line.color, align });
+            });
+        });
+        flow.y += height;
+        doc.line(flow.left, flow.y, flow.left + flow.width, flow.y, { stroke: PDF_RULE_COLOR, lineWidth: 0.5 });
+    };
+
+    const header = options.header ? layoutRow(columns.map(c => c.label || ''), { bold: true }) : null;
+    const drawHeader = () => drawRow(header, { fill: PDF_HEADER_FILL, bold: true });
+    if (header) {
+        flow.ensure(rowHeight(header) + size * 3);
+        drawHeader();
+    }
+    rows.forEach((cells, index) => {
+        const style = (options.rowStyle && options.rowStyle(cells, index)) || {};
+        const laid = layoutRow(cells, style);
+        if (flow.ensure(rowHeight(laid)) && header) drawHeader();
+        drawRow(laid, style);
+    });
+}
+
+function pdfProfileTable(flow, profile, targets, weeklyStats, days, slots) {
+    const p = profile || {};
+    const unitSystem = p.unitSystem;
+    const kcal = v => `${Math.round(safeNumber(v)).toLocaleString('en-US')} kcal`;
+    const grams = v => `${Math.round(safeNumber(v))} g`;
+    const left = [
+        ['Age', p.age ? `${p.age} years` : '—'],
+        ['Sex', humanize(p.gender)],
+        ['Height', p.height ? formatHeight(p.height, unitSystem) : '—'],
+        ['Weight', p.weight ? formatWeight(p.weight, unitSystem) : '—'],
+        ['Activity', ACTIVITY_LABELS[p.activityLevel] || humanize(p.activityLevel)],
+        ['Goal', GOAL_LABELS[p.goal] || humanize(p.goal)],
+        ['Diet', humanize(p.dietType)],
+        ['Region', humanize(p.region)],
+        ['Meals', (MEAL_STRUCTURES[p.mealStructure] || {}).label || `${slots.length} per day`]
+    ];
+    const right = [
+        ['Calories', `${kcal(targets.calories)}/day`],
+        ['Protein', `${grams(targets.protein)} (${targets.split.protein}%)`],
+        ['Carbs', `${grams(targets.carbs)} (${targets.split.carbs}%)`],
+        ['Fat', `${grams(targets.fat)} (${targets.split.fat}%)`],
+        ['Fiber', grams(targets.fiber)],
+        ['Energy model', (ENERGY_MODELS[p.energyModel] || {}).label || '—'],
+        ['Plan length', `${days.length} day${days.length === 1 ? '' : 's'}`],
+        ['Plan average', `${kcal(weeklyStats.avgCalories)}/day`],
+        ['Avg macros', `P ${grams(weeklyStats.avgProtein)} · C ${grams(weeklyStats.avgCarbs)} · F ${grams(weeklyStats.avgFat)}`]
+    ];
+    const label = text => ({ text, color: PDF_MUTED_COLOR });
+    pdfTable(flow,
+        [{ width: 0.14 }, { width: 0.36 }, { width: 0.14 }, { width: 0.36 }],
+        left.map((row, i) => [label(row[0]), row[1], label(right[i][0]), right[i][1]]),
+        { size: 9 });
+
+    const restrictions = [
+        p.allergens && p.allergens.length ? `Allergens avoided: ${p.allergens.map(humanize).join(', ')}` : '',
+        p.excludedIngredients && p.excludedIngredients.length ? `Excluded ingredients: ${p.excludedIngredients.join(', ')}` : '',
+        p.conditions && p.conditions.length ? `Conditions: ${p.conditions.map(c => (MEDICAL_CONDITIONS[c] || {}).label || humanize(c)).join(', ')}` : ''
+    ].filter(Boolean);
+    if (restrictions.length) {
+        flow.y += 4;
+        pdfParagraph(flow, restrictions.join(' · '), { size: 8.5, color: PDF_MUTED_COLOR });
+    }
+}
+
+function pdfCharts(flow, plan, profile, weeklyStats, options) {
+    const { doc } = flow;
+    const days = Object.keys(plan || {});
+    const dailyTotals = calculateDailyTotals(plan);
+    const target = safeNumber(profile && profile.targetCalories);
+    flow.ensure(180);
+    drawBarChart(doc, { x: flow.left, y: flow.y, w: flow.width, h: 170 },
+        days.map(day => ({ label: formatPlanDay(day, 'short'), value: dailyTotals[day].calories })),
+        { target, seriesLabel: 'Daily calories', targetLabel: `Target (${Math.round(target).toLocaleString('en-US')} kcal)` });
+    flow.y += 180;
+
+    const half = (flow.width - 24) / 2;
+    const right = flow.left + half + 24;
+    flow.ensure(150);
+    const top = flow.y;
+    doc.text(flow.left, top + 10, 'Macro split (share of calories)', { size: 9, bold: true });
+    const macroCalories = { protein: weeklyStats.totalProtein * 4, carbs: weeklyStats.totalCarbs * 4, fat: weeklyStats.totalFat * 9 };
+    const macroTotal = macroCalories.protein + macroCalories.carbs + macroCalories.fat || 1;
+    const split = calculateMacroTargets(profile || {}).split;
+    drawDoughnutChart(doc, { x: flow.left, y: top + 20, w: half, h: 110 },
+        ['protein', 'carbs', 'fat'].map(key => ({
+            label: `${humanize(key)} ${Math.round((macroCalories[key] / macroTotal) * 100)}% (target ${split[key]}%)`,
+            value: macroCalories[key],
+            color: MACRO_COLORS[key]
+        })));
+
+    let projection = null;
+    if (profile && profile.weight && weeklyStats.avgCalories) {
+        projection = projectWeight(profile, weeklyStats.avgCalories, options.projectionWeeks);
+        const imperial = profile.unitSystem === 'imperial';
+        doc.text(right, top + 10, `Weight projection (${imperial ? 'lb' : 'kg'}, ${projection.weeks} weeks)`, { size: 9, bold: true });
+        drawLineChart(doc, { x: right, y: top + 20, w: half, h: 110 },
+            projection.points.map(p => ({ label: `Wk ${p.week}`, value: imperial ? kgToLb(p.weight) : p.weight })),
+            { format: v => String(Math.round(v * 10) / 10), fill: '#efe9f8' });
+    }
+    flow.y = top + 140;
+    if (projection) {
+        const sign = projection.change > 0 ? '+' : projection.change < 0 ? '−' : '±';
+        pdfParagraph(flow, `At the plan's average of ${projection.avgIntake} kcal/day: ${sign}${formatWeight(Math.abs(projection.change), profile.unitSystem)} over ${projection.weeks} weeks. This is an estimate that allows for metabolic adaptation.`, { size: 8.5, color: PDF_MUTED_COLOR });
+    }
+}
+
+function pdfDayTable(flow, meals, slots, unitSystem, target) {
+    const round = v => Math.round(safeNumber(v));
+    const rows = [];
+    slots.forEach(slot => {
+        const meal = meals[slot.key];
+        if (!meal) return;
+        const portion = getMealPortion(meal);
+        const serving = `${localizeServing(meal.serving_size, unitSystem)}${portion !== 1 ? ` (×${formatPortion(portion)})` : ''}`.trim();
+        const foods = Array.isArray(meal.foods) ? meal.foods.map(f => (typeof f === 'string' ? f : (f.name || f.title || '')).trim()).filter(Boolean).join(', ') : '';
+        rows.push([
+            [{ text: getSlotLabel(slot, false), size: 7, color: PDF_MUTED_COLOR }, { text: getMealTitle(meal), bold: true }, serving && { text: serving, size: 7.5, color: PDF_MUTED_COLOR }],
+            foods,
+            round(meal.calories), round(meal.protein), round(meal.carbs), round(meal.fat)
+        ]);
+    });
+    const totals = sumMealTotals(Object.values(meals));
+    rows.push([`Total (target ${round(target)})`, '', round(totals.calories), round(totals.protein), round(totals.carbs), round(totals.fat)]);
+    pdfTable(flow, [
+        { label: 'Meal', width: 0.36 },
+        { label: 'Foods', width: 0.32 },
+        { label: 'kcal', width: 0.08, align: 'right' },
+        { label: 'Protein', width: 0.08, align: 'right' },
+        { label: 'Carbs', width: 0.08, align: 'right' },
+        { label: 'Fat', width: 0.08, align: 'right' }
+    ], rows, { header: true, rowStyle: (row, i) => (i === rows.length - 1 ? { fill: PDF_TOTAL_FILL, bold: true } : null) });
+}
+
+// A vector PDF (selectable text, no images) of the plan: profile and targets,
+// charts, micronutrients, a table per day and optionally the shopping list.
+// options: { projectionWeeks, seed, shoppingList, pageSize: 'a4' | 'letter', now };
+// shoppingList is true for the plan's own list, or a prebuilt list (a household's)
+// -> the PDF source; it is ASCII, so new Blob([pdf]) keeps it intact
+export function planToPDF(plan, profile, options = {}) {
+    const now = options.now || new Date();
+    const days = Object.keys(plan || {});
+    const slots = getPlanSlots(plan, profile);
+    const unitSystem = profile && profile.unitSystem;
+    const weeklyStats = calculateWeeklyStats(plan);
+    const targets = calculateMacroTargets(profile || {});
+    const range = days.length ? `${formatPlanDay(days[0], 'long')}${days.length > 1 ? ` – ${formatPlanDay(days[days.length - 1], 'long')}` : ''}` : '';
+    const doc = createPdfDocument({ size: options.pageSize, title: `Meal Plan${range ? ` — ${range}` : ''}`, now });
+    const flow = createPdfFlow(doc);
+
+    flow.y += 20;
+    doc.text(flow.left, flow.y, 'The Diet Planner', { size: 22, bold: true, color: PDF_BRAND_COLOR });
+    flow.y += 16;
+    doc.text(flow.left, flow.y, `Personalized meal plan${range ? ` · ${range}` : ''}`, { size: 10.5, color: '#444444' });
+    flow.y += 12;
+    const seed = options.seed !== undefined && options.seed !== null ? ` · seed ${options.seed}` : '';
+    doc.text(flow.left, flow.y, `Generated ${now.toLocaleDateString()}${seed}`, { size: 8, color: PDF_MUTED_COLOR });
+    flow.y += 8;
+    doc.line(flow.left, flow.y, flow.left + flow.width, flow.y, { stroke: PDF_RULE_COLOR, lineWidth: 1 });
+
+    pdfHeading(flow, 'Profile & Targets');
+    pdfProfileTable(flow, profile, targets, weeklyStats, days, slots);
+
+    pdfHeading(flow, 'Overview');
+    pdfCharts(flow, plan, profile, weeklyStats, options);
+
+    const micros = MICRONUTRIENTS.filter(n => weeklyStats.micronutrients[n.key]);
+    if (micros.length) {
+        pdfHeading(flow, 'Micronutrients (daily average)', 2);
+        pdfTable(flow, [
+            { label: 'Nutrient', width: 0.5 },
+            { label: 'Daily avg', width: 0.25, align: 'right' },
+            { label: 'Daily value', width: 0.25, align: 'right' }
+        ], micros.map(n => {
+            const { avg, reportedMeals } = weeklyStats.micronutrients[n.key];
+            const coverage = reportedMeals < weeklyStats.mealCount ? ` (${reportedMeals}/${weeklyStats.mealCount} meals)` : '';
+            return [`${n.label}${coverage}`, formatNutrientAmount(n.key, avg), `${percentOfDailyValue(n.key, avg)}%${n.limit ? ' of max' : ''}`];
+        }), { header: true });
+    }
+
+    flow.newPage();
+    pdfHeading(flow, `${days.length}-Day Meal Plan`);
+    days.forEach((day, idx) => {
+        if (days.length > DAYS_PER_WEEK && idx % DAYS_PER_WEEK === 0) {
+            if (idx) flow.newPage();
+            pdfHeading(flow, `Week ${idx / DAYS_PER_WEEK + 1}`, 2);
+        }
+        pdfHeading(flow, `${formatPlanDay(day, 'long')} (Day ${idx + 1})`, 3);
+        pdfDayTable(flow, plan[day] || {}, slots, unitSystem, targets.calories);
+    });
+
+    const list = options.shoppingList === true ? buildShoppingList(plan, { unitSystem }) : options.shoppingList || null;
+    if (list && list.itemCount) {
+        flow.newPage();
+        pdfHeading(flow, 'Shopping List');
+        pdfParagraph(flow, `${list.itemCount} item${list.itemCount === 1 ? '' : 's'} for ${days.length} day${days.length === 1 ? '' : 's'}, grouped by aisle.`, { color: PDF_MUTED_COLOR });
+        list.categories.forEach(category => {
+            pdfHeading(flow, category.name, 3);
+            pdfTable(flow, [{ width: 0.7 }, { width: 0.3, align: 'right' }], category.items.map(item => [item.name, item.display]));
+        });
+    }
+
+    return doc.render({ footer: (page, count) => `The Diet Planner${range ? ` · ${range}` : ''} · Page ${page} of ${count}` });
+}
+
+/* ---------------------------
+   Markdown / plain text
+--------------------------- */
+// backslash-escapes characters Markdown would treat as formatting
+export function escapeMarkdown(value) {
+    return String(value ?? '').replace(/([\\`*_[\]<>#|~])/g, '\\$1');
+}
+
+// Day-by-day text for pasting into chat or notes. options.plain drops the
+// Markdown markup (headings, bold, bullets) for apps that show it literally.
+export function planToMarkdown(plan, profile, options = {}) {
+    const plain = Boolean(options.plain);
+    const esc = plain ? (v => String(v ?? '')) : escapeMarkdown;
+    const bold = text => (plain ? text : `**${text}**`);
+    const num = v => Math.round(safeNumber(v)).toLocaleString('en-US');
+    const macros = t => `${num(t.calories)} kcal · P ${num(t.protein)} g · C ${num(t.carbs)} g · F ${num(t.fat)} g`;
+    const days = Object.keys(plan || {});
+    const slots = getPlanSlots(plan, profile);
+    const unitSystem = profile && profile.unitSystem;
+    const targets = calculateMacroTargets(profile || {});
+    const lines = [];
+
+    const title = 'Meal Plan' + (days.length ? ` — ${formatPlanDay(days[0], 'long')}${days.length > 1 ? ` to ${formatPlanDay(days[days.length - 1], 'long')}` : ''}` : '');
+    lines.push(plain ? title : `# ${esc(title)}`, '');
+    lines.push(`${bold('Target:')} ${macros(targets)} per day`);
+    if (options.seed !== undefined && options.seed !== null) lines.push(`${bold('Seed:')} ${options.seed}`);
+
+    days.forEach(day => {
+        const heading = formatPlanDay(day, 'long');
+        lines.push('', plain ? heading : `## ${esc(heading)}`);
+        if (!plain) lines.push('');
+        slots.forEach(slot => {
+            const meal = (plan[day] || {})[slot.key];
+            if (!meal) return;
+            const portion = getMealPortion(meal);
+            const serving = `${localizeServing(meal.serving_size, unitSystem)}${portion !== 1 ? ` (×${formatPortion(portion)})` : ''}`.trim();
+            const detail = [serving, macros(meal)].filter(Boolean).join(' · ');
+            lines.push(`${plain ? '• ' : '- '}${bold(`${esc(getSlotLabel(slot, false))}:`)} ${esc(getMealTitle(meal))} — ${esc(detail)}`);
+        });
+        const totals = sumMealTotals(Object.values(plan[day] || {}));
+        lines.push(plain ? `  Total: ${macros(totals)}` : `${bold('Total:')} ${macros(totals)}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/* ---------------------------
+   iCalendar (RFC 5545)
+--------------------------- */
+// event start per slot key (local "HH:MM"); unknown slots fall back by bucket
+export const DEFAULT_MEAL_TIMES = {
+    breakfast: '08:00', morning_snack: '10:30', lunch: '13:00',
+    afternoon_snack: '16:00', snacks: '16:00', dinner: '19:00'
+};
+export const MEAL_EVENT_MINUTES = 30;
+const ICS_PRODID = '-//TheDietPlanner//Diet Planner//EN';
+
+export function getSlotTime(slot, times = {}) {
+    const valid = t => (/^([01]\d|2[0-3]):[0-5]\d$/.test(t || '') ? t : null);
+    return valid(times[slot.key]) || valid(DEFAULT_MEAL_TIMES[slot.key]) || valid(DEFAULT_MEAL_TIMES[slot.bucket]) || '12:00';
+}
+
+// TEXT value escaping: backslash, semicolon, comma and newlines
+export function escapeICSText(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// lines longer than 75 octets continue on the next line after a single space;
+// never splits a UTF-8 character or a surrogate pair
+export function foldICSLine(line) {
+    const octets = cp => (cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4);
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const ch of line) {
+        const n = octets(ch.codePointAt(0));
+        if (size + n > 75) {
+            parts.push(current);
+            current = ' ';
+            size = 1;
+        }
+        current += ch;
+        size += n;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+}
+
+const icsDate = date => toISODate(date).replace(/-/g, '');
+const icsUtcStamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// options: { startDate: 'YYYY-MM-DD' (defaults to the plan's first day), times: { slotKey: 'HH:MM' }, seed, now }
+// Times are floating (no time zone), so meals stay at 08:00 wherever the calendar is.
+export function planToICS(plan, profile, options = {}) {
+    const days = Object.keys(plan || {});
+    const slots = getPlanSlots(plan, profile);
+    const unitSystem = profile && profile.unitSystem;
+    const start = parseISODate(options.startDate) || parseISODate(days[0]) || new Date();
+    const stamp = icsUtcStamp(options.now || new Date());
+    const uidTag = options.seed ?? 'plan';
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText('Meal Plan')}`
+    ];
+    days.forEach((day, idx) => {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + idx);
+        slots.forEach(slot => {
+            const meal = (plan[day] || {})[slot.key];
+            if (!meal) return;
+            const [h, m] = getSlotTime(slot, options.times).split(':').map(Number);
+            const begin = new Date(date.getFullYear(), date.getMonth(), date.getDate(), h, m);
+            const end = new Date(begin.getTime() + MEAL_EVENT_MINUTES * 60000);
+            const local = d => `${icsDate(d)}T${String(d.getHours()).padStart(2, '0')}${String(d.getMinutes()).padStart(2, '0')}00`;
+
+            const foods = Array.isArray(meal.foods) ? meal.foods.map(f => (typeof f === 'string' ? f : (f.name || f.title || '')).trim()).filter(Boolean) : [];
+            const portion = getMealPortion(meal);
+            const serving = `${localizeServing(meal.serving_size, unitSystem)}${portion !== 1 ? ` (×${formatPortion(portion)})` : ''}`.trim();
+            const description = [
+                `${safeNumber(meal.calories)} kcal · Protein ${safeNumber(meal.protein)} g · Carbs ${safeNumber(meal.carbs)} g · Fat ${safeNumber(meal.fat)} g · Fiber ${safeNumber(meal.fiber)} g`,
+                serving ? `Serving: ${serving}` : '',
+                foods.length ? `Foods: ${foods.join(', ')}` : ''
+            ].filter(Boolean).join('\n');
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${icsDate(date)}-${slot.key}-${uidTag}@thedietplanner.com`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${local(begin)}`,
+                `DTEND:${local(end)}`,
+                `SUMMARY:${escapeICSText(`${getSlotLabel(slot, false)}: ${getMealTitle(meal)}`)}`,
+                `DESCRIPTION:${escapeICSText(description)}`,
+                'CATEGORIES:Meal Plan',
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        });
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,135 @@
+/* ---------------------------
+   Tracker handoff protocol
+   Messages between the planner and the Diet Tracker over any transport
+   that can post and listen — window.postMessage to the opened tracker, or
+   a BroadcastChannel between same-origin tabs:
+
+     planner -> tracker   ping                          (is a tracker listening?)
+     tracker -> planner   ready { token }               (on load, and in reply to ping)
+     planner -> tracker   plan  { id, token, payload }  (an integration payload)
+     tracker -> planner   ack   { id, summary }  |  error { id, errors }
+
+   The plan carries the user's profile, so it is only sent after a ready
+   with the handoff token, which reaches the tracker solely in the URL the
+   planner opens (#handoff=<token>): another page on the channel hears the
+   ping but can't answer it, and trackers ignore plans for another token.
+
+   A transport is { name, post(message), listen(handler) -> stop }; the
+   caller owns the window/channel and its origin checks.
+--------------------------- */
+import { createSeed } from './random.mjs';
+import { parseIntegrationPayload } from './integration.mjs';
+
+export const HANDOFF_PROTOCOL = 'thedietplanner.handoff';
+export const HANDOFF_VERSION = 1;
+export const HANDOFF_CHANNEL = 'dietplanner-handoff';
+export const HANDOFF_TIMEOUTS = { handshake: 20000, ack: 10000 };  // ms
+export const HANDOFF_TOKEN_PARAM = 'handoff';
+const MESSAGE_TYPES = ['ping', 'ready', 'plan', 'ack', 'error'];
+
+export function createHandoffMessage(type, fields = {}) {
+    return { protocol: HANDOFF_PROTOCOL, version: HANDOFF_VERSION, type, ...fields };
+}
+
+// the message when `data` belongs to this protocol, otherwise null
+export function readHandoffMessage(data) {
+    if (!data || typeof data !== 'object' || data.protocol !== HANDOFF_PROTOCOL) return null;
+    return MESSAGE_TYPES.includes(data.type) ? data : null;
+}
+
+export function createHandoffToken() {
+    return [createSeed(), createSeed(), createSeed()].map(n => n.toString(36)).join('');
+}
+
+// the tracker url with the token added to its fragment
+export function withHandoffToken(url, token) {
+    const target = new URL(url);
+    const params = new URLSearchParams(target.hash.slice(1));
+    params.set(HANDOFF_TOKEN_PARAM, token);
+    target.hash = params.toString();
+    return target.href;
+}
+
+// the token a tracker page was opened with, or null
+export function readHandoffToken(url) {
+    return new URLSearchParams(new URL(url).hash.slice(1)).get(HANDOFF_TOKEN_PARAM);
+}
+
+/* ---------------------------
+   Planner side
+--------------------------- */
+// Waits for the first tracker to say ready with `token`, sends it the payload
+// and waits for its answer. Resolves (never rejects) with
+//   { status: 'delivered' | 'rejected' | 'timeout', stage, via, summary, errors }
+// `onStatus(stage, via)` reports 'handshake' and then 'sending'.
+export function sendPlanHandoff({ payload, transports, token, timeouts = {}, onStatus = () => {} }) {
+    const limits = { ...HANDOFF_TIMEOUTS, ...timeouts };
+    const id = `${Date.now().toString(36)}-${createSeed().toString(36)}`;
+    return new Promise(resolve => {
+        let stage = 'handshake';
+        let via = null;
+        let timer = null;
+        const stops = [];
+
+        const finish = result => {
+            clearTimeout(timer);
+            stops.forEach(stop => stop());
+            resolve({ stage, via, summary: null, errors: [], ...result });
+        };
+        const wait = ms => {
+            clearTimeout(timer);
+            timer = setTimeout(() => finish({ status: 'timeout' }), ms);
+        };
+
+        transports.forEach(transport => {
+            stops.push(transport.listen(data => {
+                const message = readHandoffMessage(data);
+                if (!message) return;
+                if (message.type === 'ready' && stage === 'handshake') {
+                    if (!token || message.token !== token) return;
+                    stage = 'sending';
+                    via = transport.name;
+                    onStatus(stage, via);
+                    transport.post(createHandoffMessage('plan', { id, token, payload }));
+                    wait(limits.ack);
+                } else if (message.id === id && transport.name === via) {
+                    if (message.type === 'ack') finish({ status: 'delivered', summary: message.summary || null });
+                    else if (message.type === 'error') finish({ status: 'rejected', errors: Array.isArray(message.errors) ? message.errors : [] });
+                }
+            }));
+        });
+        onStatus(stage, null);
+        wait(limits.handshake);
+        // the opened tracker says ready on load; the ping covers a ready sent before we listened
+        transports.forEach(transport => transport.post(createHandoffMessage('ping')));
+    });
+}
+
+/* ---------------------------
+   Tracker side
+--------------------------- */
+// Announces the tracker on every transport and answers plan messages.
+// `token` is the one the tracker was opened with (readHandoffToken); without
+// it the planner won't send. `onPlan(payload, via)` receives a validated,
+// migrated payload and may return a summary for the ack; throwing rejects
+// the plan. -> stop()
+export function acceptPlanHandoff({ transports, token = null, onPlan }) {
+    const ready = () => createHandoffMessage('ready', token ? { token } : {});
+    const stops = transports.map(transport => transport.listen(data => {
+        const message = readHandoffMessage(data);
+        if (!message) return;
+        if (message.type === 'ping') { transport.post(ready()); return; }
+        if (message.type !== 'plan' || !token || message.token !== token) return;
+
+        const { payload, errors } = parseIntegrationPayload(message.payload);
+        if (!payload) { transport.post(createHandoffMessage('error', { id: message.id, errors })); return; }
+        try {
+            const summary = onPlan(payload, transport.name) || { days: Object.keys(payload.mealPlan).length };
+            transport.post(createHandoffMessage('ack', { id: message.id, summary }));
+        } catch (err) {
+            transport.post(createHandoffMessage('error', { id: message.id, errors: [err.message] }));
+        }
+    }));
+    transports.forEach(transport => transport.post(ready()));
+    return () => stops.forEach(stop => stop());
+}
@@ -0,0 +1,173 @@
+/* ---------------------------
+   Saved profiles & plan history
+   Two record stores, kept by the page in IndexedDB:
+
+     profiles  { id, name, profile, createdAt, updatedAt }
+     plans     { id, profileId, profileName, source, createdAt, updatedAt,
+                 summary, payload }
+
+   `payload` is the integration payload (see integration.mjs), so a plan
+   from history opens exactly like an imported file. `source` is how the
+   plan came about: 'generated', 'replanned', 'imported' or 'migrated'
+   (the single saved plan earlier releases kept in localStorage).
+
+   A backend is { getAll(store), get(store, id), put(store, record),
+   delete(store, id) }, all returning promises; the caller owns the
+   database.
+--------------------------- */
+import { safeNumber } from './util.mjs';
+import { createSeed, normalizeSeed } from './random.mjs';
+import { calculateDailyTotals } from './stats.mjs';
+import { parseIntegrationPayload } from './integration.mjs';
+
+export const HISTORY_DB_NAME = 'dietplanner';
+export const HISTORY_DB_VERSION = 1;
+export const HISTORY_STORES = { profiles: 'profiles', plans: 'plans' };
+export const PLAN_SOURCES = ['generated', 'replanned', 'imported', 'migrated'];
+
+const COMPARE_FIELDS = ['calories', 'protein', 'carbs', 'fat'];
+
+export function createRecordId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${createSeed().toString(36)}`;
+}
+
+const round = v => Math.round(v);
+
+/* ---------------------------
+   Records
+--------------------------- */
+export function createProfileRecord(name, profile, options = {}) {
+    const now = (options.now || new Date()).toISOString();
+    return {
+        id: options.id || createRecordId('profile'),
+        name: String(name || '').trim() || 'Unnamed profile',
+        profile,
+        createdAt: options.createdAt || now,
+        updatedAt: now
+    };
+}
+
+// per-day averages and the date range, for listing plans without reading them
+export function summarizePlan(plan, profile = {}) {
+    const days = Object.keys(plan || {});
+    const totals = Object.values(calculateDailyTotals(plan));
+    const avg = key => (totals.length ? round(totals.reduce((sum, t) => sum + t[key], 0) / totals.length) : 0);
+    return {
+        days: days.length,
+        startDate: days[0] || null,
+        endDate: days[days.length - 1] || null,
+        targetCalories: round(safeNumber(profile.targetCalories)),
+        avgCalories: avg('calories'),
+        avgProtein: avg('protein'),
+        avgCarbs: avg('carbs'),
+        avgFat: avg('fat')
+    };
+}
+
+export function createPlanRecord(payload, options = {}) {
+    const now = (options.now || new Date()).toISOString();
+    return {
+        id: options.id || createRecordId('plan'),
+        profileId: options.profileId || null,
+        profileName: options.profileName || null,
+        source: PLAN_SOURCES.includes(options.source) ? options.source : 'generated',
+        createdAt: options.createdAt || payload.createdAt || now,
+        updatedAt: now,
+        seed: normalizeSeed(payload.seed),
+        summary: summarizePlan(payload.mealPlan, payload.userProfile),
+        payload
+    };
+}
+
+/* ---------------------------
+   Compare
+--------------------------- */
+function dayRows(payload) {
+    return Object.entries(calculateDailyTotals(payload.mealPlan)).map(([day, totals]) => {
+        const row = { day };
+        COMPARE_FIELDS.forEach(k => { row[k] = round(totals[k]); });
+        return row;
+    });
+}
+
+function averageRow(rows) {
+    const out = {};
+    COMPARE_FIELDS.forEach(k => {
+        out[k] = rows.length ? round(rows.reduce((sum, r) => sum + r[k], 0) / rows.length) : 0;
+    });
+    return out;
+}
+
+function diffRow(a, b) {
+    if (!a || !b) return null;
+    const out = {};
+    COMPARE_FIELDS.forEach(k => { out[k] = b[k] - a[k]; });
+    return out;
+}
+
+// Two plan records side by side. Days pair up by position (day 1 with
+// day 1) since two weeks rarely share dates; the shorter plan leaves
+// nulls. diff is b - a.
+//   -> { rows: [{ index, a, b, diff }], averages: { a, b, diff }, targets: { a, b } }
+export function comparePlans(recordA, recordB) {
+    const a = dayRows(recordA.payload);
+    const b = dayRows(recordB.payload);
+    const rows = [];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        rows.push({ index: i, a: a[i] || null, b: b[i] || null, diff: diffRow(a[i], b[i]) });
+    }
+    const averages = { a: averageRow(a), b: averageRow(b) };
+    averages.diff = diffRow(averages.a, averages.b);
+    return {
+        rows,
+        averages,
+        targets: {
+            a: round(safeNumber(recordA.payload.userProfile.targetCalories)),
+            b: round(safeNumber(recordB.payload.userProfile.targetCalories))
+        }
+    };
+}
+
+/* ---------------------------
+   Store
+--------------------------- */
+const newestFirst = (x, y) => String(y.createdAt).localeCompare(String(x.createdAt));
+
+export function createHistoryStore(backend) {
+    const { profiles, plans } = HISTORY_STORES;
+    return {
+        async listProfiles() {
+            const list = await backend.getAll(profiles);
+            return list.sort((x, y) => x.name.localeCompare(y.name));
+        },
+        getProfile: id => backend.get(profiles, id),
+        async saveProfile(record) {
+            await backend.put(profiles, record);
+            return record;
+        },
+        // the profile's plans stay in history under the name they were saved with
+        deleteProfile: id => backend.delete(profiles, id),
+
+        // newest first; { profileId } narrows to one profile's plans
+        async listPlans(filter = {}) {
+            const list = await backend.getAll(plans);
+            return list
+                .filter(r => !filter.profileId || r.profileId === filter.profileId)
+                .sort(newestFirst);
+        },
+        getPlan: id => backend.get(plans, id),
+        async savePlan(record) {
+            await backend.put(plans, record);
+            return record;
+        },
+        deletePlan: id => backend.delete(plans, id)
+    };
+}
+
+// The single plan earlier releases kept under one localStorage key, as a
+// history record; null when there is nothing readable to migrate.
+export function migrateLegacyPlan(storedText, options = {}) {
+    if (!storedText) return null;
+    const { payload } = parseIntegrationPayload(storedText);
+    return payload ? createPlanRecord(payload, { ...options, source: 'migrated' }) : null;
+}
@@ -0,0 +1,170 @@
+/* ---------------------------
+   Household plans
+   Several members share one menu: the same dish in every slot, portioned
+   for each member's own calorie target. Dishes are picked once for a
+   shared profile (the members' average target, the strictest diet, every
+   member's allergens, exclusions and conditions), then each member's plan
+   re-portions them to that member's slot targets. A bigger portion can break
+   a strict condition rule the shared one kept (carbs per meal, say), so each
+   member's portions are checked again and stepped down until they comply.
+
+   A household is { profile, dietType, dietKey, conflicts, members: [{ id, name, profile }] };
+   a member's profile is the one their plan is scaled, checked and exported
+   with — their body, goal and target, the household's shared settings and
+   restrictions.
+--------------------------- */
+import { safeNumber, normalizeKey } from './util.mjs';
+import { calculateTargetCalories } from './energy.mjs';
+import { normalizeConditions, createConditionMealFilter } from './conditions.mjs';
+import { PORTION_MIN, PORTION_STEP, choosePortionScale, scaleMeal } from './portions.mjs';
+import { findMealSlot } from './structures.mjs';
+import { getSlotCalorieTarget } from './solver.mjs';
+import { calculateDailyTotals } from './stats.mjs';
+import { buildShoppingList } from './shopping.mjs';
+import { generatePlan } from './plan.mjs';
+
+export const MIN_HOUSEHOLD_MEMBERS = 2;
+// Plan settings every member follows; taken from the household's settings profile
+export const HOUSEHOLD_SETTINGS = ['region', 'mealStructure', 'startDate', 'planWeeks', 'repeatGapDays', 'unitSystem'];
+// Strictest first: the first member diet in this order becomes the shared one
+export const DIET_PRIORITY = ['Vegan', 'Vegetarian', 'Keto', 'Low_Carb', 'High_Protein', 'Mediterranean', 'Regular'];
+// the member diets a shared diet's meals are suitable for
+export const DIET_SATISFIES = {
+    Vegan: ['Vegan', 'Vegetarian', 'Regular'],
+    Vegetarian: ['Vegetarian', 'Regular'],
+    Keto: ['Keto', 'Low_Carb', 'Regular'],
+    Low_Carb: ['Low_Carb', 'Regular'],
+    High_Protein: ['High_Protein', 'Regular'],
+    Mediterranean: ['Mediterranean', 'Regular'],
+    Regular: ['Regular']
+};
+
+const canonicalDiet = diet => DIET_PRIORITY.find(d => normalizeKey(d) === normalizeKey(diet)) || diet || 'Regular';
+// diets meals.json has but this list doesn't rank just above Regular
+const dietRank = diet => {
+    const i = DIET_PRIORITY.indexOf(diet);
+    return i === -1 ? DIET_PRIORITY.length - 1.5 : i;
+};
+const union = lists => [...new Set(lists.flat().filter(Boolean))];
+
+/* ---------------------------
+   Members
+--------------------------- */
+// a saved target is kept when it was entered or shifted by hand; otherwise recomputed
+export function getMemberTarget(profile) {
+    return profile.targetSource === 'model' || !safeNumber(profile.targetCalories)
+        ? calculateTargetCalories(profile)
+        : safeNumber(profile.targetCalories);
+}
+
+// -> { dietType, conflicts: [{ name, dietType }] } for members whose diet the shared one doesn't meet
+export function resolveHouseholdDiet(members) {
+    const diets = members.map(m => canonicalDiet(m.profile.dietType));
+    const dietType = diets.slice().sort((a, b) => dietRank(a) - dietRank(b))[0] || 'Regular';
+    const satisfied = DIET_SATISFIES[dietType] || [dietType, 'Regular'];
+    const conflicts = members
+        .map((m, i) => ({ name: m.name, dietType: diets[i] }))
+        .filter(c => !satisfied.includes(c.dietType));
+    return { dietType, conflicts };
+}
+
+// settings: the normalized profile the plan settings come from (the form);
+// members: [{ id, name, profile }] with normalized profiles
+export function createHousehold(settings, members) {
+    if (members.length < MIN_HOUSEHOLD_MEMBERS) throw new Error(`A household plan needs at least ${MIN_HOUSEHOLD_MEMBERS} members`);
+    const { dietType, conflicts } = resolveHouseholdDiet(members);
+    const shared = {
+        dietType,
+        allergens: union(members.map(m => m.profile.allergens || [])),
+        excludedIngredients: union(members.map(m => m.profile.excludedIngredients || [])),
+        conditions: normalizeConditions(union(members.map(m => m.profile.conditions || [])))
+    };
+    HOUSEHOLD_SETTINGS.forEach(key => { shared[key] = settings[key]; });
+
+    const memberProfiles = members.map(m => {
+        const profile = { ...m.profile, ...shared };
+        profile.targetCalories = getMemberTarget(profile);
+        return { id: m.id || null, name: m.name, profile };
+    });
+    const averageTarget = memberProfiles.reduce((sum, m) => sum + m.profile.targetCalories, 0) / memberProfiles.length;
+    return {
+        // dishes are chosen for an average member; nobody's macro override applies to the menu
+        profile: { ...settings, ...shared, targetCalories: Math.round(averageTarget), targetSource: 'manual', macroOverride: null },
+        dietType,
+        conflicts,
+        members: memberProfiles
+    };
+}
+
+/* ---------------------------
+   Plans
+--------------------------- */
+// the same dishes, each re-portioned to the profile's slot targets; a portion
+// that breaks a strict condition rule shrinks until it complies or reaches
+// PORTION_MIN, where the compliance report flags it
+export function scalePlanForMember(plan, profile) {
+    const meetsConditions = createConditionMealFilter(profile);
+    const out = {};
+    Object.keys(plan || {}).forEach(day => {
+        out[day] = {};
+        Object.entries(plan[day] || {}).forEach(([slot, meal]) => {
+            if (!meal) { out[day][slot] = meal; return; }
+            const unscaled = meal.base ? meal.base.calories : meal.calories;
+            const bucket = findMealSlot(slot, profile).bucket;
+            let scaled = scaleMeal(meal, choosePortionScale({ calories: unscaled }, getSlotCalorieTarget(slot, profile)));
+            while (scaled.portion > PORTION_MIN && !meetsConditions(scaled, bucket)) {
+                scaled = scaleMeal(meal, Math.max(PORTION_MIN, scaled.portion - PORTION_STEP));
+            }
+            out[day][slot] = scaled;
+        });
+    });
+    return out;
+}
+
+// -> { household, plan (portioned for the first member), seed, regionKey, dietKey }
+export function generateHouseholdPlan(db, settings, members, options = {}) {
+    const household = createHousehold(settings, members);
+    const { plan, seed, regionKey, dietKey } = generatePlan(db, household.profile, options);
+    // meals.json may have no bucket for the shared diet; resolveDietMeals then falls back to Regular
+    household.dietKey = dietKey || null;
+    return { household, plan: scalePlanForMember(plan, household.members[0].profile), seed, regionKey, dietKey };
+}
+
+// every member's plan, from any one member's
+export function getMemberPlans(plan, household) {
+    return household.members.map(m => ({ ...m, plan: scalePlanForMember(plan, m.profile) }));
+}
+
+/* ---------------------------
+   Combined outputs
+--------------------------- */
+// one row per day and slot: the dish and each member's portion of it
+//   -> [{ day, slot, meal, portions: [meal | null per member] }]
+export function buildHouseholdTable(plan, household) {
+    const memberPlans = getMemberPlans(plan, household);
+    const rows = [];
+    Object.keys(plan || {}).forEach(day => {
+        Object.entries(plan[day] || {}).forEach(([slot, meal]) => {
+            if (!meal) return;
+            rows.push({ day, slot, meal, portions: memberPlans.map(m => (m.plan[day] || {})[slot] || null) });
+        });
+    });
+    return rows;
+}
+
+// -> [{ name, targetCalories, avg: { calories, protein, carbs, fat, fiber }, calorieGap }], averages per plan day
+export function summarizeHouseholdMembers(plan, household) {
+    return getMemberPlans(plan, household).map(m => {
+        const totals = Object.values(calculateDailyTotals(m.plan));
+        const avg = {};
+        ['calories', 'protein', 'carbs', 'fat', 'fiber'].forEach(k => {
+            avg[k] = totals.length ? Math.round(totals.reduce((sum, t) => sum + t[k], 0) / totals.length) : 0;
+        });
+        return { name: m.name, targetCalories: m.profile.targetCalories, avg, calorieGap: avg.calories - m.profile.targetCalories };
+    });
+}
+
+// quantities for everyone: each member's portions of every dish added up
+export function buildHouseholdShoppingList(plan, household, options = {}) {
+    return buildShoppingList(getMemberPlans(plan, household).map(m => m.plan), options);
+}
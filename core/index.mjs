@@ -0,0 +1,32 @@
+/* ---------------------------
+   Diet Planner core
+   Data loading, calorie math, meal selection, stats and export builders.
+   Nothing in core/ touches the DOM or browser storage, so it can be
+   imported from Node as well as from the page (planner.js).
+--------------------------- */
+export * from './util.mjs';
+export * from './calendar.mjs';
+export * from './units.mjs';
+export * from './random.mjs';
+export * from './energy.mjs';
+export * from './nutrition.mjs';
+export * from './nutrients.mjs';
+export * from './meals.mjs';
+export * from './exclusions.mjs';
+export * from './conditions.mjs';
+export * from './structures.mjs';
+export * from './portions.mjs';
+export * from './stats.mjs';
+export * from './projection.mjs';
+export * from './solver.mjs';
+export * from './shopping.mjs';
+export * from './profile.mjs';
+export * from './plan.mjs';
+export * from './pdf.mjs';
+export * from './exports.mjs';
+export * from './integration.mjs';
+export * from './handoff.mjs';
+export * from './adherence.mjs';
+export * from './history.mjs';
+export * from './household.mjs';
+export * from './recipes.mjs';
@@ -0,0 +1,244 @@
+/* ---------------------------
+   Diet Tracker handoff payload
+   One versioned JSON document, stored under INTEGRATION_STORAGE_KEY (and
+   the legacy keys) for the tracker, under TRACKER_PLAN_STORAGE_KEY by the
+   tracker for plans it edited, and also used for file import/export:
+
+   {
+     schema:       'thedietplanner.plan',
+     version:      4,
+     createdAt:    ISO timestamp,
+     source:       'thedietplanner-diet-planner' (or the tracker's id),
+     userProfile:  the metric profile (targetCalories required),
+     mealPlan:     { 'YYYY-MM-DD': { <slot>: meal | null } },
+     seed:         uint32 | null,
+     dailyTargets: { calories, protein, carbs, fat, fiber, water },
+     macroSplit:   { protein, carbs, fat } percentages,
+     dailyTotals:  { 'YYYY-MM-DD': { calories, protein, carbs, fat, fiber } },
+     checksum:     'fnv1a:xxxxxxxx' over everything else
+   }
+
+   dailyTotals is derived from mealPlan for readers that don't sum meals
+   themselves; it is optional and ignored on import.
+
+   Version 3 payloads ({ version: '3.0', timestamp, ... }) and the planner's
+   own saved plans ({ plan, profile, seed, generated }) are migrated.
+--------------------------- */
+import { safeNumber } from './util.mjs';
+import { parseISODate } from './calendar.mjs';
+import { normalizeSeed } from './random.mjs';
+import { calculateMacroTargets } from './nutrition.mjs';
+import { calculateDailyTotals } from './stats.mjs';
+
+export const PAYLOAD_SCHEMA = 'thedietplanner.plan';
+export const PAYLOAD_VERSION = 4;
+export const PAYLOAD_SOURCE = 'thedietplanner-diet-planner';
+// planner -> tracker: the key the deployed Diet Tracker reads; don't rename it before the tracker moves
+export const INTEGRATION_STORAGE_KEY = 'dietplanner_integration_v3';
+// further copies of the same blob the tracker may read; written on every send, never removed by a send
+export const LEGACY_INTEGRATION_KEYS = ['planned_meals_v1', 'diettracker_import', 'meal_plan_transfer'];
+export const INTEGRATION_SENT_FLAG_KEY = 'meal_plan_sent';   // 'true' once a plan is stored
+// tracker -> planner: plans edited in the tracker, for "Reopen from Diet Tracker"
+export const TRACKER_PLAN_STORAGE_KEY = 'dietplanner_tracker_plan';
+
+const WEEKDAY_KEYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MEAL_NUMBER_FIELDS = ['calories', 'protein', 'carbs', 'fat'];
+
+/* ---------------------------
+   Checksum
+--------------------------- */
+// JSON with object keys sorted, so the checksum doesn't depend on key order
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(v => canonicalJSON(v === undefined ? null : v)).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// FNV-1a (32-bit) over the canonical JSON of the payload minus its checksum
+export function computePayloadChecksum(payload) {
+    const { checksum, ...content } = payload || {};
+    const text = canonicalJSON(content);
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return `fnv1a:${(h >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+function withChecksum(payload) {
+    const { checksum, ...content } = payload;
+    return { ...content, checksum: computePayloadChecksum(content) };
+}
+
+/* ---------------------------
+   Build
+--------------------------- */
+export function buildIntegrationPayload(plan, profile, seed, options = {}) {
+    const macroTargets = calculateMacroTargets(profile);
+    return withChecksum({
+        schema: PAYLOAD_SCHEMA,
+        version: PAYLOAD_VERSION,
+        createdAt: options.createdAt || new Date().toISOString(),
+        source: options.source || PAYLOAD_SOURCE,
+        userProfile: profile,
+        mealPlan: plan,
+        seed: normalizeSeed(seed),
+        dailyTargets: {
+            calories: macroTargets.calories,
+            protein: macroTargets.protein,
+            carbs: macroTargets.carbs,
+            fat: macroTargets.fat,
+            fiber: macroTargets.fiber,
+            water: 2000
+        },
+        macroSplit: macroTargets.split,
+        dailyTotals: roundDailyTotals(calculateDailyTotals(plan))
+    });
+}
+
+function roundDailyTotals(totals) {
+    const out = {};
+    Object.entries(totals).forEach(([day, t]) => {
+        out[day] = {};
+        Object.entries(t).forEach(([k, v]) => { out[day][k] = Math.round(v * 10) / 10; });
+    });
+    return out;
+}
+
+// the lossless file export; parseIntegrationPayload reads it back
+export function planToJSON(plan, profile, seed) {
+    return JSON.stringify(buildIntegrationPayload(plan, profile, seed), null, 2) + '\n';
+}
+
+/* ---------------------------
+   Migration
+--------------------------- */
+// the schema version a raw object claims, 1 for the planner's saved-plan shape
+export function detectPayloadVersion(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (raw.version !== undefined) {
+        const v = Math.floor(safeNumber(raw.version));
+        return v > 0 ? v : null;
+    }
+    if (raw.plan && raw.profile) return 1;
+    return null;
+}
+
+const MIGRATIONS = {
+    // planner storage: { plan, profile, seed, generated }
+    1: raw => ({
+        version: 3,
+        timestamp: raw.generated,
+        source: PAYLOAD_SOURCE,
+        userProfile: raw.profile,
+        mealPlan: raw.plan,
+        seed: raw.seed
+    }),
+    // 3.0 had no schema tag or checksum, and targets were optional
+    3: raw => {
+        const { timestamp, ...rest } = raw;
+        const profile = raw.userProfile || {};
+        const macroTargets = safeNumber(profile.targetCalories) ? calculateMacroTargets(profile) : null;
+        return withChecksum({
+            ...rest,
+            schema: PAYLOAD_SCHEMA,
+            version: 4,
+            createdAt: timestamp || new Date().toISOString(),
+            source: raw.source || PAYLOAD_SOURCE,
+            seed: normalizeSeed(raw.seed),
+            dailyTargets: raw.dailyTargets || (macroTargets && {
+                calories: macroTargets.calories, protein: macroTargets.protein, carbs: macroTargets.carbs,
+                fat: macroTargets.fat, fiber: macroTargets.fiber, water: 2000
+            }) || null,
+            macroSplit: raw.macroSplit || (macroTargets && macroTargets.split) || null
+        });
+    }
+};
+
+// -> { payload, fromVersion }; throws when the version is unknown or newer than ours
+export function migrateIntegrationPayload(raw) {
+    const fromVersion = detectPayloadVersion(raw);
+    if (fromVersion === null) throw new Error('Not a Diet Planner payload');
+    if (fromVersion > PAYLOAD_VERSION) throw new Error(`Payload version ${fromVersion} is newer than this planner supports (${PAYLOAD_VERSION})`);
+    let payload = raw;
+    let version = fromVersion;
+    while (version < PAYLOAD_VERSION) {
+        const step = MIGRATIONS[version];
+        if (!step) {
+            const known = [...Object.keys(MIGRATIONS), PAYLOAD_VERSION].join(', ');
+            throw new Error(`Payload version ${version} was never released by the Diet Planner (known versions: ${known})`);
+        }
+        payload = step(payload);
+        version = detectPayloadVersion(payload);
+    }
+    return { payload, fromVersion };
+}
+
+/* ---------------------------
+   Validation
+--------------------------- */
+const isPlainObject = v => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+// -> list of problems with a current-version payload; empty when it's valid
+export function validateIntegrationPayload(payload) {
+    const errors = [];
+    if (!isPlainObject(payload)) return ['Payload must be a JSON object'];
+    if (payload.schema !== PAYLOAD_SCHEMA) errors.push(`schema must be "${PAYLOAD_SCHEMA}"`);
+    if (payload.version !== PAYLOAD_VERSION) errors.push(`version must be ${PAYLOAD_VERSION}`);
+    if (Number.isNaN(Date.parse(payload.createdAt))) errors.push('createdAt must be an ISO timestamp');
+    if (typeof payload.source !== 'string' || !payload.source) errors.push('source must be a non-empty string');
+    if (payload.seed !== null && payload.seed !== undefined && !(Number.isInteger(payload.seed) && payload.seed >= 0 && payload.seed <= 0xFFFFFFFF)) {
+        errors.push('seed must be a 32-bit unsigned integer or null');
+    }
+
+    const profile = payload.userProfile;
+    if (!isPlainObject(profile)) errors.push('userProfile must be an object');
+    else if (!(isNumber(profile.targetCalories) && profile.targetCalories > 0)) errors.push('userProfile.targetCalories must be a positive number');
+
+    const plan = payload.mealPlan;
+    if (!isPlainObject(plan) || !Object.keys(plan).length) errors.push('mealPlan must be an object with at least one day');
+    else {
+        Object.entries(plan).forEach(([day, meals]) => {
+            // weekday-keyed plans predate the calendar and still render
+            if (!parseISODate(day) && !WEEKDAY_KEYS.includes(day.toLowerCase())) errors.push(`mealPlan: "${day}" is not a YYYY-MM-DD date`);
+            if (!isPlainObject(meals)) { errors.push(`mealPlan.${day} must be an object of meal slots`); return; }
+            Object.entries(meals).forEach(([slot, meal]) => {
+                if (meal === null) return;
+                const where = `mealPlan.${day}.${slot}`;
+                if (!isPlainObject(meal)) { errors.push(`${where} must be a meal object or null`); return; }
+                if (typeof meal.name !== 'string' && typeof meal.title !== 'string') errors.push(`${where} needs a name`);
+                MEAL_NUMBER_FIELDS.forEach(f => { if (!isNumber(meal[f])) errors.push(`${where}.${f} must be a number`); });
+            });
+        });
+    }
+
+    ['dailyTargets', 'macroSplit'].forEach(key => {
+        const v = payload[key];
+        if (v === null || v === undefined) return;
+        if (!isPlainObject(v) || Object.values(v).some(n => !isNumber(n))) errors.push(`${key} must be an object of numbers`);
+    });
+
+    if (payload.dailyTotals !== undefined && !(isPlainObject(payload.dailyTotals) && Object.values(payload.dailyTotals).every(isPlainObject))) {
+        errors.push('dailyTotals must be an object of per-day totals');
+    }
+
+    if (typeof payload.checksum !== 'string') errors.push('checksum is missing');
+    else if (payload.checksum !== computePayloadChecksum(payload)) errors.push('checksum does not match — the payload was modified or truncated');
+    return errors;
+}
+
+// JSON text or an object -> { payload, fromVersion, errors }; `payload` is null unless valid
+export function parseIntegrationPayload(input) {
+    let raw = input;
+    if (typeof input === 'string') {
+        try { raw = JSON.parse(input); } catch (err) { return { payload: null, fromVersion: null, errors: ['Not valid JSON'] }; }
+    }
+    let migrated;
+    try { migrated = migrateIntegrationPayload(raw); } catch (err) { return { payload: null, fromVersion: null, errors: [err.message] }; }
+    const errors = validateIntegrationPayload(migrated.payload);
+    return { payload: errors.length ? null : migrated.payload, fromVersion: migrated.fromVersion, errors };
+}
@@ -0,0 +1,381 @@
+/* ---------------------------
+   Meal database
+   meals.json is normalized once, on load, into
+   { region: { diet: { breakfast:[], lunch:[], dinner:[], snacks:[] } } }
+   and every meal into one flat shape (see normalizeMealObject).
+--------------------------- */
+import { safeNumber, normalizeKey } from './util.mjs';
+import { DEFAULT_MACRO_SPLIT } from './nutrition.mjs';
+import { readMicronutrients } from './nutrients.mjs';
+import { CONDITION_DATASET_DIETS, normalizeConditions } from './conditions.mjs';
+
+export const MEAL_BUCKETS = ['breakfast', 'lunch', 'dinner', 'snacks'];
+export const MEAL_DATA_URLS = ['meals.json', '/meals.json', 'data/meals.json'];
+
+// tries each url in turn; anything unusable falls back to the built-in meals
+export async function fetchMealsDatabase({ urls = MEAL_DATA_URLS, fetchImpl = globalThis.fetch } = {}) {
+    let raw = null;
+    for (const url of urls) {
+        try {
+            const res = await fetchImpl(url, { cache: 'no-store' });
+            if (!res.ok) throw new Error('HTTP ' + res.status);
+            raw = await res.json();
+            break;
+        } catch (err) {
+            console.warn('Could not load meals from', url, err && err.message ? err.message : err);
+        }
+    }
+
+    if (!raw) {
+        console.warn('⚠️ meals.json not found — using built-in fallback.');
+        return createFallbackMeals();
+    }
+    return normalizeMealsDatabase(raw);
+}
+
+function toBucketKey(mealType) {
+    if (MEAL_BUCKETS.includes(mealType)) return mealType;
+    return mealType === 'snack' ? 'snacks' : 'lunch';
+}
+
+export function normalizeMealsDatabase(raw) {
+    // support wrapper shapes like { meals: [...] } or { data: { meals: [...] } }
+    if (raw && raw.meals && Array.isArray(raw.meals)) raw = raw.meals;
+    else if (raw && raw.data && raw.data.meals && Array.isArray(raw.data.meals)) raw = raw.data.meals;
+
+    // flat array of meals, each carrying its own region / diet(s) / mealType
+    if (Array.isArray(raw)) {
+        const normalized = {};
+        raw.forEach((m, i) => {
+            if (!m || typeof m !== 'object') return;
+            const regionKey = (m.region || 'Global').toString();
+            const listed = Array.isArray(m.diets) && m.diets.length ? m.diets : [m.diet || 'Regular'];
+            // a meal tagged with real diets only needs its condition recorded, not a condition bucket
+            const diets = listed.some(d => !CONDITION_DATASET_DIETS[d]) ? listed.filter(d => !CONDITION_DATASET_DIETS[d]) : listed;
+            const mealType = (m.mealType || m.type || m.category || 'lunch').toString().toLowerCase();
+
+            if (!normalized[regionKey]) normalized[regionKey] = {};
+            for (const diet of diets) {
+                const dietKey = diet || 'Regular';
+                if (!normalized[regionKey][dietKey]) normalized[regionKey][dietKey] = { breakfast: [], lunch: [], dinner: [], snacks: [] };
+                normalized[regionKey][dietKey][toBucketKey(mealType)].push(normalizeMealObject(m, i, regionKey, dietKey, mealType));
+            }
+        });
+        return foldConditionDiets(normalized);
+    }
+
+    // nested region -> diet -> { breakfast:[], lunch:[] ... }
+    if (!raw || typeof raw !== 'object') {
+        console.warn('⚠️ Unexpected meals.json structure — using fallback.');
+        return createFallbackMeals();
+    }
+    const normalized = {};
+    Object.keys(raw).forEach(regionKey => {
+        const regionObj = raw[regionKey];
+        if (!regionObj || typeof regionObj !== 'object') return;
+        normalized[regionKey] = {};
+
+        Object.keys(regionObj).forEach(dietKey => {
+            const dietObj = regionObj[dietKey];
+            if (!dietObj || typeof dietObj !== 'object') return;
+
+            const out = {};
+            MEAL_BUCKETS.forEach(t => {
+                let arr = dietObj[t] || dietObj[t.charAt(0).toUpperCase() + t.slice(1)] || [];
+                if (!Array.isArray(arr)) arr = [];
+                out[t] = arr.map((m, i) => normalizeMealObject(m, i, regionKey, dietKey, t));
+            });
+            normalized[regionKey][dietKey] = out;
+        });
+    });
+
+    if (!Object.keys(normalized).length) return createFallbackMeals();
+    foldConditionDiets(normalized);
+    return normalized;
+}
+
+// Condition buckets (Diabetic_Friendly, ...) hold ordinary meals suited to a
+// medical condition. They are merged into Regular, each meal keeping the
+// condition in `conditions`, so condition profiles can prefer them.
+function foldConditionDiets(normalized) {
+    Object.values(normalized).forEach(regionMeals => {
+        Object.keys(regionMeals).forEach(dietKey => {
+            const condition = CONDITION_DATASET_DIETS[dietKey];
+            if (!condition) return;
+            const target = regionMeals.Regular || (regionMeals.Regular = { breakfast: [], lunch: [], dinner: [], snacks: [] });
+            MEAL_BUCKETS.forEach(t => {
+                const seen = new Map(target[t].map(m => [m.id, m]));
+                (regionMeals[dietKey][t] || []).forEach(m => {
+                    const existing = seen.get(m.id);
+                    if (existing) {
+                        existing.conditions = normalizeConditions([...(existing.conditions || []), ...m.conditions]);
+                        return;
+                    }
+                    target[t].push(m);
+                });
+            });
+            delete regionMeals[dietKey];
+        });
+    });
+    return normalized;
+}
+
+// meals.json may carry a glycemic index, or only a glycemic load for its serving
+function readGlycemicIndex(meal, carbs, fiber) {
+    const gi = meal.glycemic_index ?? meal.gi;
+    if (gi !== undefined && gi !== null && gi !== '') return safeNumber(gi);
+    const gl = meal.glycemic_load ?? meal.gl;
+    const netCarbs = carbs - fiber;
+    if (gl !== undefined && gl !== null && gl !== '' && netCarbs > 0) return Math.round(safeNumber(gl) * 100 / netCarbs);
+    return undefined;
+}
+
+// condition keys from `conditions` and from condition diets listed in `diets`
+function readMealConditions(meal, dietKey) {
+    const fromDiets = [dietKey, ...(Array.isArray(meal.diets) ? meal.diets : [])].map(d => CONDITION_DATASET_DIETS[d]).filter(Boolean);
+    return normalizeConditions([...(Array.isArray(meal.conditions) ? meal.conditions : []), ...fromDiets]);
+}
+
+// Generated ids depend only on the meal's position in meals.json, so a seed
+// replays to the same plan across page loads.
+export function normalizeMealObject(meal, idx, region, diet, mealType) {
+    // If invalid meal object, return a safe placeholder
+    if (!meal || typeof meal !== 'object') {
+        return {
+            id: `${region}_${diet}_${mealType}_${idx}`,
+            title: `Option ${idx + 1}`,
+            serving_size: '1 serving',
+            calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0, foods: [], tags: [],
+            _isFallback: true
+        };
+    }
+
+    // Support many possible field names
+    const rawTitle = (meal.title || meal.name || meal.label || meal.dish_name || meal.display_name || '').toString().trim();
+    const serving_size = meal.serving_size || meal.servingSize || meal.serving || '';
+    const calories = safeNumber(meal.calories ?? meal.kcal ?? meal.cal ?? 0);
+    const protein = safeNumber(meal.protein ?? meal.prot ?? 0);
+    const carbs = safeNumber(meal.carbs ?? meal.carbohydrates ?? meal.carb ?? 0);
+    const fat = safeNumber(meal.fat ?? meal.fats ?? 0);
+    const fiber = safeNumber(meal.fiber ?? meal.fib ?? 0);
+
+    // Build foods array consistently
+    let foods = [];
+    if (Array.isArray(meal.foods) && meal.foods.length) {
+        foods = meal.foods.map(f => (typeof f === 'string') ? { name: f } : (typeof f === 'object' ? f : { name: String(f) }));
+    } else if (meal.ingredients && typeof meal.ingredients === 'string') {
+        foods = meal.ingredients.split(',').map(s => ({ name: s.trim() })).filter(f => f.name);
+    } else if (meal.components && Array.isArray(meal.components)) {
+        foods = meal.components.map(c => (typeof c === 'string') ? { name: c } : (c || {}));
+    }
+
+    // If no explicit title, derive from foods (first up to 3 names)
+    let title = rawTitle;
+    if (!title) {
+        const foodNames = foods.map(f => f.name || f.title || '').filter(Boolean);
+        if (foodNames.length) title = foodNames.slice(0, 3).join(', ');
+    }
+    if (!title) title = `Meal ${idx + 1}`;
+
+    const normalized = {
+        id: meal.id ?? `${region}_${diet}_${mealType}_${idx}`,
+        title,
+        serving_size,
+        calories, protein, carbs, fat, fiber,
+        ...readMicronutrients(meal),
+        foods,
+        tags: Array.isArray(meal.tags) ? meal.tags : (meal.tags ? [String(meal.tags)] : []),
+        conditions: readMealConditions(meal, diet)
+    };
+    const glycemicIndex = readGlycemicIndex(meal, carbs, fiber);
+    if (glycemicIndex !== undefined) normalized.glycemic_index = glycemicIndex;
+    return normalized;
+}
+
+export function createFallbackMeals() {
+    return {
+        "India": {
+            "Regular": {
+                breakfast: [
+                    { id: 'fb1', title: "Oatmeal with Fruits", serving_size: "1 serving", calories: 250, protein: 8, carbs: 45, fat: 4, fiber: 5 },
+                    { id: 'fb2', title: "Boiled Eggs", serving_size: "2 eggs", calories: 150, protein: 12, carbs: 1, fat: 10, fiber: 0 }
+                ],
+                lunch: [
+                    { id: 'fl1', title: "Grilled Chicken Salad", serving_size: "1 bowl", calories: 350, protein: 30, carbs: 15, fat: 12, fiber: 6 },
+                    { id: 'fl2', title: "Veggie Wrap", serving_size: "1 wrap", calories: 300, protein: 10, carbs: 40, fat: 8, fiber: 5 }
+                ],
+                dinner: [
+                    { id: 'fd1', title: "Paneer Curry with Rice", serving_size: "1 plate", calories: 400, protein: 20, carbs: 50, fat: 15, fiber: 5 },
+                    { id: 'fd2', title: "Fish with Quinoa", serving_size: "1 plate", calories: 450, protein: 35, carbs: 40, fat: 14, fiber: 4 }
+                ],
+                snacks: [
+                    { id: 'fs1', title: "Fruit and Nuts", serving_size: "1 small bowl", calories: 150, protein: 4, carbs: 20, fat: 6, fiber: 3 }
+                ]
+            }
+        },
+        "USA": {
+            "Regular": {
+                breakfast: [{ id: 'us_b1', title: "Scrambled Eggs with Toast", serving_size: "1 serving", calories: 320, protein: 18, carbs: 28, fat: 14, fiber: 3 }],
+                lunch: [{ id: 'us_l1', title: "Turkey Sandwich", serving_size: "1", calories: 420, protein: 30, carbs: 45, fat: 12, fiber: 4 }],
+                dinner: [{ id: 'us_d1', title: "Grilled Salmon", serving_size: "1", calories: 500, protein: 35, carbs: 30, fat: 22, fiber: 3 }],
+                snacks: [{ id: 'us_s1', title: "Greek Yogurt & Berries", serving_size: "1 cup", calories: 160, protein: 12, carbs: 18, fat: 4, fiber: 2 }]
+            }
+        }
+    };
+}
+
+/* ---------------------------
+   Region / diet bucket resolution
+--------------------------- */
+export function resolveDietMeals(db, profile) {
+    const regions = Object.keys(db || {});
+    const normRegion = normalizeKey(profile.region);
+    const regionKey = regions.find(k => normalizeKey(k) === normRegion)
+        || regions.find(k => normalizeKey(k).includes(normRegion) || normRegion.includes(normalizeKey(k)));
+
+    if (!regionKey) {
+        console.error("❌ Region not found:", profile.region, "Available regions:", regions);
+        throw new Error(`No meals available for region: ${profile.region}`);
+    }
+
+    const regionMeals = db[regionKey];
+    const normDiet = normalizeKey(profile.dietType);
+    const dietKey = Object.keys(regionMeals).find(k => normalizeKey(k) === normDiet)
+        || Object.keys(regionMeals).find(k => normalizeKey(k).includes(normDiet) || normDiet.includes(normalizeKey(k)));
+
+    const dietMeals = regionMeals[dietKey] || regionMeals["Regular"] || Object.values(regionMeals)[0];
+    if (!dietMeals) {
+        console.error("❌ Diet not found:", profile.dietType, "Available diets:", Object.keys(regionMeals));
+        throw new Error(`No meals available for diet: ${profile.dietType} in region: ${profile.region}`);
+    }
+
+    return { regionKey, dietKey, dietMeals };
+}
+
+export function getMealsArrayForType(dietMeals, mealType) {
+    if (!dietMeals) return [];
+    const variants = [
+        mealType,
+        mealType.toLowerCase(),
+        mealType.charAt(0).toUpperCase() + mealType.slice(1),
+        mealType + 's',
+        mealType.replace('_', ' '),
+        mealType.replace('_', ' ').toLowerCase()
+    ];
+
+    for (const k of variants) {
+        if (k && Array.isArray(dietMeals[k]) && dietMeals[k].length) return dietMeals[k];
+    }
+
+    // if dietMeals itself is an array (legacy)
+    if (Array.isArray(dietMeals) && dietMeals.length) return dietMeals.slice();
+
+    // first non-empty array inside object
+    for (const k of Object.keys(dietMeals)) {
+        if (Array.isArray(dietMeals[k]) && dietMeals[k].length) return dietMeals[k];
+    }
+    return [];
+}
+
+// every meal in a diet bucket, regardless of meal type
+export function flattenMeals(obj) {
+    if (!obj) return [];
+    if (Array.isArray(obj)) return obj.slice();
+    const out = [];
+    for (const k of Object.keys(obj)) {
+        if (Array.isArray(obj[k])) out.push(...obj[k]);
+    }
+    return out;
+}
+
+/* ---------------------------
+   Meal helpers
+--------------------------- */
+export function getMealTitle(meal) {
+    if (!meal) return 'No meal';
+    if (typeof meal === 'string') return meal;
+
+    // prefer explicitly provided fields
+    const fields = [meal.title, meal.name, meal.display_name, meal.dish_name, meal.label];
+    for (const f of fields) {
+        if (f && String(f).trim()) return String(f).trim();
+    }
+
+    // if foods array exists, use it
+    if (Array.isArray(meal.foods) && meal.foods.length) {
+        const names = meal.foods.map(f => (typeof f === 'string' ? f : (f.name || f.title || '')).trim()).filter(Boolean);
+        if (names.length) return names.slice(0, 4).join(', ');
+    }
+
+    // if ingredients string exists
+    if (meal.ingredients && typeof meal.ingredients === 'string') {
+        const parts = meal.ingredients.split(',').map(s => s.trim()).filter(Boolean);
+        if (parts.length) return parts.slice(0, 4).join(', ');
+    }
+
+    // fallback to id or a generic label
+    if (meal.id) return `Meal #${meal.id}`;
+    return 'Custom Meal';
+}
+
+export function getMealId(meal) {
+    if (!meal) return null;
+    return meal.id ?? (meal.title ? String(meal.title) : null);
+}
+
+// meals the loader and createDefaultMeal make up when there is no real data; they carry
+// _isFallback, which a real meal titled e.g. "Healthy oats" never does
+export function isPlaceholderMeal(meal) {
+    return Boolean(meal && meal._isFallback);
+}
+
+export function createDefaultMeal(mealType, targetCalories, split = DEFAULT_MACRO_SPLIT) {
+    const defaults = {
+        breakfast: { title: "Mixed Breakfast", serving_size: "1 serving", calories: Math.round(targetCalories) },
+        lunch:     { title: "Balanced Lunch", serving_size: "1 serving", calories: Math.round(targetCalories) },
+        dinner:    { title: "Nutritious Dinner", serving_size: "1 serving", calories: Math.round(targetCalories) },
+        snacks:    { title: "Healthy Snack", serving_size: "1 serving", calories: Math.round(targetCalories) }
+    };
+    const base = defaults[mealType] || defaults.lunch;
+    return {
+        id: `fallback_${mealType}_${Math.round(targetCalories)}`,
+        ...base,
+        protein: Math.round(targetCalories * split.protein / 4),
+        carbs:   Math.round(targetCalories * split.carbs / 4),
+        fat:     Math.round(targetCalories * split.fat / 9),
+        fiber:   5,
+        _isFallback: true
+    };
+}
+
+// normalize a raw database meal into the shape stored in the plan
+export function toPlannedMeal(m, mealType, targetForMeal) {
+    if (!m) return createDefaultMeal(mealType, targetForMeal);
+    if (typeof m !== 'object') return {
+        id: String(m),
+        title: String(m),
+        serving_size: '',
+        calories: 0,
+        protein: 0,
+        carbs: 0,
+        fat: 0,
+        fiber: 0,
+        foods: []
+    };
+    if (m._isFallback) return m;
+    return {
+        id: m.id ?? (m.title ? String(m.title) : getMealTitle(m)),
+        title: (m.title || m.name || m.label || '').toString() || 'Meal',
+        serving_size: m.serving_size || m.serving || m.servingSize || '',
+        calories: safeNumber(m.calories ?? m.kcal ?? 0),
+        protein: safeNumber(m.protein ?? m.prot ?? 0),
+        carbs: safeNumber(m.carbs ?? m.carbohydrates ?? 0),
+        fat: safeNumber(m.fat ?? m.fats ?? 0),
+        fiber: safeNumber(m.fiber ?? 0),
+        ...readMicronutrients(m),
+        ...(m.glycemic_index !== undefined ? { glycemic_index: safeNumber(m.glycemic_index) } : {}),
+        foods: Array.isArray(m.foods) ? m.foods : (m.ingredients ? String(m.ingredients).split(',').map(s => ({ name: s.trim() })) : []),
+        tags: Array.isArray(m.tags) ? m.tags : [],
+        conditions: Array.isArray(m.conditions) ? m.conditions : []
+    };
+}
@@ -0,0 +1,75 @@
+/* ---------------------------
+   Nutrient schema
+   Macros are always present on a meal; micronutrients are optional and
+   only kept when meals.json actually reports them, so "no data" is never
+   mistaken for zero. Adding a nutrient is a new MICRONUTRIENTS entry.
+--------------------------- */
+import { safeNumber } from './util.mjs';
+
+export const MACRO_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// dailyValue: FDA reference daily intake for adults; limit: true marks
+// nutrients where the value is a ceiling rather than a goal
+export const MICRONUTRIENTS = [
+    { key: 'sugar', label: 'Sugar', unit: 'g', dailyValue: 50, limit: true, aliases: ['sugars', 'total_sugar', 'added_sugar'] },
+    { key: 'saturated_fat', label: 'Saturated Fat', unit: 'g', dailyValue: 20, limit: true, aliases: ['saturatedFat', 'sat_fat', 'saturated'] },
+    { key: 'cholesterol', label: 'Cholesterol', unit: 'mg', dailyValue: 300, limit: true, aliases: ['chol'] },
+    { key: 'sodium', label: 'Sodium', unit: 'mg', dailyValue: 2300, limit: true, aliases: ['na', 'sodium_mg'] },
+    { key: 'potassium', label: 'Potassium', unit: 'mg', dailyValue: 4700, aliases: ['k', 'potassium_mg'] },
+    { key: 'calcium', label: 'Calcium', unit: 'mg', dailyValue: 1300, aliases: ['ca', 'calcium_mg'] },
+    { key: 'iron', label: 'Iron', unit: 'mg', dailyValue: 18, aliases: ['fe', 'iron_mg'] },
+    { key: 'vitamin_a', label: 'Vitamin A', unit: 'mcg', dailyValue: 900, aliases: ['vitaminA', 'vit_a'] },
+    { key: 'vitamin_c', label: 'Vitamin C', unit: 'mg', dailyValue: 90, aliases: ['vitaminC', 'vit_c'] },
+    { key: 'vitamin_d', label: 'Vitamin D', unit: 'mcg', dailyValue: 20, aliases: ['vitaminD', 'vit_d'] }
+];
+
+export const MICRONUTRIENT_KEYS = MICRONUTRIENTS.map(n => n.key);
+
+export function getMicronutrient(key) {
+    return MICRONUTRIENTS.find(n => n.key === key) || null;
+}
+
+// meals.json may list micronutrients flat on the meal or grouped under
+// `nutrients` / `micronutrients`
+function findRawValue(meal, names) {
+    const sources = [meal, meal.nutrients, meal.micronutrients].filter(s => s && typeof s === 'object');
+    for (const source of sources) {
+        for (const name of names) {
+            const v = source[name];
+            if (v !== null && v !== undefined && v !== '' && typeof v !== 'object') return v;
+        }
+    }
+    return undefined;
+}
+
+// -> { sodium: 480, iron: 2.1, ... } with only the nutrients the meal reports
+export function readMicronutrients(meal) {
+    const out = {};
+    if (!meal || typeof meal !== 'object') return out;
+    MICRONUTRIENTS.forEach(n => {
+        const raw = findRawValue(meal, [n.key, ...n.aliases]);
+        if (raw === undefined) return;
+        out[n.key] = Math.round(safeNumber(raw) * 10) / 10;
+    });
+    return out;
+}
+
+export function hasMicronutrient(meal, key) {
+    return !!meal && typeof meal[key] === 'number' && Number.isFinite(meal[key]);
+}
+
+// share of the reference daily intake, in whole percent
+export function percentOfDailyValue(key, amount) {
+    const n = getMicronutrient(key);
+    return n && n.dailyValue ? Math.round((safeNumber(amount) / n.dailyValue) * 100) : 0;
+}
+
+export function roundNutrientAmount(amount) {
+    const v = safeNumber(amount);
+    return v >= 100 ? Math.round(v) : Math.round(v * 10) / 10;
+}
+
+export function formatNutrientAmount(key, amount) {
+    const n = getMicronutrient(key);
+    return `${roundNutrientAmount(amount)}${n ? ' ' + n.unit : ''}`;
+}
@@ -0,0 +1,80 @@
+/* ---------------------------
+   Macro targets
+   Split of daily calories between protein / carbs / fat, driven by diet type
+   and goal. Protein for muscle, loss and High_Protein is set in g per kg of
+   body weight; carbs and fat then share the remaining calories in the
+   diet's ratio. A complete user override (percentages) always wins.
+--------------------------- */
+import { safeNumber, normalizeKey } from './util.mjs';
+
+export const DEFAULT_MACRO_SPLIT = { protein: 0.15, carbs: 0.50, fat: 0.35 };
+export const DIET_MACRO_SPLITS = {
+    Regular:       DEFAULT_MACRO_SPLIT,
+    Vegetarian:    DEFAULT_MACRO_SPLIT,
+    Vegan:         { protein: 0.15, carbs: 0.55, fat: 0.30 },
+    Mediterranean: { protein: 0.18, carbs: 0.45, fat: 0.37 },
+    Low_Carb:      { protein: 0.25, carbs: 0.20, fat: 0.55 },
+    Keto:          { protein: 0.20, carbs: 0.05, fat: 0.75 },
+    High_Protein:  { protein: 0.30, carbs: 0.40, fat: 0.30 }
+};
+// grams of protein per kg body weight
+export const PROTEIN_G_PER_KG = { muscle: 1.8, loss: 1.6, High_Protein: 2.0 };
+export const MAX_PROTEIN_SHARE = 0.40;
+export const KETO_MAX_CARBS_G = 50;
+export const FIBER_TARGET_G = 25;
+
+export function getMacroOverride(profile) {
+    const o = profile && profile.macroOverride;
+    if (!o) return null;
+    const protein = safeNumber(o.protein), carbs = safeNumber(o.carbs), fat = safeNumber(o.fat);
+    const sum = protein + carbs + fat;
+    if (protein < 0 || carbs < 0 || fat < 0 || Math.abs(sum - 100) > 1) return null;
+    return { protein: protein / sum, carbs: carbs / sum, fat: fat / sum };
+}
+
+export function calculateMacroTargets(profile) {
+    const calories = safeNumber(profile && profile.targetCalories);
+    const goal = ((profile && profile.goal) || '').toString().toLowerCase();
+    const dietKey = Object.keys(DIET_MACRO_SPLITS).find(k => normalizeKey(k) === normalizeKey((profile && profile.dietType) || '')) || 'Regular';
+    const weight = safeNumber(profile && profile.weight);
+
+    let split = getMacroOverride(profile);
+    let source = 'custom';
+
+    if (!split) {
+        const base = DIET_MACRO_SPLITS[dietKey];
+        source = `${dietKey}${goal ? ' / ' + goal : ''}`;
+
+        // protein: the larger of the diet share and the g/kg floor for this goal/diet
+        let proteinShare = base.protein;
+        const gPerKg = Math.max(PROTEIN_G_PER_KG[goal] || 0, PROTEIN_G_PER_KG[dietKey] || 0);
+        if (gPerKg && weight && calories) {
+            proteinShare = Math.max(proteinShare, (gPerKg * weight * 4) / calories);
+        }
+        proteinShare = Math.min(proteinShare, MAX_PROTEIN_SHARE);
+
+        const remaining = 1 - proteinShare;
+        let carbShare;
+        if (dietKey === 'Keto') {
+            // keep keto carbs at ~5% but never above the ketosis ceiling
+            carbShare = calories ? Math.min(base.carbs, (KETO_MAX_CARBS_G * 4) / calories) : base.carbs;
+        } else {
+            carbShare = remaining * (base.carbs / (base.carbs + base.fat));
+        }
+        split = { protein: proteinShare, carbs: carbShare, fat: remaining - carbShare };
+    }
+
+    return {
+        calories,
+        protein: Math.round(calories * split.protein / 4),
+        carbs: Math.round(calories * split.carbs / 4),
+        fat: Math.round(calories * split.fat / 9),
+        fiber: FIBER_TARGET_G,
+        split: {
+            protein: Math.round(split.protein * 100),
+            carbs: Math.round(split.carbs * 100),
+            fat: Math.round(split.fat * 100)
+        },
+        source
+    };
+}
@@ -0,0 +1,373 @@
+/* ---------------------------
+   PDF writer
+   A small PDF 1.4 writer for the plan export: text in the standard
+   Helvetica fonts (WinAnsi encoding, so no font files are embedded),
+   rectangles, lines, paths and a few vector charts. Coordinates are in
+   points from the top-left corner of the page; y for text is the baseline.
+   The output is ASCII-only, so it can go straight into a Blob.
+--------------------------- */
+import { safeNumber } from './util.mjs';
+
+export const PAGE_SIZES = { a4: [595.28, 841.89], letter: [612, 792] };
+export const PDF_FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015,
+    667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+    278, 278, 278, 469, 556, 333,
+    556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+    334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975,
+    722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+    333, 278, 333, 584, 556, 333,
+    556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500,
+    389, 280, 389, 584
+];
+// the WinAnsi characters above 127 the export actually uses
+const WIDE_CHAR_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000, 0xB0: 400, 0xB1: 584, 0xB7: 278, 0xD7: 584 };
+
+// Unicode code points that WinAnsi puts in 0x80..0x9F
+const WIN_ANSI_EXTRAS = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87, 0x02C6: 0x88,
+    0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93,
+    0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B,
+    0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+const TEXT_SUBSTITUTES = { '−': '-', '≈': '~', '→': '->', '≤': '<=', '≥': '>=', ' ': ' ', '\t': ' ' };
+
+/* ---------------------------
+   Text
+--------------------------- */
+// -> the text as WinAnsi character codes (one char per byte); emoji and
+// other symbols the standard fonts can't show are dropped
+export function toWinAnsi(text) {
+    let out = '';
+    for (const ch of String(text ?? '')) {
+        const cp = ch.codePointAt(0);
+        if (TEXT_SUBSTITUTES[ch]) out += TEXT_SUBSTITUTES[ch];
+        else if ((cp >= 32 && cp < 127) || (cp >= 0xA0 && cp <= 0xFF)) out += ch;
+        else if (WIN_ANSI_EXTRAS[cp]) out += String.fromCharCode(WIN_ANSI_EXTRAS[cp]);
+        else if (cp >= 0x2190 || cp < 32 || (cp >= 0xFE00 && cp <= 0xFE0F) || cp === 0x200D) continue;
+        else {
+            // accented letters outside Latin-1 lose the accent
+            const base = ch.normalize('NFD')[0];
+            out += base.charCodeAt(0) < 127 ? base : '?';
+        }
+    }
+    return out;
+}
+
+function charWidth(code, bold) {
+    if (code >= 32 && code < 127) return (bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+    if (WIDE_CHAR_WIDTHS[code]) return WIDE_CHAR_WIDTHS[code];
+    const base = String.fromCharCode(code).normalize('NFD').charCodeAt(0);
+    return base >= 32 && base < 127 ? charWidth(base, bold) : 556;
+}
+
+// width in points of `text` set in Helvetica at `size`
+export function measureText(text, size, bold = false) {
+    const encoded = toWinAnsi(text);
+    let units = 0;
+    for (let i = 0; i < encoded.length; i++) units += charWidth(encoded.charCodeAt(i), bold);
+    return (units * size) / 1000;
+}
+
+// -> lines no wider than maxWidth, breaking at spaces (and inside words
+// that are too long on their own)
+export function wrapText(text, maxWidth, size, bold = false) {
+    const lines = [];
+    String(text ?? '').split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measureText(candidate, size, bold) <= maxWidth) { line = candidate; return; }
+            if (line) lines.push(line);
+            line = word;
+            while (measureText(line, size, bold) > maxWidth && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && measureText(line.slice(0, cut), size, bold) > maxWidth) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+// a PDF literal string: ( ) \ escaped, bytes outside printable ASCII as octal
+function pdfString(text) {
+    const encoded = toWinAnsi(text);
+    let out = '(';
+    for (let i = 0; i < encoded.length; i++) {
+        const c = encoded.charCodeAt(i);
+        if (c === 0x28 || c === 0x29 || c === 0x5C) out += '\\' + encoded[i];
+        else if (c < 32 || c > 126) out += '\\' + c.toString(8).padStart(3, '0');
+        else out += encoded[i];
+    }
+    return out + ')';
+}
+
+// a document-info string (title etc.): UTF-16BE hex, which viewers read as Unicode
+function pdfTextString(text) {
+    let hex = '<FEFF';
+    const value = String(text ?? '');
+    for (let i = 0; i < value.length; i++) hex += value.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+    return hex + '>';
+}
+
+const num = v => String(Math.round(safeNumber(v) * 100) / 100);
+
+// '#rrggbb' or '#rgb' -> 'r g b' in 0..1
+function pdfColor(hex) {
+    let h = String(hex || '#000000').replace('#', '');
+    if (h.length === 3) h = h.split('').map(c => c + c).join('');
+    const value = parseInt(h, 16) || 0;
+    return [value >> 16, (value >> 8) & 255, value & 255].map(c => num(c / 255)).join(' ');
+}
+
+function pdfDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/* ---------------------------
+   Document
+--------------------------- */
+// -> a document to draw on page by page; render() returns the PDF source
+export function createPdfDocument(options = {}) {
+    const [width, height] = PAGE_SIZES[options.size] || PAGE_SIZES.a4;
+    const pages = [];
+    let ops = null;
+    const flipY = y => num(height - y);
+    const paint = style => {
+        const parts = [];
+        if (style.fill) parts.push(`${pdfColor(style.fill)} rg`);
+        if (style.stroke) parts.push(`${pdfColor(style.stroke)} RG ${num(style.lineWidth ?? 0.5)} w`);
+        if (style.dash) parts.push(`[${style.dash.map(num).join(' ')}] 0 d`);
+        return parts.join(' ');
+    };
+    const paintOp = style => (style.fill && style.stroke ? 'B' : style.fill ? 'f' : 'S');
+
+    const doc = {
+        width,
+        height,
+        get pageCount() { return pages.length; },
+
+        addPage() {
+            ops = [];
+            pages.push(ops);
+            return doc;
+        },
+
+        // style: { size, bold, color, align: 'left' | 'center' | 'right' }
+        text(x, y, text, style = {}) {
+            const size = style.size || 10;
+            const w = measureText(text, size, style.bold);
+            const left = style.align === 'right' ? x - w : style.align === 'center' ? x - w / 2 : x;
+            ops.push(`BT ${pdfColor(style.color || '#222222')} rg /${style.bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${flipY(y)} Td ${pdfString(text)} Tj ET`);
+            return w;
+        },
+
+        // style: { fill, stroke, lineWidth }
+        rect(x, y, w, h, style = { stroke: '#000000' }) {
+            ops.push(`q ${paint(style)} ${num(x)} ${flipY(y + h)} ${num(w)} ${num(h)} re ${paintOp(style)} Q`);
+        },
+
+        line(x1, y1, x2, y2, style = {}) {
+            ops.push(`q ${paint({ stroke: '#000000', ...style })} ${num(x1)} ${flipY(y1)} m ${num(x2)} ${flipY(y2)} l S Q`);
+        },
+
+        // points: [[x, y], ...]; style.close fills/strokes a closed shape
+        polyline(points, style = { stroke: '#000000' }) {
+            if (points.length < 2) return;
+            const path = points.map(([x, y], i) => `${num(x)} ${flipY(y)} ${i ? 'l' : 'm'}`).join(' ');
+            ops.push(`q ${paint(style)} ${path}${style.close ? ' h' : ''} ${paintOp(style)} Q`);
+        },
+
+        // a pie or doughnut slice; angles in radians, clockwise from 12 o'clock
+        wedge(cx, cy, radius, start, end, style = {}) {
+            const inner = safeNumber(style.innerRadius);
+            const point = (r, a) => [cx + r * Math.sin(a), cy - r * Math.cos(a)];
+            const arc = (r, from, to) => {
+                const steps = Math.max(1, Math.ceil(Math.abs(to - from) / (Math.PI / 2)));
+                const delta = (to - from) / steps;
+                const k = (4 / 3) * Math.tan(delta / 4) * r;
+                let path = '';
+                for (let i = 0; i < steps; i++) {
+                    const a = from + i * delta;
+                    const b = a + delta;
+                    const [x0, y0] = point(r, a);
+                    const [x3, y3] = point(r, b);
+                    path += ` ${num(x0 + k * Math.cos(a))} ${flipY(y0 + k * Math.sin(a))} ${num(x3 - k * Math.cos(b))} ${flipY(y3 - k * Math.sin(b))} ${num(x3)} ${flipY(y3)} c`;
+                }
+                return path;
+            };
+            const [sx, sy] = point(radius, start);
+            let path = `${num(sx)} ${flipY(sy)} m${arc(radius, start, end)}`;
+            if (inner > 0) {
+                const [ix, iy] = point(inner, end);
+                path += ` ${num(ix)} ${flipY(iy)} l${arc(inner, end, start)}`;
+            } else {
+                path += ` ${num(cx)} ${flipY(cy)} l`;
+            }
+            ops.push(`q ${paint(style)} ${path} h ${paintOp(style)} Q`);
+        },
+
+        // options.footer(pageNumber, pageCount) -> text drawn centred at the bottom of every page
+        render(renderOptions = {}) {
+            if (typeof renderOptions.footer === 'function') {
+                pages.forEach((pageOps, i) => {
+                    ops = pageOps;
+                    doc.text(width / 2, height - 20, renderOptions.footer(i + 1, pages.length), { size: 8, color: '#6c757d', align: 'center' });
+                });
+            }
+            const objects = [];
+            const add = body => { objects.push(body); return objects.length; };
+            const catalog = add(null);
+            const pageTree = add(null);
+            const regular = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${PDF_FONTS.regular} /Encoding /WinAnsiEncoding >>`);
+            const bold = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${PDF_FONTS.bold} /Encoding /WinAnsiEncoding >>`);
+            const pageIds = pages.map(pageOps => {
+                const content = pageOps.join('\n');
+                const stream = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+                return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`);
+            });
+            objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+            objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+            const info = add(`<< /Title ${pdfTextString(options.title || 'Untitled')} /Producer ${pdfTextString(options.producer || 'The Diet Planner')} /CreationDate (${pdfDate(options.now || new Date())}) >>`);
+
+            let pdf = '%PDF-1.4\n';
+            const offsets = objects.map((body, i) => {
+                const offset = pdf.length;
+                pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xref = pdf.length;
+            pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            offsets.forEach(offset => { pdf += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+            pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+            return pdf;
+        }
+    };
+    return doc;
+}
+
+/* ---------------------------
+   Charts
+--------------------------- */
+// a round axis maximum and tick step for values up to `max`
+export function niceScale(max, tickCount = 4) {
+    const raw = Math.max(safeNumber(max), 1) / tickCount;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+    return { max: step * Math.ceil(Math.max(safeNumber(max), 1) / step), step };
+}
+
+const AXIS_COLOR = '#adb5bd';
+const GRID_COLOR = '#e9ecef';
+const LABEL_COLOR = '#6c757d';
+
+// y gridlines with labels; -> the scale's y for a value
+function drawValueAxis(doc, box, min, max, step, format) {
+    const toY = v => box.y + box.h - ((v - min) / (max - min || 1)) * box.h;
+    for (let v = min; v <= max + step / 1000; v += step) {
+        const y = toY(v);
+        doc.line(box.x, y, box.x + box.w, y, { stroke: GRID_COLOR, lineWidth: 0.5 });
+        doc.text(box.x - 4, y + 2.5, format(v), { size: 7, color: LABEL_COLOR, align: 'right' });
+    }
+    doc.line(box.x, box.y + box.h, box.x + box.w, box.y + box.h, { stroke: AXIS_COLOR, lineWidth: 0.75 });
+    return toY;
+}
+
+// x labels, thinned so they don't collide
+function drawCategoryLabels(doc, box, labels, centerOf) {
+    const widest = Math.max(...labels.map(l => measureText(l, 7)), 1);
+    const every = Math.max(1, Math.ceil(labels.length / Math.max(1, Math.floor(box.w / (widest + 6)))));
+    labels.forEach((label, i) => {
+        if (i % every === 0) doc.text(centerOf(i), box.y + box.h + 10, label, { size: 7, color: LABEL_COLOR, align: 'center' });
+    });
+}
+
+function drawLegend(doc, x, y, items) {
+    let left = x;
+    items.forEach(item => {
+        doc.rect(left, y - 6, 7, 7, { fill: item.color });
+        left += 10 + doc.text(left + 10, y, item.label, { size: 7.5, color: '#444444' }) + 12;
+    });
+}
+
+// box: { x, y, w, h }; bars: [{ label, value }]; options: { target, color, targetColor, seriesLabel, targetLabel }
+export function drawBarChart(doc, box, bars, options = {}) {
+    const color = options.color || '#007bff';
+    const targetColor = options.targetColor || '#28a745';
+    const legendItems = [{ label: options.seriesLabel || 'Value', color }];
+    if (options.target) legendItems.push({ label: options.targetLabel || 'Target', color: targetColor });
+    drawLegend(doc, box.x, box.y + 7, legendItems);
+
+    const plot = { x: box.x + 34, y: box.y + 22, w: box.w - 38, h: box.h - 36 };
+    const scale = niceScale(Math.max(safeNumber(options.target), ...bars.map(b => safeNumber(b.value))));
+    const toY = drawValueAxis(doc, plot, 0, scale.max, scale.step, v => Math.round(v).toLocaleString('en-US'));
+    const slot = plot.w / Math.max(bars.length, 1);
+    const barWidth = Math.min(28, slot * 0.7);
+    const centerOf = i => plot.x + slot * i + slot / 2;
+    bars.forEach((bar, i) => {
+        const top = toY(safeNumber(bar.value));
+        doc.rect(centerOf(i) - barWidth / 2, top, barWidth, plot.y + plot.h - top, { fill: color });
+    });
+    if (options.target) {
+        const y = toY(options.target);
+        doc.line(plot.x, y, plot.x + plot.w, y, { stroke: targetColor, lineWidth: 1.25, dash: [4, 2] });
+    }
+    drawCategoryLabels(doc, plot, bars.map(b => b.label), centerOf);
+}
+
+// slices: [{ label, value, color }]; labels in the legend to the right
+export function drawDoughnutChart(doc, box, slices, options = {}) {
+    const radius = Math.min(box.h, box.w * 0.45) / 2;
+    const cx = box.x + radius;
+    const cy = box.y + box.h / 2;
+    const total = slices.reduce((sum, s) => sum + Math.max(0, safeNumber(s.value)), 0);
+    let angle = 0;
+    slices.forEach(slice => {
+        const sweep = total ? (Math.max(0, safeNumber(slice.value)) / total) * Math.PI * 2 : 0;
+        if (sweep > 0) doc.wedge(cx, cy, radius, angle, angle + sweep, { fill: slice.color, innerRadius: radius * 0.6 });
+        angle += sweep;
+    });
+    if (options.centerLabel) doc.text(cx, cy + 3, options.centerLabel, { size: 8, bold: true, align: 'center' });
+    const legendX = box.x + radius * 2 + 14;
+    slices.forEach((slice, i) => {
+        const y = cy - ((slices.length - 1) * 14) / 2 + i * 14 + 3;
+        doc.rect(legendX, y - 7, 8, 8, { fill: slice.color });
+        doc.text(legendX + 12, y, slice.label, { size: 8, color: '#333333' });
+    });
+}
+
+// points: [{ label, value }]; options: { color, format, fill }
+export function drawLineChart(doc, box, points, options = {}) {
+    const color = options.color || '#6f42c1';
+    const format = options.format || (v => String(Math.round(v)));
+    const values = points.map(p => safeNumber(p.value));
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (max - min < 1) { min -= 1; max += 1; }
+    const scale = niceScale(max - min);
+    const step = scale.step;
+    min = Math.floor(min / step) * step;
+    max = Math.ceil(max / step) * step;
+
+    const plot = { x: box.x + 34, y: box.y + 6, w: box.w - 38, h: box.h - 20 };
+    const toY = drawValueAxis(doc, plot, min, max, step, format);
+    const xOf = i => plot.x + (points.length > 1 ? (plot.w * i) / (points.length - 1) : plot.w / 2);
+    const line = points.map((p, i) => [xOf(i), toY(safeNumber(p.value))]);
+    if (options.fill && line.length > 1) {
+        doc.polyline([...line, [xOf(points.length - 1), plot.y + plot.h], [xOf(0), plot.y + plot.h]], { fill: options.fill, close: true });
+    }
+    doc.polyline(line, { stroke: color, lineWidth: 1.5 });
+    drawCategoryLabels(doc, plot, points.map(p => p.label), xOf);
+}
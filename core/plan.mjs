@@ -0,0 +1,24 @@
+/* ---------------------------
+   Plan generation
+   One call from a normalized profile and meal database to a finished plan.
+--------------------------- */
+import { DAYS_PER_WEEK, buildPlanDays } from './calendar.mjs';
+import { createSeed, normalizeSeed } from './random.mjs';
+import { resolveDietMeals } from './meals.mjs';
+import { selectMealsForWeek, replacePlaceholderMeals, collectLockedMeals } from './solver.mjs';
+
+// options.previousPlan: meals locked in it survive the regeneration;
+// options.avoidMeals / preferMeals come from buildReplanAdjustments
+export function generatePlan(db, profile, options = {}) {
+    const { regionKey, dietKey, dietMeals } = resolveDietMeals(db, profile);
+    const lockedMeals = collectLockedMeals(options.previousPlan, profile);
+    const seed = normalizeSeed(options.seed) ?? createSeed();
+    const days = buildPlanDays(profile.startDate, (profile.planWeeks || 1) * DAYS_PER_WEEK);
+
+    const plan = selectMealsForWeek(dietMeals, profile.targetCalories, profile, {
+        lockedMeals, seed, days, repeatGapDays: profile.repeatGapDays,
+        avoidMeals: options.avoidMeals, preferMeals: options.preferMeals
+    });
+    replacePlaceholderMeals(plan, dietMeals, profile);
+    return { plan, seed, regionKey, dietKey };
+}
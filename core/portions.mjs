@@ -0,0 +1,58 @@
+/* ---------------------------
+   Portion scaling
+   Each planned meal carries a serving multiplier so small dataset portions
+   can still fill a slot's calorie share. Unscaled values are kept on
+   `base` so a meal can be re-scaled later without drift.
+--------------------------- */
+import { safeNumber } from './util.mjs';
+import { MACRO_NUTRIENTS, MICRONUTRIENT_KEYS, hasMicronutrient } from './nutrients.mjs';
+
+export const PORTION_STEP = 0.25;
+export const PORTION_MIN = 0.5;
+export const PORTION_MAX = 2.5;
+export const SCALED_NUTRIENTS = [...MACRO_NUTRIENTS, ...MICRONUTRIENT_KEYS];
+
+export function choosePortionScale(meal, targetForMeal) {
+    const calories = safeNumber(meal && meal.calories);
+    if (!calories || !targetForMeal) return 1;
+    const raw = Math.round((targetForMeal / calories) / PORTION_STEP) * PORTION_STEP;
+    return Math.max(PORTION_MIN, Math.min(PORTION_MAX, raw));
+}
+
+export function formatPortion(scale) {
+    return String(Number(safeNumber(scale).toFixed(2)));
+}
+
+// "2 eggs" x1.5 -> "3 eggs"; "1 bowl" x0.75 -> "0.75 bowl"; "Large plate" x2 -> "2 × Large plate"
+export function formatScaledServing(serving, scale) {
+    const text = (serving || '').toString().trim();
+    if (scale === 1) return text;
+    const match = /^(\d+(?:\.\d+)?|\d+\/\d+)\s*(.*)$/.exec(text);
+    if (match) {
+        const [num, den] = match[1].split('/').map(Number);
+        const qty = den ? num / den : num;
+        return `${formatPortion(qty * scale)}${match[2] ? ' ' + match[2] : ''}`;
+    }
+    return `${formatPortion(scale)} × ${text || 'serving'}`;
+}
+
+export function scaleMeal(meal, scale) {
+    if (!meal || typeof meal !== 'object') return meal;
+    // micronutrients the meal doesn't report stay absent rather than becoming 0
+    const base = meal.base || SCALED_NUTRIENTS.reduce((acc, k) => {
+        if (MACRO_NUTRIENTS.includes(k) || hasMicronutrient(meal, k)) acc[k] = safeNumber(meal[k]);
+        return acc;
+    }, {});
+    const baseServing = meal.base_serving_size ?? (meal.serving_size || '');
+    const scaled = { ...meal, base, base_serving_size: baseServing, portion: scale };
+    Object.keys(base).forEach(k => {
+        const v = safeNumber(base[k]) * scale;
+        scaled[k] = k === 'calories' ? Math.round(v) : Math.round(v * 10) / 10;
+    });
+    scaled.serving_size = formatScaledServing(baseServing, scale);
+    return scaled;
+}
+
+export function getMealPortion(meal) {
+    return meal && meal.portion ? safeNumber(meal.portion) : 1;
+}
@@ -0,0 +1,140 @@
+/* ---------------------------
+   Profile input
+   The UI hands over raw form values (strings); validation and
+   normalization into the profile the planner uses happen here.
+--------------------------- */
+import { safeNumber } from './util.mjs';
+import { MAX_PLAN_WEEKS, DEFAULT_REPEAT_GAP_DAYS, toISODate, parseISODate } from './calendar.mjs';
+import { calculateTargetCalories, normalizeEnergyModel, ENERGY_MODELS, MAX_GOAL_RATE_KG } from './energy.mjs';
+import { MEAL_STRUCTURES, DEFAULT_MEAL_STRUCTURE } from './structures.mjs';
+import { normalizeConditions } from './conditions.mjs';
+import { normalizeUnitSystem, feetInchesToCm, lbToKg, kgToLb } from './units.mjs';
+
+const isBlank = v => !String(v ?? '').trim();
+
+export const REQUIRED_PROFILE_FIELDS = ['age', 'gender', 'height', 'weight', 'goal', 'dietType', 'region', 'activityLevel'];
+export const MACRO_INPUT_FIELDS = { protein: 'macroProtein', carbs: 'macroCarbs', fat: 'macroFat' };
+// imperial height is entered as feet + inches instead of `height` (cm)
+export const IMPERIAL_HEIGHT_FIELDS = ['heightFt', 'heightIn'];
+
+export const HEIGHT_RANGE_CM = [100, 250];
+export const WEIGHT_RANGE_KG = [30, 300];
+const WEIGHT_RANGE_LB = WEIGHT_RANGE_KG.map(kg => Math.round(kgToLb(kg)));
+export const BODY_FAT_RANGE = [3, 60];
+const MAX_WEEKLY_RATE_KG = Math.max(...Object.values(MAX_GOAL_RATE_KG));
+
+export function getRequiredProfileFields(unitSystem) {
+    return normalizeUnitSystem(unitSystem) === 'imperial'
+        ? REQUIRED_PROFILE_FIELDS.flatMap(id => (id === 'height' ? ['heightFt'] : [id]))
+        : REQUIRED_PROFILE_FIELDS;
+}
+
+// height in cm / weight in kg from the raw form values of either unit system
+export function readBodyMeasurements(values) {
+    if (normalizeUnitSystem(values.unitSystem) === 'imperial') {
+        return { height: feetInchesToCm(values.heightFt, values.heightIn), weight: lbToKg(values.weight) };
+    }
+    return { height: safeNumber(values.height), weight: safeNumber(values.weight) };
+}
+
+// desired weekly change is entered in kg or lb; the profile keeps kg
+export function readWeeklyRateKg(values) {
+    if (isBlank(values.weeklyRate)) return null;
+    const rate = Math.abs(safeNumber(values.weeklyRate));
+    return normalizeUnitSystem(values.unitSystem) === 'imperial' ? Math.round(lbToKg(rate) * 100) / 100 : rate;
+}
+
+// -> { fieldId: message } for every invalid field; empty when the input is usable.
+// Errors for the three macro inputs are reported together under `macroSplit`.
+export function validateProfileInput(values) {
+    const errors = {};
+    const imperial = normalizeUnitSystem(values.unitSystem) === 'imperial';
+    getRequiredProfileFields(values.unitSystem).forEach(id => {
+        if (isBlank(values[id])) errors[id] = 'This field is required';
+    });
+    const range = (id, min, max, message) => {
+        if (isBlank(values[id]) || errors[id]) return;
+        const v = safeNumber(values[id]);
+        if (v < min || v > max) errors[id] = message;
+    };
+    range('age', 13, 120, 'Age must be 13-120');
+    if (imperial) {
+        range('heightIn', 0, 11.9, 'Inches must be 0-11.9');
+        if (!errors.heightFt && !errors.heightIn) {
+            const cm = readBodyMeasurements(values).height;
+            if (cm < HEIGHT_RANGE_CM[0] || cm > HEIGHT_RANGE_CM[1]) errors.heightFt = 'Height must be 3 ft 4 in - 8 ft 2 in';
+        }
+        range('weight', WEIGHT_RANGE_LB[0], WEIGHT_RANGE_LB[1], `Weight must be ${WEIGHT_RANGE_LB[0]}-${WEIGHT_RANGE_LB[1]} lb`);
+    } else {
+        range('height', HEIGHT_RANGE_CM[0], HEIGHT_RANGE_CM[1], `Height must be ${HEIGHT_RANGE_CM[0]}-${HEIGHT_RANGE_CM[1]} cm`);
+        range('weight', WEIGHT_RANGE_KG[0], WEIGHT_RANGE_KG[1], `Weight must be ${WEIGHT_RANGE_KG[0]}-${WEIGHT_RANGE_KG[1]} kg`);
+    }
+    range('targetCalories', 800, 5000, 'Target calories must be 800-5000');
+    range('bodyFat', BODY_FAT_RANGE[0], BODY_FAT_RANGE[1], `Body fat must be ${BODY_FAT_RANGE[0]}-${BODY_FAT_RANGE[1]}%`);
+    if (imperial) {
+        const maxLb = Math.round(kgToLb(MAX_WEEKLY_RATE_KG) * 10) / 10;
+        range('weeklyRate', 0, maxLb, `Rate must be 0-${maxLb} lb per week`);
+    } else {
+        range('weeklyRate', 0, MAX_WEEKLY_RATE_KG, `Rate must be 0-${MAX_WEEKLY_RATE_KG} kg per week`);
+    }
+    const model = ENERGY_MODELS[values.energyModel];
+    if (model && model.requires.includes('bodyFat') && isBlank(values.bodyFat) && !errors.bodyFat) {
+        errors.bodyFat = `${model.label} needs your body fat %`;
+    }
+    range('repeatGapDays', 0, 28, 'Must be 0-28 days');
+    if (!isBlank(values.startDate) && !parseISODate(values.startDate)) errors.startDate = 'Enter a valid date';
+
+    const macros = Object.values(MACRO_INPUT_FIELDS).map(id => values[id]);
+    const filled = macros.filter(v => !isBlank(v));
+    if (filled.length) {
+        const sum = macros.reduce((s, v) => s + safeNumber(v), 0);
+        if (filled.length !== macros.length || Math.abs(sum - 100) > 1) {
+            errors.macroSplit = 'Enter all three percentages, adding up to 100';
+        }
+    }
+    return errors;
+}
+
+export function readMacroOverride(values) {
+    const raw = Object.values(MACRO_INPUT_FIELDS).map(id => values[id]);
+    if (raw.some(isBlank)) return null;
+    const [protein, carbs, fat] = raw.map(safeNumber);
+    return { protein, carbs, fat };
+}
+
+// -> the metric profile the planner works with; `unitSystem` only affects display
+export function normalizeProfile(values) {
+    const { height, weight } = readBodyMeasurements(values);
+    const profile = {
+        age: safeNumber(values.age),
+        gender: values.gender,
+        height: Math.round(height * 10) / 10,
+        weight: Math.round(weight * 10) / 10,
+        unitSystem: normalizeUnitSystem(values.unitSystem),
+        goal: values.goal,
+        dietType: values.dietType,
+        region: values.region,
+        activityLevel: values.activityLevel,
+        targetCalories: safeNumber(values.targetCalories),
+        targetSource: safeNumber(values.targetCalories) ? 'manual' : 'model',
+        energyModel: normalizeEnergyModel(values.energyModel),
+        bodyFat: isBlank(values.bodyFat) ? null : safeNumber(values.bodyFat),
+        weeklyRateKg: readWeeklyRateKg(values),
+        macroOverride: values.macroOverride !== undefined ? values.macroOverride : readMacroOverride(values),
+        mealStructure: MEAL_STRUCTURES[values.mealStructure] ? values.mealStructure : DEFAULT_MEAL_STRUCTURE,
+        planWeeks: Math.min(MAX_PLAN_WEEKS, Math.max(1, Math.round(safeNumber(values.planWeeks) || 1))),
+        startDate: parseISODate(values.startDate) ? values.startDate : toISODate(new Date()),
+        repeatGapDays: isBlank(values.repeatGapDays)
+            ? DEFAULT_REPEAT_GAP_DAYS
+            : Math.max(0, Math.round(safeNumber(values.repeatGapDays))),
+        allergens: Array.isArray(values.allergens) ? values.allergens.slice() : [],
+        conditions: normalizeConditions(values.conditions),
+        excludedIngredients: (Array.isArray(values.excludedIngredients) ? values.excludedIngredients : String(values.excludedIngredients || '').split(','))
+            .map(s => String(s).trim().toLowerCase()).filter(Boolean)
+    };
+
+    if (!profile.targetCalories) {
+        profile.targetCalories = calculateTargetCalories(profile);
+    }
+    return profile;
+}
@@ -0,0 +1,50 @@
+/* ---------------------------
+   Weight projection
+   Week-by-week forecast of body weight if the plan's average intake is
+   kept up. Maintenance is recomputed from the current projected weight
+   each week, and a sustained deficit additionally lowers it a little
+   (adaptive thermogenesis), so losses flatten out over time.
+--------------------------- */
+import { safeNumber } from './util.mjs';
+import { calculateEnergyTarget, KCAL_PER_KG } from './energy.mjs';
+
+export const PROJECTION_WEEK_OPTIONS = [4, 8, 12, 16, 24];
+export const DEFAULT_PROJECTION_WEEKS = 12;
+export const ADAPTATION_PER_WEEK = 0.005;   // share of maintenance lost per week in deficit
+export const MAX_ADAPTATION = 0.05;
+
+export function normalizeProjectionWeeks(weeks) {
+    const w = Math.round(safeNumber(weeks));
+    return Math.max(PROJECTION_WEEK_OPTIONS[0], Math.min(PROJECTION_WEEK_OPTIONS[PROJECTION_WEEK_OPTIONS.length - 1], w || DEFAULT_PROJECTION_WEEKS));
+}
+
+// -> { avgIntake, weeks, points: [{ week, weight, maintenance, adaptation }], startWeight, endWeight, change }
+export function projectWeight(profile, avgIntake, weeks = DEFAULT_PROJECTION_WEEKS) {
+    const horizon = normalizeProjectionWeeks(weeks);
+    const intake = safeNumber(avgIntake);
+    const startWeight = safeNumber(profile && profile.weight);
+    let weight = startWeight;
+    let adaptation = 0;
+    const points = [];
+
+    for (let week = 0; week <= horizon; week++) {
+        const base = calculateEnergyTarget({ ...profile, weight }).tdee;
+        const maintenance = Math.round(base * (1 - adaptation));
+        points.push({ week, weight: Math.round(weight * 10) / 10, maintenance, adaptation: Math.round(adaptation * 1000) / 10 });
+        if (week === horizon) break;
+
+        const balance = intake - maintenance;
+        weight = Math.max(0, weight + (balance * 7) / KCAL_PER_KG);
+        adaptation = balance < 0 ? Math.min(MAX_ADAPTATION, adaptation + ADAPTATION_PER_WEEK) : Math.max(0, adaptation - ADAPTATION_PER_WEEK);
+    }
+
+    const endWeight = points[points.length - 1].weight;
+    return {
+        avgIntake: Math.round(intake),
+        weeks: horizon,
+        points,
+        startWeight,
+        endWeight,
+        change: Math.round((endWeight - startWeight) * 10) / 10
+    };
+}
@@ -0,0 +1,45 @@
+/* ---------------------------
+   Seeded randomness
+   Every plan is generated from an explicit 32-bit seed so a week can be
+   reshuffled on demand and replayed exactly later (same seed + same profile
+   + same meals.json => same plan).
+--------------------------- */
+export function createSeed() {
+    const c = globalThis.crypto;
+    if (c && c.getRandomValues) return c.getRandomValues(new Uint32Array(1))[0];
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// accepts numbers or any text ("tuesday-bug") and maps it to a uint32
+export function normalizeSeed(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+// mulberry32
+export function createRng(seed) {
+    let a = (normalizeSeed(seed) ?? 0) >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function shuffleWithRng(list, rng) {
+    const out = list.slice();
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+}
@@ -0,0 +1,278 @@
+/* ---------------------------
+   Custom recipes
+   Meals the user adds in the page's meal library. They are checked with
+   the rules tools/validate_and_fix_meals.js applies to meals.json
+   (canonical regions, diets and meal types, numeric nutrients, vegan and
+   vegetarian ingredient keywords) and merged into the meal database on
+   load, so the solver picks them like any other meal.
+
+   The library, stored under RECIPE_STORAGE_KEY and used for file
+   import/export:
+
+   {
+     schema:    'thedietplanner.recipes',
+     version:   1,
+     createdAt: ISO timestamp,
+     recipes: [{ id, title, mealType, region, diets, serving_size,
+                 foods: [{ name, quantity?, unit? }],
+                 calories, protein, carbs, fat, fiber, tags }]
+   }
+--------------------------- */
+import { safeNumber, normalizeKey } from './util.mjs';
+import { MEAL_BUCKETS, normalizeMealObject } from './meals.mjs';
+import { parseFoodQuantity } from './shopping.mjs';
+import { createRecordId } from './history.mjs';
+
+export const RECIPE_SCHEMA = 'thedietplanner.recipes';
+export const RECIPE_VERSION = 1;
+export const RECIPE_STORAGE_KEY = 'dietplanner_recipes';
+export const CUSTOM_RECIPE_TAG = 'custom';
+
+// Canonical values and mappings; mirror tools/validate_and_fix_meals.js
+export const CANONICAL_REGIONS = [
+    'India', 'USA', 'Europe', 'Middle_Eastern', 'Latin_American',
+    'Nordic', 'East_Asian', 'African', 'Australian'
+];
+export const CANONICAL_DIETS = [
+    'Regular', 'Keto', 'Low_Carb', 'Vegetarian', 'Vegan',
+    'Mediterranean', 'High_Protein'
+];
+export const REGION_MAPPING = {
+    'Australia': 'Australian',
+    'Oceania': 'Australian',
+    'Oceana': 'Australian',
+    'East Asia': 'East_Asian',
+    'Latin America': 'Latin_American',
+    'Middle East': 'Middle_Eastern',
+    'United States': 'USA'
+};
+export const DIET_MAPPING = {
+    'Low Carb': 'Low_Carb',
+    'High Protein': 'High_Protein',
+    'Ketogenic': 'Keto'
+};
+export const VEGAN_VIOLATIONS = [
+    'chicken', 'beef', 'pork', 'fish', 'lamb', 'shrimp', 'crab', 'egg', 'eggs',
+    'milk', 'cheese', 'yogurt', 'butter', 'ghee', 'honey', 'meat', 'turkey',
+    'bacon', 'ham', 'sausage', 'dairy', 'cream', 'gelatin', 'casein', 'whey'
+];
+export const VEGETARIAN_VIOLATIONS = [
+    'chicken', 'beef', 'pork', 'fish', 'lamb', 'shrimp', 'crab', 'meat',
+    'turkey', 'bacon', 'ham', 'sausage', 'seafood', 'salmon', 'tuna'
+];
+
+const NUTRIENT_FIELDS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+const isPlainObject = v => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+
+/* ---------------------------
+   Validator rules
+--------------------------- */
+// MealValidator.normalizeMealType: guessed from the title when missing
+export function normalizeRecipeMealType(mealType, title = '', tags = []) {
+    if (!mealType) {
+        const text = `${title} ${Array.isArray(tags) ? tags.join(' ') : ''}`.toLowerCase();
+        if (/breakfast|pancake|oats|chai|cereal|toast|morning/.test(text)) return 'breakfast';
+        if (/dinner|curry|roast|stew|soup|evening|supper/.test(text)) return 'dinner';
+        if (/snack|bar|chips|nuts|fruit|cookie/.test(text)) return 'snacks';
+        return 'lunch';
+    }
+    const normalized = String(mealType).toLowerCase().trim();
+    if (MEAL_BUCKETS.includes(normalized)) return normalized;
+    if (normalized === 'snack') return 'snacks';
+    if (normalized === 'supper') return 'dinner';
+    for (const t of MEAL_BUCKETS) if (normalized.includes(t)) return t;
+    return 'lunch';
+}
+
+// MealValidator.parseNumeric, but null instead of 0 for text that isn't a number
+export function parseRecipeNumber(value) {
+    if (value === null || value === undefined || value === '') return 0;
+    if (typeof value === 'number') return Number.isNaN(value) ? null : value;
+    const parsed = parseFloat(String(value).replace(/[^\d.-]+/g, '').trim());
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// MealValidator.checkDietViolations: keywords the diet rules out, found in the recipe's text
+export function checkDietViolations(meal, dietKey) {
+    const title = meal.title || '';
+    const ingredients = meal.ingredients || '';
+    const tags = Array.isArray(meal.tags) ? meal.tags.join(' ') : (meal.tags || '');
+    const foods = Array.isArray(meal.foods) ? meal.foods.map(f => (typeof f === 'string' ? f : (f && f.name ? f.name : ''))).join(' ') : '';
+    const textToCheck = `${title} ${ingredients} ${tags} ${foods}`.toLowerCase();
+    const violations = [];
+
+    if (dietKey === 'Vegan') {
+        for (const v of VEGAN_VIOLATIONS) if (textToCheck.includes(v)) violations.push(v);
+    } else if (dietKey === 'Vegetarian') {
+        for (const v of VEGETARIAN_VIOLATIONS) if (textToCheck.includes(v)) violations.push(v);
+    }
+    return violations;
+}
+
+// MealValidator.generateTitle: the first foods stand in for a missing title
+function recipeTitle(raw, foods) {
+    const title = String(raw.title || raw.name || '').trim();
+    if (title && !/^option\s*\d+/i.test(title)) return title;
+    const names = foods.slice(0, 3).map(f => f.name).filter(Boolean);
+    if (names.length === 1) return names[0];
+    if (names.length === 2) return `${names[0]} & ${names[1]}`;
+    if (names.length) return `${names[0]}, ${names[1]} & ${names[2]}`;
+    return '';
+}
+
+const canonicalRegion = region => {
+    const mapped = REGION_MAPPING[region] || region;
+    return CANONICAL_REGIONS.find(r => normalizeKey(r) === normalizeKey(mapped)) || null;
+};
+// unknown diets are filed under Regular, as the validator does
+const canonicalDiet = diet => {
+    const mapped = DIET_MAPPING[diet] || diet;
+    return CANONICAL_DIETS.find(d => normalizeKey(d) === normalizeKey(mapped)) || 'Regular';
+};
+
+/* ---------------------------
+   Foods
+--------------------------- */
+// "200 g rice" per line -> [{ name, quantity, unit }]
+export function parseRecipeFoods(text) {
+    return String(text || '').split('\n')
+        .map(line => parseFoodQuantity(line.trim()))
+        .filter(f => f && f.name)
+        .map(f => (f.quantity === null ? { name: f.name } : { name: f.name, quantity: f.quantity, unit: f.unit }));
+}
+
+export function formatRecipeFoods(foods) {
+    return (foods || []).map(f => [f.quantity, f.quantity !== undefined && f.unit !== 'pcs' ? f.unit : null, f.name].filter(v => v !== undefined && v !== null && v !== '').join(' ')).join('\n');
+}
+
+function readFoods(raw) {
+    const list = typeof raw === 'string' ? parseRecipeFoods(raw) : (Array.isArray(raw) ? raw : []);
+    return list.map(f => {
+        const parsed = parseFoodQuantity(f);
+        if (!parsed || !parsed.name) return null;
+        return parsed.quantity === null ? { name: parsed.name } : { name: parsed.name, quantity: parsed.quantity, unit: parsed.unit };
+    }).filter(Boolean);
+}
+
+/* ---------------------------
+   Validation
+--------------------------- */
+// Editor values or a library entry -> { recipe, errors }; `recipe` is null unless valid.
+// options.id / options.now for new recipes.
+export function validateRecipe(raw, options = {}) {
+    if (!isPlainObject(raw)) return { recipe: null, errors: ['Recipe must be an object'] };
+    const errors = [];
+    const foods = readFoods(raw.foods ?? raw.ingredients);
+    const title = recipeTitle(raw, foods);
+    if (!title) errors.push('Enter a title or at least one food');
+
+    const region = canonicalRegion(String(raw.region || '').trim());
+    if (!region) errors.push(`Region must be one of ${CANONICAL_REGIONS.join(', ')}`);
+
+    const listed = Array.isArray(raw.diets) ? raw.diets : (raw.diet ? [raw.diet] : []);
+    const diets = [...new Set(listed.map(canonicalDiet))];
+    if (!diets.length) diets.push('Regular');
+
+    const nutrients = {};
+    NUTRIENT_FIELDS.forEach(k => {
+        const v = parseRecipeNumber(raw[k]);
+        if (v === null) errors.push(`${k} must be a number`);
+        else if (v < 0) errors.push(`${k} cannot be negative`);
+        nutrients[k] = v === null ? 0 : v;
+    });
+    if (!errors.some(e => e.startsWith('calories')) && nutrients.calories <= 0) errors.push('calories must be more than 0');
+
+    const tags = [...new Set([...(Array.isArray(raw.tags) ? raw.tags.map(String) : []), CUSTOM_RECIPE_TAG])];
+    const recipe = {
+        id: String(raw.id || options.id || createRecordId('recipe')),
+        title,
+        mealType: normalizeRecipeMealType(raw.mealType, title, tags),
+        region,
+        diets,
+        serving_size: String(raw.serving_size || raw.servingSize || '').trim() || '1 serving',
+        foods,
+        ...nutrients,
+        tags
+    };
+    diets.forEach(diet => {
+        const violations = checkDietViolations(recipe, diet);
+        if (violations.length) errors.push(`Not ${diet.replace(/_/g, ' ')}: contains ${violations.join(', ')}`);
+    });
+    return { recipe: errors.length ? null : recipe, errors };
+}
+
+/* ---------------------------
+   Library file
+--------------------------- */
+export function buildRecipeLibrary(recipes, options = {}) {
+    return {
+        schema: RECIPE_SCHEMA,
+        version: RECIPE_VERSION,
+        createdAt: options.createdAt || new Date().toISOString(),
+        recipes
+    };
+}
+
+export function recipesToJSON(recipes) {
+    return JSON.stringify(buildRecipeLibrary(recipes), null, 2) + '\n';
+}
+
+// JSON text, a library object or a bare array -> { recipes, errors }; invalid
+// recipes are left out and reported by position and title
+export function parseRecipeLibrary(input) {
+    let raw = input;
+    if (typeof input === 'string') {
+        try { raw = JSON.parse(input); } catch (err) { return { recipes: [], errors: ['Not valid JSON'] }; }
+    }
+    let list = raw;
+    if (isPlainObject(raw)) {
+        if (raw.schema !== RECIPE_SCHEMA) return { recipes: [], errors: [`schema must be "${RECIPE_SCHEMA}"`] };
+        if (safeNumber(raw.version) > RECIPE_VERSION) return { recipes: [], errors: [`Library version ${raw.version} is newer than this planner supports (${RECIPE_VERSION})`] };
+        list = raw.recipes;
+    }
+    if (!Array.isArray(list)) return { recipes: [], errors: ['recipes must be a list'] };
+    const recipes = [];
+    const errors = [];
+    list.forEach((entry, i) => {
+        const { recipe, errors: problems } = validateRecipe(entry);
+        if (recipe) recipes.push(recipe);
+        else errors.push(`Recipe ${i + 1}${entry && entry.title ? ` ("${entry.title}")` : ''}: ${problems.join('; ')}`);
+    });
+    return { recipes, errors };
+}
+
+// incoming recipes replace stored ones with the same id
+export function mergeRecipeLists(existing, incoming) {
+    const byId = new Map((existing || []).map(r => [r.id, r]));
+    incoming.forEach(r => byId.set(r.id, r));
+    return [...byId.values()];
+}
+
+/* ---------------------------
+   Meal database
+--------------------------- */
+// A copy of the normalized database with each recipe added to its region,
+// every one of its diets and its meal-type bucket; `db` itself is untouched.
+export function mergeCustomRecipes(db, recipes) {
+    const out = { ...db };
+    const copied = new Set();
+    (recipes || []).forEach((recipe, idx) => {
+        const regionKey = Object.keys(out).find(k => normalizeKey(k) === normalizeKey(recipe.region)) || recipe.region;
+        if (!copied.has(regionKey)) {
+            out[regionKey] = { ...(out[regionKey] || {}) };
+            copied.add(regionKey);
+        }
+        const region = out[regionKey];
+        recipe.diets.forEach(diet => {
+            const dietKey = Object.keys(region).find(k => normalizeKey(k) === normalizeKey(diet)) || diet;
+            const path = `${regionKey}|${dietKey}`;
+            if (!copied.has(path)) {
+                const buckets = region[dietKey] || {};
+                region[dietKey] = Object.fromEntries(MEAL_BUCKETS.map(t => [t, (buckets[t] || []).slice()]));
+                copied.add(path);
+            }
+            region[dietKey][recipe.mealType].push(normalizeMealObject(recipe, idx, regionKey, dietKey, recipe.mealType));
+        });
+    });
+    return out;
+}
@@ -0,0 +1,155 @@
+/* ---------------------------
+   Shopping list
+   Aggregates every meal's foods across the plan. Quantities are scaled by
+   the meal's portion, converted to a base unit per family (g, ml, pieces)
+   and summed; items are then grouped by aisle.
+--------------------------- */
+import { safeNumber, csvQuote } from './util.mjs';
+import { getMealPortion } from './portions.mjs';
+import { formatMass, formatVolume, unitSuitsSystem, G_PER_OZ, G_PER_LB, ML_PER_FL_OZ } from './units.mjs';
+
+export const UNIT_TABLE = {
+    g: ['mass', 1], gram: ['mass', 1], grams: ['mass', 1], kg: ['mass', 1000], mg: ['mass', 0.001],
+    oz: ['mass', G_PER_OZ], lb: ['mass', G_PER_LB], lbs: ['mass', G_PER_LB],
+    ml: ['volume', 1], l: ['volume', 1000], liter: ['volume', 1000], litre: ['volume', 1000],
+    cup: ['volume', 240], cups: ['volume', 240], tbsp: ['volume', 15], tsp: ['volume', 5],
+    piece: ['count', 1], pieces: ['count', 1], pc: ['count', 1], pcs: ['count', 1], whole: ['count', 1]
+};
+export const UNIT_ALIASES = { cup: 'cups', pieces: 'pcs', piece: 'pcs', pc: 'pcs', whole: 'pcs', grams: 'g', gram: 'g', litre: 'l', liter: 'l', lbs: 'lb' };
+
+export const AISLE_KEYWORDS = [
+    ['Meat & Seafood', ['chicken', 'beef', 'pork', 'lamb', 'mutton', 'turkey', 'bacon', 'ham', 'sausage', 'fish', 'salmon', 'tuna', 'cod', 'shrimp', 'prawn', 'crab', 'sardine', 'mackerel']],
+    ['Pantry', ['peanut butter', 'almond butter', 'oil', 'vinegar', 'sauce', 'salt', 'pepper', 'spice', 'masala', 'honey', 'sugar', 'syrup', 'stock', 'broth', 'paste', 'ketchup', 'mustard', 'mayonnaise', 'jam', 'cumin', 'turmeric', 'cinnamon']],
+    ['Dairy & Eggs', ['milk', 'cheese', 'yogurt', 'yoghurt', 'curd', 'butter', 'cream', 'paneer', 'ghee', 'egg', 'kefir', 'feta']],
+    ['Bakery', ['bread', 'toast', 'bun', 'bagel', 'roti', 'naan', 'pita', 'tortilla', 'wrap', 'croissant', 'muffin']],
+    ['Grains & Pasta', ['rice', 'oat', 'oatmeal', 'quinoa', 'pasta', 'noodle', 'couscous', 'barley', 'flour', 'cereal', 'poha', 'semolina', 'bulgur', 'millet']],
+    ['Legumes, Nuts & Seeds', ['lentil', 'dal', 'bean', 'chickpea', 'tofu', 'tempeh', 'nut', 'almond', 'walnut', 'cashew', 'peanut', 'seed', 'chia', 'flax', 'flaxseed', 'hummus']],
+    ['Produce', ['apple', 'banana', 'berry', 'berries', 'orange', 'mango', 'grape', 'melon', 'watermelon', 'lemon', 'lime', 'avocado', 'fruit', 'tomato', 'onion', 'garlic', 'ginger', 'potato', 'carrot', 'spinach', 'lettuce', 'salad', 'cucumber', 'broccoli', 'pepper', 'capsicum', 'kale', 'cabbage', 'mushroom', 'zucchini', 'eggplant', 'aubergine', 'vegetable', 'veggie', 'herb', 'coriander', 'cilantro', 'parsley', 'mint', 'peas', 'corn', 'cauliflower']],
+    ['Beverages', ['juice', 'tea', 'coffee', 'water', 'smoothie']]
+];
+
+const AISLE_PATTERNS = AISLE_KEYWORDS.map(([aisle, words]) => [aisle, new RegExp(`\\b(?:${words.join('|')})(?:e?s)?\\b`)]);
+
+export function getAisle(name) {
+    const text = ` ${String(name || '').toLowerCase()} `;
+    for (const [aisle, pattern] of AISLE_PATTERNS) {
+        if (pattern.test(text)) return aisle;
+    }
+    return 'Other';
+}
+
+export function parseQuantityText(text) {
+    const m = /^\s*(\d+(?:\.\d+)?(?:\s*\/\s*\d+)?)\s*([a-zA-Z]+\.?)?\s*(?:of\s+)?(.*)$/.exec(String(text || ''));
+    if (!m) return null;
+    const [num, den] = m[1].split('/').map(s => Number(s.trim()));
+    const unit = (m[2] || '').replace('.', '').toLowerCase();
+    if (unit && !UNIT_TABLE[unit]) {
+        // "2 eggs" — the word is the item, not a unit
+        return { quantity: den ? num / den : num, unit: 'pcs', rest: `${m[2]} ${m[3]}`.trim() };
+    }
+    return { quantity: den ? num / den : num, unit: unit || 'pcs', rest: m[3].trim() };
+}
+
+// -> { name, quantity|null, unit|null }
+export function parseFoodQuantity(food) {
+    if (!food) return null;
+    if (typeof food === 'string') {
+        const parsed = parseQuantityText(food);
+        if (parsed && parsed.rest) return { name: parsed.rest, quantity: parsed.quantity, unit: parsed.unit };
+        return { name: food.trim(), quantity: null, unit: null };
+    }
+    const name = String(food.name || food.title || food.item || '').trim();
+    if (!name) return null;
+    if (food.grams !== undefined) return { name, quantity: safeNumber(food.grams), unit: 'g' };
+    const rawQty = food.quantity ?? food.qty ?? food.amount;
+    if (rawQty === undefined || rawQty === null || rawQty === '') return { name, quantity: null, unit: null };
+    if (typeof rawQty === 'number') return { name, quantity: rawQty, unit: String(food.unit || 'pcs').toLowerCase() };
+    const parsed = parseQuantityText(rawQty);
+    if (!parsed) return { name, quantity: null, unit: null };
+    return { name, quantity: parsed.quantity, unit: String(food.unit || parsed.unit || 'pcs').toLowerCase() };
+}
+
+// an item listed in a single unit keeps it, unless it belongs to the other unit system
+export function formatShoppingQuantity(entry, unitSystem = 'metric') {
+    const round = v => String(Math.round(v * 100) / 100);
+    const singleUnit = base => {
+        if (entry.units.size !== 1 || entry.units.has(base)) return null;
+        const only = [...entry.units][0];
+        return unitSuitsSystem(only, unitSystem) ? `${round(entry.amount / UNIT_TABLE[only][1])} ${UNIT_ALIASES[only] || only}` : null;
+    };
+    if (entry.family === 'mass') return singleUnit('g') || formatMass(entry.amount, unitSystem);
+    if (entry.family === 'volume') return singleUnit('ml') || formatVolume(entry.amount, unitSystem);
+    if (entry.family === 'count') return `${round(entry.amount)} pcs`;
+    if (entry.family === 'none') return `for ${entry.meals} meal${entry.meals === 1 ? '' : 's'}`;
+    return `${round(entry.amount)} ${entry.family.replace(/^other:/, '')}`;
+}
+
+// options.unitSystem: 'imperial' reports quantities in oz / fl oz.
+// `plan` may also be a list of plans (a household's), whose quantities add up.
+export function buildShoppingList(plan, options = {}) {
+    const unitSystem = options.unitSystem || 'metric';
+    const imperial = unitSystem === 'imperial';
+    const entries = new Map();
+    (Array.isArray(plan) ? plan : [plan]).forEach(p => Object.keys(p || {}).forEach(day => {
+        Object.values(p[day] || {}).forEach(meal => {
+            if (!meal || !Array.isArray(meal.foods)) return;
+            const portion = getMealPortion(meal);
+            meal.foods.forEach(food => {
+                const parsed = parseFoodQuantity(food);
+                if (!parsed || !parsed.name) return;
+                let family = 'none', amount = 0, unit = null;
+                if (parsed.quantity !== null && parsed.quantity > 0) {
+                    unit = parsed.unit || 'pcs';
+                    const known = UNIT_TABLE[unit];
+                    family = known ? known[0] : `other:${unit}`;
+                    amount = parsed.quantity * (known ? known[1] : 1) * portion;
+                }
+                const key = `${parsed.name.toLowerCase().replace(/\s+/g, ' ')}|${family}`;
+                const entry = entries.get(key) || { name: parsed.name, family, amount: 0, units: new Set(), meals: 0 };
+                entry.amount += amount;
+                if (unit) entry.units.add(unit);
+                entry.meals++;
+                entries.set(key, entry);
+            });
+        });
+    }));
+
+    const byAisle = {};
+    entries.forEach(entry => {
+        const aisle = getAisle(entry.name);
+        const baseUnits = imperial ? { mass: ['oz', G_PER_OZ], volume: ['fl oz', ML_PER_FL_OZ] } : { mass: ['g', 1], volume: ['ml', 1] };
+        const [baseUnit, perUnit] = baseUnits[entry.family] || [entry.family === 'count' ? 'pcs' : entry.family.replace(/^other:/, ''), 1];
+        (byAisle[aisle] = byAisle[aisle] || []).push({
+            name: entry.name,
+            quantity: entry.family === 'none' ? null : Math.round((entry.amount / perUnit) * 100) / 100,
+            unit: entry.family === 'none' ? null : baseUnit,
+            display: formatShoppingQuantity(entry, unitSystem),
+            meals: entry.meals
+        });
+    });
+
+    const aisleOrder = [...AISLE_KEYWORDS.map(a => a[0]), 'Other'];
+    const categories = aisleOrder
+        .filter(a => byAisle[a])
+        .map(a => ({ name: a, items: byAisle[a].sort((x, y) => x.name.localeCompare(y.name)) }));
+    return { categories, itemCount: entries.size };
+}
+
+export function shoppingListToCSV(list) {
+    let csv = '\uFEFF';
+    csv += 'Aisle,Item,Quantity,Unit,Amount,Meals\n';
+    list.categories.forEach(cat => cat.items.forEach(item => {
+        csv += [csvQuote(cat.name), csvQuote(item.name), item.quantity ?? '', csvQuote(item.unit || ''), csvQuote(item.display), item.meals].join(',') + '\n';
+    }));
+    return csv;
+}
+
+export function shoppingListToText(list) {
+    const lines = [`Shopping List — ${new Date().toLocaleDateString()}`, ''];
+    list.categories.forEach(cat => {
+        lines.push(cat.name.toUpperCase());
+        cat.items.forEach(item => lines.push(`[ ] ${item.name} — ${item.display}`));
+        lines.push('');
+    });
+    return lines.join('\n');
+}
@@ -0,0 +1,294 @@
+/* ---------------------------
+   Weekly plan solver
+   Picks one meal per slot for each day so the day's totals land as close as
+   possible to the calorie and macro targets. Variety is a hard constraint:
+   a meal never appears twice in one day, and never twice in the week while
+   the slot still has unused candidates.
+--------------------------- */
+import { safeNumber, normalizeKey } from './util.mjs';
+import { DAYS_PER_WEEK, DEFAULT_REPEAT_GAP_DAYS, buildPlanDays } from './calendar.mjs';
+import { createSeed, createRng, shuffleWithRng } from './random.mjs';
+import { calculateMacroTargets } from './nutrition.mjs';
+import { getMealsArrayForType, flattenMeals, getMealId, getMealTitle, createDefaultMeal, toPlannedMeal, isPlaceholderMeal } from './meals.mjs';
+import { createExclusionFilter } from './exclusions.mjs';
+import { createConditionMealFilter, createConditionMealPenalty, createConditionDayPenalty } from './conditions.mjs';
+import { getMealSlots, findMealSlot } from './structures.mjs';
+import { choosePortionScale, scaleMeal, getMealPortion } from './portions.mjs';
+import { sumMealTotals } from './stats.mjs';
+
+export const SOLVER_WEIGHTS = { calories: 1.0, protein: 0.6, carbs: 0.35, fat: 0.35 };
+export const SOLVER_POOL_SIZE = 12;   // candidates kept per slot (closest to the slot calorie target)
+export const SOLVER_MAX_PASSES = 6;   // coordinate-descent sweeps per day
+export const SOLVER_TIE_KCAL = 40;    // calorie distances within this band count as ties
+export const PREFERRED_MEAL_BONUS = 0.02;  // nudge towards meals the user chose as swaps
+
+// weighted sum of squared relative deviations — lower is better
+export function scoreDayTotals(totals, targets) {
+    let score = 0;
+    Object.keys(SOLVER_WEIGHTS).forEach(k => {
+        const target = targets[k];
+        if (!target) return;
+        const rel = (totals[k] - target) / target;
+        score += SOLVER_WEIGHTS[k] * rel * rel;
+    });
+    return score;
+}
+
+export function calculateDayResidual(dayMeals, targets) {
+    const totals = sumMealTotals(Object.values(dayMeals || {}));
+    return {
+        calories: Math.round(totals.calories - targets.calories),
+        protein: Math.round(totals.protein - targets.protein),
+        carbs: Math.round(totals.carbs - targets.carbs),
+        fat: Math.round(totals.fat - targets.fat),
+        caloriePct: targets.calories ? Math.round(((totals.calories - targets.calories) / targets.calories) * 100) : 0,
+        score: Number(scoreDayTotals(totals, targets).toFixed(4))
+    };
+}
+
+export function calculateDailyResiduals(weeklyPlan, targets) {
+    const residuals = {};
+    Object.keys(weeklyPlan || {}).forEach(day => {
+        residuals[day] = calculateDayResidual(weeklyPlan[day], targets);
+    });
+    return residuals;
+}
+
+// Coordinate descent over the slot pools: start from the calorie-closest pick
+// in each slot, then repeatedly swap single slots while the day score improves.
+// Day totals are updated incrementally rather than re-summed per trial.
+// options.mealPenalty(meal, bucket) and options.dayPenalty ({ nutrients, value(meal, nutrient), penalty(totals, missing) })
+// add medical-condition rules to the score; options.buckets maps pool index to bucket.
+export function optimizeDay(pools, targets, options = {}) {
+    const { mealPenalty = null, dayPenalty = null, buckets = [] } = options;
+    const penaltyOf = (m, slot) => (mealPenalty && m ? mealPenalty(m, buckets[slot]) : 0);
+    const scoreOf = (t, miss, mealPen) => scoreDayTotals(t, targets) + (dayPenalty ? dayPenalty.penalty(t, miss) : 0) + mealPen;
+    // condition nutrients: summed where reported, with a count of the meals that don't report them
+    const penaltyNutrients = dayPenalty ? dayPenalty.nutrients : [];
+    const reported = (m, k) => (m ? dayPenalty.value(m, k) : 0);
+
+    const picks = [];
+    pools.forEach(pool => {
+        const taken = new Set(picks.map(getMealId));
+        picks.push(pool.find(m => !taken.has(getMealId(m))) || pool[0]);
+    });
+
+    const totals = sumMealTotals(picks);
+    const macroKeys = Object.keys(totals);
+    const missing = {};
+    penaltyNutrients.forEach(k => {
+        totals[k] = picks.reduce((sum, m) => sum + safeNumber(reported(m, k)), 0);
+        missing[k] = picks.filter(m => reported(m, k) === null).length;
+    });
+    const nutrients = macroKeys.filter(k => !penaltyNutrients.includes(k));
+    const trial = { ...totals };
+    const trialMissing = { ...missing };
+    let mealPen = picks.reduce((sum, m, i) => sum + penaltyOf(m, i), 0);
+    let bestScore = scoreOf(totals, missing, mealPen);
+    for (let pass = 0; pass < SOLVER_MAX_PASSES; pass++) {
+        let improved = false;
+        pools.forEach((pool, slot) => {
+            if (pool.length < 2) return;
+            const takenElsewhere = new Set(picks.filter((_, i) => i !== slot).map(getMealId));
+            pool.forEach(candidate => {
+                const current = picks[slot];
+                if (candidate === current || takenElsewhere.has(getMealId(candidate))) return;
+                nutrients.forEach(k => { trial[k] = totals[k] - safeNumber(current && current[k]) + safeNumber(candidate[k]); });
+                penaltyNutrients.forEach(k => {
+                    const was = reported(current, k), now = reported(candidate, k);
+                    trial[k] = totals[k] - safeNumber(was) + safeNumber(now);
+                    trialMissing[k] = missing[k] - (was === null ? 1 : 0) + (now === null ? 1 : 0);
+                });
+                const trialPen = mealPen - penaltyOf(current, slot) + penaltyOf(candidate, slot);
+                const score = scoreOf(trial, trialMissing, trialPen);
+                if (score < bestScore - 1e-9) {
+                    bestScore = score;
+                    mealPen = trialPen;
+                    picks[slot] = candidate;
+                    Object.assign(totals, trial);
+                    Object.assign(missing, trialMissing);
+                    improved = true;
+                }
+            });
+        });
+        if (!improved) break;
+    }
+    return picks;
+}
+
+// options.avoidMeals: meal ids left out while the slot has other candidates;
+// options.preferMeals: meal titles that get a small bonus
+export function selectMealsForWeek(meals, targetCalories, profile, options = {}) {
+    const lockedMeals = options.lockedMeals || {};
+    const rng = createRng(options.seed ?? createSeed());
+    const days = options.days || buildPlanDays(profile && profile.startDate, DAYS_PER_WEEK);
+    const repeatGap = Math.max(0, Math.round(options.repeatGapDays ?? (profile && profile.repeatGapDays) ?? DEFAULT_REPEAT_GAP_DAYS));
+    const slots = options.slots || getMealSlots(profile && profile.mealStructure);
+    const weeklyPlan = {};
+    const mealUseCount = new Map();
+    const mealLastDay = new Map();  // meal id -> index of the last day it was planned
+    const targets = calculateMacroTargets({ ...profile, targetCalories });
+    const fallbackSplit = { protein: targets.split.protein / 100, carbs: targets.split.carbs / 100, fat: targets.split.fat / 100 };
+    const isExcluded = createExclusionFilter(profile);
+    const meetsConditions = createConditionMealFilter(profile);
+    const allAvailable = flattenMeals(meals);
+    const avoided = new Set(options.avoidMeals || []);
+    const preferred = new Set((options.preferMeals || []).map(normalizeKey));
+
+    // normalized candidate lists per slot, computed once for the plan
+    const slotCandidates = {};
+    slots.forEach(slot => {
+        const targetForMeal = Math.max(0, Math.round(targetCalories * slot.share));
+        const allowed = list => (list || []).filter(m => m && !isExcluded(m));
+        let availableMeals = allowed(getMealsArrayForType(meals, slot.bucket));
+        if (availableMeals.length === 0) availableMeals = allowed(allAvailable);
+        const scaled = availableMeals.map(m => {
+            const planned = toPlannedMeal(m, slot.bucket, targetForMeal);
+            return planned._isFallback ? planned : scaleMeal(planned, choosePortionScale(planned, targetForMeal));
+        });
+        // strict condition rules are checked on the scaled portion
+        let compliant = scaled.filter(m => meetsConditions(m, slot.bucket));
+        if (compliant.length === 0 && scaled.length) {
+            console.warn(`[DietPlanner] No meals for "${slot.key}" meet the condition rules — ignoring them for this slot.`);
+            compliant = scaled;
+        }
+        const wanted = compliant.filter(m => !avoided.has(getMealId(m)));
+        slotCandidates[slot.key] = { targetForMeal, meals: wanted.length ? wanted : compliant };
+    });
+    const conditionPenalty = createConditionMealPenalty(profile);
+    const mealPenalty = !preferred.size ? conditionPenalty : (m, bucket) =>
+        (conditionPenalty ? conditionPenalty(m, bucket) : 0) - (preferred.has(normalizeKey(getMealTitle(m))) ? PREFERRED_MEAL_BONUS : 0);
+    const optimizeOptions = {
+        mealPenalty,
+        dayPenalty: createConditionDayPenalty(profile),
+        buckets: slots.map(slot => slot.bucket)
+    };
+
+    // locked meals count as already used so nearby days do not repeat them
+    const lockedFor = (dayIndex, mealType) => (lockedMeals[dayIndex] || {})[mealType] || null;
+    const markUsed = (m, dayIndex) => {
+        const id = getMealId(m);
+        mealUseCount.set(id, (mealUseCount.get(id) || 0) + 1);
+        if (!mealLastDay.has(id) || mealLastDay.get(id) < dayIndex) mealLastDay.set(id, dayIndex);
+    };
+    days.forEach((day, dayIndex) => Object.values(lockedMeals[dayIndex] || {}).forEach(m => markUsed(m, dayIndex)));
+
+    days.forEach((day, dayIndex) => {
+        const pools = slots.map(slot => {
+            const locked = lockedFor(dayIndex, slot.key);
+            if (locked) return [locked];
+
+            const { targetForMeal, meals: candidates } = slotCandidates[slot.key];
+            if (candidates.length === 0) {
+                // no real meals anywhere: fallback
+                console.warn(`[DietPlanner] No meals found for "${slot.key}" — using fallback.`);
+                return [createDefaultMeal(slot.bucket, targetForMeal, fallbackSplit)];
+            }
+
+            // variety rule: a meal may not recur within `repeatGap` days. When the
+            // slot cannot satisfy it, fall back to the meals seen longest ago.
+            const lastGap = m => {
+                const last = mealLastDay.get(getMealId(m));
+                return last === undefined ? Infinity : dayIndex - last;
+            };
+            let eligible = candidates.filter(m => lastGap(m) >= repeatGap);
+            if (eligible.length === 0) {
+                const widest = Math.max(...candidates.map(lastGap));
+                eligible = candidates.filter(m => lastGap(m) === widest);
+            }
+            // among eligible meals, spread repeats evenly by offering the least-used ones
+            const useCount = m => mealUseCount.get(getMealId(m)) || 0;
+            const minUse = Math.min(...eligible.map(useCount));
+            const pool = eligible.filter(m => useCount(m) === minUse);
+
+            // near-equal candidates (same distance bucket) keep their seeded shuffle order
+            const distance = m => {
+                const c = safeNumber(m.calories);
+                return c === 0 ? Number.MAX_SAFE_INTEGER : Math.round(Math.abs(c - targetForMeal) / SOLVER_TIE_KCAL);
+            };
+            return shuffleWithRng(pool, rng).sort((a, b) => distance(a) - distance(b)).slice(0, SOLVER_POOL_SIZE);
+        });
+
+        const picks = optimizeDay(pools, targets, optimizeOptions);
+        weeklyPlan[day] = {};
+        slots.forEach((slot, i) => {
+            weeklyPlan[day][slot.key] = picks[i];
+            if (!lockedFor(dayIndex, slot.key)) markUsed(picks[i], dayIndex);
+        });
+    });
+
+    return weeklyPlan;
+}
+
+// Replaces generic fallback meals in place with a real meal from the same
+// diet — same bucket first, then any bucket — scaled to the slot's calories.
+export function replacePlaceholderMeals(weeklyPlan, dietMeals, profile) {
+    const isExcluded = createExclusionFilter(profile);
+    const usable = m => m && !isPlaceholderMeal(m) && !isExcluded(m);
+    const findRealCandidate = bucket => getMealsArrayForType(dietMeals, bucket).find(usable) || flattenMeals(dietMeals).find(usable) || null;
+
+    for (const day of Object.keys(weeklyPlan || {})) {
+        for (const [key, meal] of Object.entries(weeklyPlan[day] || {})) {
+            if (!meal || meal.locked || !isPlaceholderMeal(meal)) continue;
+
+            const { bucket } = findMealSlot(key, profile);
+            const candidate = findRealCandidate(bucket);
+            if (!candidate) continue;  // keep fallback
+            // the placeholder was sized to the slot target — scale the real meal to match
+            const replacement = toPlannedMeal(candidate, bucket, safeNumber(meal.calories));
+            weeklyPlan[day][key] = scaleMeal(replacement, choosePortionScale(replacement, safeNumber(meal.calories)));
+        }
+    }
+    return weeklyPlan;
+}
+
+// { dayIndex: { mealType: meal } } for every locked slot that still respects the profile's exclusions;
+// keyed by position rather than by the day's label so a plan starting on another day keeps its locks
+export function collectLockedMeals(plan, profile) {
+    const isExcluded = createExclusionFilter(profile);
+    const locked = {};
+    Object.keys(plan || {}).forEach((day, dayIndex) => {
+        Object.keys(plan[day] || {}).forEach(mt => {
+            const meal = plan[day][mt];
+            if (!meal || !meal.locked || isExcluded(meal)) return;
+            if (!locked[dayIndex]) locked[dayIndex] = {};
+            locked[dayIndex][mt] = meal;
+        });
+    });
+    return locked;
+}
+
+/* ---------------------------
+   Per-meal swap
+--------------------------- */
+export const SWAP_MAX_OPTIONS = 8;
+
+export function getSlotCalorieTarget(slot, profile) {
+    return Math.max(0, Math.round(safeNumber(profile.targetCalories) * findMealSlot(slot, profile).share));
+}
+
+// same region/diet/mealType bucket, portion-scaled, closest to the slot target first
+export function getSwapAlternatives(dietMeals, plan, day, slot, profile) {
+    if (!dietMeals || !profile) return [];
+    const target = getSlotCalorieTarget(slot, profile);
+    const { bucket } = findMealSlot(slot, profile);
+    const isExcluded = createExclusionFilter(profile);
+    const meetsConditions = createConditionMealFilter(profile);
+    const sameDayIds = new Set(Object.values(plan[day] || {}).map(getMealId));
+    const seen = new Set();
+    return getMealsArrayForType(dietMeals, bucket)
+        .filter(m => m && !isExcluded(m))
+        .map(m => {
+            const planned = toPlannedMeal(m, bucket, target);
+            return scaleMeal(planned, choosePortionScale(planned, target));
+        })
+        .filter(m => {
+            const id = getMealId(m);
+            if (sameDayIds.has(id) || seen.has(id) || !meetsConditions(m, bucket)) return false;
+            seen.add(id);
+            return true;
+        })
+        .sort((a, b) => (Math.abs(a.calories - target) - Math.abs(b.calories - target))
+            || (Math.abs(getMealPortion(a) - 1) - Math.abs(getMealPortion(b) - 1)))
+        .slice(0, SWAP_MAX_OPTIONS);
+}
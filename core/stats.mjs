@@ -0,0 +1,76 @@
+/* ---------------------------
+   Plan statistics
+--------------------------- */
+import { safeNumber } from './util.mjs';
+import { MICRONUTRIENTS, hasMicronutrient } from './nutrients.mjs';
+
+export function sumMealTotals(meals) {
+    const totals = { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0 };
+    meals.forEach(m => {
+        if (!m) return;
+        totals.calories += safeNumber(m.calories);
+        totals.protein += safeNumber(m.protein);
+        totals.carbs += safeNumber(m.carbs);
+        totals.fat += safeNumber(m.fat);
+        totals.fiber += safeNumber(m.fiber);
+    });
+    return totals;
+}
+
+// -> { sodium: { total, reportedMeals }, ... } for micronutrients at least one meal reports
+export function sumMicronutrients(meals) {
+    const out = {};
+    meals.forEach(m => {
+        if (!m) return;
+        MICRONUTRIENTS.forEach(({ key }) => {
+            if (!hasMicronutrient(m, key)) return;
+            const entry = out[key] || (out[key] = { total: 0, reportedMeals: 0 });
+            entry.total += m[key];
+            entry.reportedMeals++;
+        });
+    });
+    return out;
+}
+
+// { day: totals } in plan order
+export function calculateDailyTotals(weeklyPlan) {
+    const out = {};
+    Object.keys(weeklyPlan || {}).forEach(day => {
+        out[day] = sumMealTotals(Object.values(weeklyPlan[day] || {}));
+    });
+    return out;
+}
+
+export function calculateWeeklyStats(weeklyPlan) {
+    const days = Object.keys(weeklyPlan || {});
+    const dayCount = days.length || 1;
+    let mealCount = 0;
+    const meals = [];
+    days.forEach(day => Object.values(weeklyPlan[day] || {}).forEach(meal => {
+        if (!meal) return;
+        meals.push(meal);
+        mealCount++;
+    }));
+    const totals = sumMealTotals(meals);
+    // averages are per plan day; reportedMeals < mealCount means the
+    // average understates the real intake
+    const micronutrients = {};
+    Object.entries(sumMicronutrients(meals)).forEach(([key, { total, reportedMeals }]) => {
+        micronutrients[key] = { total, avg: total / dayCount, reportedMeals };
+    });
+    return {
+        totalCalories: totals.calories,
+        avgCalories: totals.calories / dayCount,
+        totalProtein: totals.protein,
+        avgProtein: totals.protein / dayCount,
+        totalCarbs: totals.carbs,
+        avgCarbs: totals.carbs / dayCount,
+        totalFat: totals.fat,
+        avgFat: totals.fat / dayCount,
+        totalFiber: totals.fiber,
+        avgFiber: totals.fiber / dayCount,
+        micronutrients,
+        mealCount,
+        dayCount
+    };
+}
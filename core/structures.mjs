@@ -0,0 +1,76 @@
+/* ---------------------------
+   Meal structures
+   A structure is the ordered list of slots in a day. Each slot draws from a
+   meals.json bucket (breakfast / lunch / dinner / snacks) and receives a
+   share of the daily calorie target; shares in a structure add up to 1.
+--------------------------- */
+export const MEAL_STRUCTURES = {
+    standard: {
+        label: '3 meals + snack',
+        slots: [
+            { key: 'breakfast', bucket: 'breakfast', label: '🌅 Breakfast', share: 0.25 },
+            { key: 'lunch',     bucket: 'lunch',     label: '🍽️ Lunch',     share: 0.35 },
+            { key: 'dinner',    bucket: 'dinner',    label: '🌙 Dinner',    share: 0.35 },
+            { key: 'snacks',    bucket: 'snacks',    label: '🍎 Snack',     share: 0.05 }
+        ]
+    },
+    three_meals: {
+        label: '3 meals',
+        slots: [
+            { key: 'breakfast', bucket: 'breakfast', label: '🌅 Breakfast', share: 0.30 },
+            { key: 'lunch',     bucket: 'lunch',     label: '🍽️ Lunch',     share: 0.35 },
+            { key: 'dinner',    bucket: 'dinner',    label: '🌙 Dinner',    share: 0.35 }
+        ]
+    },
+    three_plus_two: {
+        label: '3 meals + 2 snacks',
+        slots: [
+            { key: 'breakfast',       bucket: 'breakfast', label: '🌅 Breakfast',       share: 0.25 },
+            { key: 'morning_snack',   bucket: 'snacks',    label: '🍏 Morning Snack',   share: 0.10 },
+            { key: 'lunch',           bucket: 'lunch',     label: '🍽️ Lunch',           share: 0.30 },
+            { key: 'afternoon_snack', bucket: 'snacks',    label: '🍎 Afternoon Snack', share: 0.10 },
+            { key: 'dinner',          bucket: 'dinner',    label: '🌙 Dinner',          share: 0.25 }
+        ]
+    },
+    fasting_16_8: {
+        label: '16:8 fasting (no breakfast)',
+        slots: [
+            { key: 'lunch',  bucket: 'lunch',  label: '🍽️ Lunch (break fast)', share: 0.45 },
+            { key: 'snacks', bucket: 'snacks', label: '🍎 Snack',              share: 0.15 },
+            { key: 'dinner', bucket: 'dinner', label: '🌙 Dinner',             share: 0.40 }
+        ]
+    }
+};
+export const DEFAULT_MEAL_STRUCTURE = 'standard';
+
+export function getMealSlots(structureKey) {
+    return (MEAL_STRUCTURES[structureKey] || MEAL_STRUCTURES[DEFAULT_MEAL_STRUCTURE]).slots;
+}
+
+// slot definition for a plan key; unknown keys (hand-edited or older plans) map to themselves
+export function findMealSlot(key, profile) {
+    const inStructure = getMealSlots(profile && profile.mealStructure).find(s => s.key === key);
+    if (inStructure) return inStructure;
+    for (const structure of Object.values(MEAL_STRUCTURES)) {
+        const slot = structure.slots.find(s => s.key === key);
+        if (slot) return slot;
+    }
+    return { key, bucket: key, label: key.replace(/_/g, ' '), share: 0.25 };
+}
+
+// slots for rendering a plan: the profile's structure, plus any extra slot keys
+// found in the plan itself (e.g. a plan saved under a different structure)
+export function getPlanSlots(plan, profile) {
+    const slots = getMealSlots(profile && profile.mealStructure).slice();
+    const known = new Set(slots.map(s => s.key));
+    Object.values(plan || {}).forEach(day => Object.keys(day || {}).forEach(key => {
+        if (known.has(key)) return;
+        known.add(key);
+        slots.push(findMealSlot(key, profile));
+    }));
+    return slots;
+}
+
+export function getSlotLabel(slot, withIcon = true) {
+    return withIcon ? slot.label : slot.label.replace(/^[^\p{L}]+/u, '');
+}
@@ -0,0 +1,91 @@
+/* ---------------------------
+   Unit systems
+   The profile and all calculations stay metric (cm, kg, g, ml); imperial
+   is an input and display concern handled by the helpers below.
+--------------------------- */
+import { safeNumber } from './util.mjs';
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+export const DEFAULT_UNIT_SYSTEM = 'metric';
+
+export const CM_PER_INCH = 2.54;
+export const INCHES_PER_FOOT = 12;
+export const KG_PER_LB = 0.45359237;
+export const G_PER_OZ = 28.349523;
+export const G_PER_LB = KG_PER_LB * 1000;
+export const ML_PER_FL_OZ = 29.57353;
+
+export function normalizeUnitSystem(value) {
+    return UNIT_SYSTEMS.includes(value) ? value : DEFAULT_UNIT_SYSTEM;
+}
+
+const round = (v, places = 0) => {
+    const f = 10 ** places;
+    return Math.round(v * f) / f;
+};
+
+export const lbToKg = lb => safeNumber(lb) * KG_PER_LB;
+export const kgToLb = kg => safeNumber(kg) / KG_PER_LB;
+
+export function feetInchesToCm(feet, inches) {
+    return (safeNumber(feet) * INCHES_PER_FOOT + safeNumber(inches)) * CM_PER_INCH;
+}
+
+// 175 -> { feet: 5, inches: 8.9 }
+export function cmToFeetInches(cm) {
+    const totalInches = round(safeNumber(cm) / CM_PER_INCH, 1);
+    const feet = Math.floor(totalInches / INCHES_PER_FOOT);
+    return { feet, inches: round(totalInches - feet * INCHES_PER_FOOT, 1) };
+}
+
+export function formatHeight(cm, unitSystem) {
+    if (unitSystem !== 'imperial') return `${round(safeNumber(cm))} cm`;
+    const { feet, inches } = cmToFeetInches(cm);
+    return `${feet} ft ${Math.round(inches)} in`;
+}
+
+export function formatWeight(kg, unitSystem) {
+    return unitSystem === 'imperial' ? `${round(kgToLb(kg), 1)} lb` : `${round(safeNumber(kg), 1)} kg`;
+}
+
+export function formatMass(grams, unitSystem) {
+    const g = safeNumber(grams);
+    if (unitSystem === 'imperial') {
+        const oz = g / G_PER_OZ;
+        return oz >= 16 ? `${round(oz / 16, 2)} lb` : `${round(oz, 1)} oz`;
+    }
+    return g >= 1000 ? `${round(g / 1000, 2)} kg` : `${Math.round(g)} g`;
+}
+
+export function formatVolume(ml, unitSystem) {
+    const v = safeNumber(ml);
+    if (unitSystem === 'imperial') return `${round(v / ML_PER_FL_OZ, 1)} fl oz`;
+    return v >= 1000 ? `${round(v / 1000, 2)} l` : `${Math.round(v)} ml`;
+}
+
+// units that belong to one system; household units (cup, tbsp, pcs) suit both
+export const METRIC_UNITS = ['g', 'gram', 'grams', 'kg', 'mg', 'ml', 'l', 'liter', 'liters', 'litre', 'litres'];
+export const IMPERIAL_UNITS = ['oz', 'floz', 'lb', 'lbs'];
+
+export function unitSuitsSystem(unit, unitSystem) {
+    const u = String(unit || '').toLowerCase();
+    return unitSystem === 'imperial' ? !METRIC_UNITS.includes(u) : !IMPERIAL_UNITS.includes(u);
+}
+
+const SERVING_UNIT_RE = /(\d+(?:\.\d+)?)\s*(fl\.?\s?oz|kg|grams?|g|ml|litres?|liters?|l|oz|lbs?)\b/gi;
+const SERVING_TO_BASE = {
+    g: ['mass', 1], gram: ['mass', 1], grams: ['mass', 1], kg: ['mass', 1000], oz: ['mass', G_PER_OZ], lb: ['mass', G_PER_LB], lbs: ['mass', G_PER_LB],
+    ml: ['volume', 1], l: ['volume', 1000], litre: ['volume', 1000], litres: ['volume', 1000], liter: ['volume', 1000], liters: ['volume', 1000], floz: ['volume', ML_PER_FL_OZ]
+};
+
+// "150 g chicken" -> "5.3 oz chicken" in imperial; "8 oz" -> "227 g" in metric
+export function localizeServing(text, unitSystem) {
+    if (!text) return text || '';
+    return String(text).replace(SERVING_UNIT_RE, (match, qty, unit) => {
+        const key = unit.toLowerCase().replace(/[.\s]/g, '');
+        const known = SERVING_TO_BASE[key];
+        if (!known || unitSuitsSystem(key, unitSystem)) return match;
+        const base = safeNumber(qty) * known[1];
+        return known[0] === 'mass' ? formatMass(base, unitSystem) : formatVolume(base, unitSystem);
+    });
+}
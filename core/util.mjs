@@ -0,0 +1,25 @@
+/* ---------------------------
+   Shared helpers
+--------------------------- */
+
+// safe number parser
+export function safeNumber(v) {
+    if (v === null || v === undefined || v === '') return 0;
+    if (typeof v === 'number') return Number.isFinite(v) ? v : 0;
+    const n = parseFloat(String(v).replace(/[^\d.-]/g, ''));
+    return Number.isFinite(n) ? n : 0;
+}
+
+export function normalizeKey(value) {
+    if (!value) return "";
+    return String(value).trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+export function escapeHtml(s) {
+    if (s === null || s === undefined) return '';
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export function csvQuote(s) {
+    return `"${String(s ?? '').replace(/"/g, '""')}"`;
+}
@@ -1,107 +1,105 @@
-// Diet Planner - Complete Version with PDF Export
-// ==================================================
+/*************************************************************************
+ * Diet Planner UI
+ * Wires the page to the DOM-free core in core/: reads the form, renders
+ * the plan, charts and shopping list, and handles storage and downloads.
+ *************************************************************************/
+import {
+    safeNumber, escapeHtml,
+    DAYS_PER_WEEK, toISODate, parseISODate, formatPlanDay,
+    DEFAULT_UNIT_SYSTEM, normalizeUnitSystem, localizeServing, cmToFeetInches, kgToLb, lbToKg, feetInchesToCm,
+    createSeed, normalizeSeed,
+    calculateMacroTargets, calculateEnergyTarget, describeEnergyTarget, MAX_GOAL_RATE_KG,
+    MICRONUTRIENTS, percentOfDailyValue, roundNutrientAmount,
+    MEAL_DATA_URLS, fetchMealsDatabase, resolveDietMeals, getMealTitle,
+    getPlanSlots,
+    formatPortion, getMealPortion,
+    calculateWeeklyStats, calculateDailyTotals,
+    projectWeight, normalizeProjectionWeeks, DEFAULT_PROJECTION_WEEKS, formatWeight,
+    buildComplianceReport,
+    calculateDailyResiduals, getSlotCalorieTarget, getSwapAlternatives, findMealSlot, getSlotLabel,
+    buildShoppingList, shoppingListToCSV, shoppingListToText,
+    REQUIRED_PROFILE_FIELDS, MACRO_INPUT_FIELDS, IMPERIAL_HEIGHT_FIELDS, HEIGHT_RANGE_CM, WEIGHT_RANGE_KG,
+    validateProfileInput, normalizeProfile,
+    generatePlan,
+    planToCSV, planToPDF, planToMarkdown, planToICS, getSlotTime,
+    INTEGRATION_STORAGE_KEY, LEGACY_INTEGRATION_KEYS, INTEGRATION_SENT_FLAG_KEY, TRACKER_PLAN_STORAGE_KEY, buildIntegrationPayload, parseIntegrationPayload, planToJSON,
+    HANDOFF_CHANNEL, sendPlanHandoff, createHandoffToken, withHandoffToken,
+    INTAKE_STORAGE_KEY, parseIntakePayload, calculateAdherence, buildReplanAdjustments,
+    HISTORY_DB_NAME, HISTORY_DB_VERSION, HISTORY_STORES, createRecordId, createProfileRecord, createPlanRecord,
+    comparePlans, createHistoryStore, migrateLegacyPlan,
+    MIN_HOUSEHOLD_MEMBERS, generateHouseholdPlan, scalePlanForMember, buildHouseholdTable, summarizeHouseholdMembers, buildHouseholdShoppingList,
+    RECIPE_STORAGE_KEY, validateRecipe, parseRecipeLibrary, mergeRecipeLists, mergeCustomRecipes, recipesToJSON, formatRecipeFoods
+} from './core/index.mjs';
 
-// Global variables
+// Globals
 let currentMealPlan = null;
 let currentUserProfile = null;
+let currentPlanSeed = null;
 let mealDatabase = null;
+let baseMealDatabase = null;     // meals.json as loaded, before the user's recipes are merged in
 let mealDbLoadPromise = null;
 let ChartsLoaded = false;
-let Html2PdfLoaded = false;
 let currentActiveSection = 'profile';
 let sectionObserver;
-
-// Theme management
 let currentTheme = localStorage.getItem('theme') || 'light';
+let projectionWeeks = DEFAULT_PROJECTION_WEEKS;
+let currentIntake = null;        // logged intake imported for the current plan
+let lastReplanReasons = null;    // why the current plan differs from the previous week
+let historyReady = null;         // resolves to the profile & plan history store (or null)
+let historyWrites = Promise.resolve();
+let currentHistoryPlanId = null; // the history entry that edits to the current plan update
+let currentProfileId = null;     // the saved profile new plans are filed under
+let historySelection = [];       // up to two plan ids picked for comparison
+let currentHousehold = null;     // the household sharing the current plan's dishes, or null
+let householdMemberIndex = 0;    // whose portions the current plan shows
+const householdMemberIds = new Set();  // saved profiles ticked for a household plan
+let editingRecipeId = null;      // the library recipe open in the editor, or null for a new one
 
-// Safe number parsing helper
-function safeNumber(v) {
-    if (v === null || v === undefined) return 0;
-    const n = Number(String(v).replace(/[^\d.-]/g, ''));
-    return Number.isFinite(n) ? n : 0;
-}
-
-// =========================
-// Initialize the application
-// =========================
-document.addEventListener('DOMContentLoaded', function () {
-    initializeTheme();
-    initializeNavigation();
-    initializeMobileMenu();
-    initializeIntersectionObserver();
-    loadMealsDatabase();
-    loadExistingPlan();
-    initializeForm();
-    initializePdfExport();
-
-    console.log('🍽️ Diet Planner loaded successfully! 🎉');
-
-    // Bind reload meals button
-    (function bindReloadButton() {
-        const reloadBtn = document.getElementById('reloadMealsBtn');
-        if (!reloadBtn) return;
-        reloadBtn.addEventListener('click', async (e) => {
-            e.preventDefault();
-            reloadBtn.disabled = true;
-            const origText = reloadBtn.textContent;
-            reloadBtn.textContent = 'Reloading meals...';
-            try {
-                await loadMealsDatabase(true);
-                alert('✅ Meals reloaded. Any generated plan will now use the new meal data.');
-            } catch (err) {
-                alert('❌ Failed to reload meals: ' + (err.message || err));
-            } finally {
-                reloadBtn.disabled = false;
-                reloadBtn.textContent = origText;
-            }
-        });
-    })();
-});
+const PLAN_STORAGE_KEY = 'last_generated_plan_v1';
+const UNIT_STORAGE_KEY = 'unit_system';
+const TRACKER_URL_STORAGE_KEY = 'diet_tracker_url';
+const MEAL_TIMES_STORAGE_KEY = 'meal_times';
+const HISTORY_CURRENT_PLAN_KEY = 'history_current_plan';
+const HISTORY_MIGRATED_KEY = 'history_migrated_v1';
+const ACTIVE_PROFILE_STORAGE_KEY = 'active_profile';
+const HOUSEHOLD_STORAGE_KEY = 'household_plan';   // { checksum, memberIndex, household } of the saved plan
+// served from the repo (and cached by sw.js) so charts work offline
+const CHART_JS_URL = 'vendor/chart.umd.js';
 
-// =========================
-// Theme Management
-// =========================
+/* ---------------------------
+   Initialization helpers
+--------------------------- */
 function initializeTheme() {
     document.body.setAttribute('data-theme', currentTheme);
     updateThemeToggle();
     const themeToggle = document.getElementById('themeToggle');
-    if (themeToggle) themeToggle.addEventListener('click', toggleTheme);
-}
-
-function toggleTheme() {
-    currentTheme = currentTheme === 'light' ? 'dark' : 'light';
-    document.body.setAttribute('data-theme', currentTheme);
-    localStorage.setItem('theme', currentTheme);
-    updateThemeToggle();
+    if (themeToggle) themeToggle.addEventListener('click', () => {
+        currentTheme = currentTheme === 'light' ? 'dark' : 'light';
+        document.body.setAttribute('data-theme', currentTheme);
+        localStorage.setItem('theme', currentTheme);
+        updateThemeToggle();
+    });
 }
-
 function updateThemeToggle() {
     const themeToggle = document.getElementById('themeToggle');
     if (!themeToggle) return;
-    themeToggle.textContent = currentTheme === 'light' ? '🌞' : '🌙';
+    themeToggle.textContent = currentTheme === 'light' ? '🌙' : '☀️';
 }
 
-// =========================
-// Navigation
-// =========================
 function initializeNavigation() {
     const navItems = document.querySelectorAll('.nav-item');
     navItems.forEach(item => {
-        item.addEventListener('click', () => {
-            const section = item.getAttribute('data-section');
-            if (section) navigateToSection(section);
+        item.addEventListener('click', function() {
+            const section = this.getAttribute('data-section');
+            if (!section) return;
+            updateActiveNavItem(section);
+            if (section === 'profile') showForm();
+            else { showResults(); scrollToResultsSection(section); }
+            closeMobileMenu();
         });
     });
 }
 
-function navigateToSection(sectionId) {
-    const target = document.getElementById(sectionId);
-    if (!target) return;
-    target.scrollIntoView({ behavior: 'smooth', block: 'start', inline: 'nearest' });
-    closeMobileMenu();
-    currentActiveSection = sectionId;
-}
-
 function updateActiveNavItem(activeSection) {
     const navItems = document.querySelectorAll('.nav-item');
     navItems.forEach(item => {
@@ -111,250 +109,2014 @@ function updateActiveNavItem(activeSection) {
     });
 }
 
-// =========================
-// Mobile menu
-// =========================
 function initializeMobileMenu() {
-    const menuBtn = document.getElementById('mobileMenuBtn');
-    if (menuBtn) menuBtn.addEventListener('click', toggleMobileMenu);
+    const btn = document.getElementById('mobileMenuButton');
+    const overlay = document.getElementById('mobileOverlay');
+    if (btn) btn.addEventListener('click', toggleMobileMenu);
+    if (overlay) overlay.addEventListener('click', closeMobileMenu);
+    window.addEventListener('resize', () => { if (window.innerWidth > 768) closeMobileMenu(); });
 }
-
 function toggleMobileMenu() {
-    const menu = document.getElementById('mobileMenu');
-    if (!menu) return;
-    menu.classList.toggle('open');
+    const sidebar = document.getElementById('sidebar');
+    const overlay = document.getElementById('mobileOverlay');
+    if (!sidebar) return;
+    sidebar.classList.toggle('mobile-open');
+    if (overlay) overlay.classList.toggle('active');
+    const btn = document.getElementById('mobileMenuButton');
+    if (btn) btn.setAttribute('aria-expanded', sidebar.classList.contains('mobile-open') ? 'true' : 'false');
 }
-
 function closeMobileMenu() {
-    const menu = document.getElementById('mobileMenu');
-    if (!menu) return;
-    menu.classList.remove('open');
+    const sidebar = document.getElementById('sidebar');
+    const overlay = document.getElementById('mobileOverlay');
+    if (!sidebar) return;
+    sidebar.classList.remove('mobile-open');
+    if (overlay) overlay.classList.remove('active');
+    const btn = document.getElementById('mobileMenuButton');
+    if (btn) btn.setAttribute('aria-expanded','false');
 }
 
-// =========================
-// Intersection observer
-// =========================
 function initializeIntersectionObserver() {
     if ('IntersectionObserver' in window) {
         sectionObserver = new IntersectionObserver(entries => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
-                    const id = entry.target.id;
-                    updateActiveNavItem(id);
+                    updateActiveNavItem(entry.target.id);
                 }
             });
         }, { threshold: 0.5 });
-
-        const sections = document.querySelectorAll('section');
+        const sections = document.querySelectorAll('section, .form-section, .results-container');
         sections.forEach(s => sectionObserver.observe(s));
     }
 }
 
-// =========================
-// Loading
-// =========================
-function showLoading() {
+function initializeResultsToggle() {
+    const editBtn = document.getElementById('editProfileBtn');
+    if (editBtn) editBtn.addEventListener('click', showForm);
+    const shuffleBtn = document.getElementById('shuffleBtn');
+    if (shuffleBtn) shuffleBtn.addEventListener('click', shufflePlan);
+}
+
+function showForm() {
+    const formSection = document.getElementById('formSection');
+    const resultsContainer = document.getElementById('resultsContainer');
+    if (resultsContainer) {
+        resultsContainer.classList.remove('visible');
+        resultsContainer.setAttribute('aria-hidden','true');
+    }
+    if (formSection) formSection.classList.remove('hidden');
+    updateActiveNavItem('profile');
+    currentActiveSection = 'profile';
+}
+
+function showResults() {
+    if (!currentMealPlan) { console.warn('No meal plan available to show results'); return; }
+    const formSection = document.getElementById('formSection');
+    const resultsContainer = document.getElementById('resultsContainer');
+    if (formSection) formSection.classList.add('hidden');
+    if (resultsContainer) {
+        setTimeout(() => {
+            resultsContainer.classList.add('visible');
+            resultsContainer.setAttribute('aria-hidden','false');
+            const resultsScroll = document.getElementById('resultsScroll');
+            if (resultsScroll) resultsScroll.scrollTop = 0;
+        }, 200);
+    }
+}
+
+function scrollToResultsSection(sectionId) {
+    const resultsScroll = document.getElementById('resultsScroll');
+    if (!resultsScroll) return;
+    let top = 0;
+    if (sectionId === 'analytics') {
+        const el = resultsScroll.querySelector('.charts-grid');
+        if (el) top = el.offsetTop - 20;
+    } else if (sectionId === 'shopping') {
+        const el = document.getElementById('shoppingListCard');
+        if (el) top = el.offsetTop - 20;
+    } else if (sectionId === 'exports') {
+        const el = resultsScroll.querySelector('.export-section');
+        if (el) top = el.offsetTop - 20;
+    }
+    resultsScroll.scrollTo({ top, behavior: 'smooth' });
+}
+
+/* ---------------------------
+   Form handling
+--------------------------- */
+const OPTIONAL_PROFILE_FIELDS = ['unitSystem', ...IMPERIAL_HEIGHT_FIELDS, 'energyModel', 'bodyFat', 'weeklyRate', 'targetCalories', 'mealStructure', 'planWeeks', 'startDate', 'repeatGapDays', 'excludedIngredients', 'planSeed'];
+
+function initializeForm() {
+    const startDate = document.getElementById('startDate');
+    if (startDate && !startDate.value) startDate.value = toISODate(new Date());
+    initializeUnitToggle();
+    const gen = document.getElementById('generateBtn');
+    if (gen) gen.addEventListener('click', async (e) => {
+        e.preventDefault();
+        await handleFormSubmit();
+    });
+}
+
+/* ---------------------------
+   Unit system toggle
+--------------------------- */
+function getUnitSystem() {
+    return normalizeUnitSystem(document.getElementById('unitSystem')?.value);
+}
+
+function initializeUnitToggle() {
+    const select = document.getElementById('unitSystem');
+    if (!select) return;
+    select.value = normalizeUnitSystem(localStorage.getItem(UNIT_STORAGE_KEY) || DEFAULT_UNIT_SYSTEM);
+    applyUnitSystem(select.value);
+    let previous = select.value;
+    select.addEventListener('change', () => {
+        const next = normalizeUnitSystem(select.value);
+        convertMeasurementFields(previous, next);
+        previous = next;
+        localStorage.setItem(UNIT_STORAGE_KEY, next);
+        applyUnitSystem(next);
+    });
+}
+
+// swaps the height inputs and the weight label, range and placeholder
+function applyUnitSystem(unitSystem) {
+    const imperial = unitSystem === 'imperial';
+    document.getElementById('heightMetricGroup')?.classList.toggle('d-none', imperial);
+    document.getElementById('heightImperialGroup')?.classList.toggle('d-none', !imperial);
+    const height = document.getElementById('height');
+    if (height) height.required = !imperial;
+    const weightLabel = document.getElementById('weightLabel');
+    if (weightLabel) weightLabel.textContent = imperial ? 'Weight (lb) *' : 'Weight (kg) *';
+    const weight = document.getElementById('weight');
+    if (weight) {
+        const range = imperial ? WEIGHT_RANGE_KG.map(kg => Math.round(kgToLb(kg))) : WEIGHT_RANGE_KG;
+        weight.min = range[0];
+        weight.max = range[1];
+        weight.placeholder = imperial ? 'e.g., 155' : 'e.g., 70.5';
+    }
+    const rateLabel = document.getElementById('weeklyRateLabel');
+    if (rateLabel) rateLabel.textContent = `Goal Rate (${imperial ? 'lb' : 'kg'}/week, optional)`;
+    const rate = document.getElementById('weeklyRate');
+    if (rate) {
+        const maxKg = Math.max(...Object.values(MAX_GOAL_RATE_KG));
+        rate.max = imperial ? Math.round(kgToLb(maxKg) * 10) / 10 : maxKg;
+        rate.step = imperial ? '0.1' : '0.05';
+        rate.placeholder = imperial ? '1 for loss, 0.5 for gain' : '0.5 for loss, 0.25 for gain';
+    }
+}
+
+// carries already-entered height and weight across a unit switch
+function convertMeasurementFields(from, to) {
+    if (from === to) return;
+    const field = id => document.getElementById(id);
+    const toUnit = v => (to === 'imperial' ? kgToLb(v) : lbToKg(v));
+    const weight = field('weight');
+    if (weight && weight.value) weight.value = String(Math.round(toUnit(weight.value) * 10) / 10);
+    const rate = field('weeklyRate');
+    if (rate && rate.value) rate.value = String(Math.round(toUnit(rate.value) * 100) / 100);
+    if (to === 'imperial' && field('height')?.value) {
+        setImperialHeightFields(field('height').value);
+    } else if (to === 'metric' && field('heightFt')?.value) {
+        const cm = Math.round(feetInchesToCm(field('heightFt').value, field('heightIn')?.value));
+        if (field('height')) field('height').value = String(Math.min(HEIGHT_RANGE_CM[1], cm));
+    }
+}
+
+function setImperialHeightFields(cm) {
+    const { feet, inches } = cmToFeetInches(cm);
+    const ft = document.getElementById('heightFt');
+    const inch = document.getElementById('heightIn');
+    if (ft) ft.value = String(feet);
+    if (inch) inch.value = String(inches);
+}
+
+// raw form values, keyed by input id
+function readFormValues() {
+    const values = {};
+    [...REQUIRED_PROFILE_FIELDS, ...OPTIONAL_PROFILE_FIELDS, ...Object.values(MACRO_INPUT_FIELDS)].forEach(id => {
+        values[id] = document.getElementById(id)?.value ?? '';
+    });
+    values.allergens = Array.from(document.querySelectorAll('input[name="allergen"]:checked')).map(el => el.value);
+    values.conditions = Array.from(document.querySelectorAll('input[name="condition"]:checked')).map(el => el.value);
+    return values;
+}
+
+async function handleFormSubmit(generate = generateMealPlan) {
+    if (!validateForm()) return;
+    const generateBtn = document.getElementById('generateBtn');
+    const genText = document.getElementById('generateBtnText');
+    if (generateBtn) { generateBtn.disabled = true; if (genText) genText.textContent = 'Generating...'; }
     const loading = document.getElementById('loading');
     if (loading) loading.style.display = 'block';
+    try {
+        await generate();
+        setTimeout(() => {
+            if (loading) loading.style.display = 'none';
+            showResults();
+            updateActiveNavItem('plan');
+        }, 300);
+    } catch (err) {
+        console.error('Error generating meal plan:', err);
+        alert('Failed to generate meal plan. See console.');
+        if (loading) loading.style.display = 'none';
+    } finally {
+        if (generateBtn) { generateBtn.disabled = false; if (genText) genText.textContent = 'Generate My Meal Plan'; }
+    }
 }
 
-function hideLoading() {
-    const loading = document.getElementById('loading');
-    if (loading) loading.style.display = 'none';
+function validateForm() {
+    const errors = validateProfileInput(readFormValues());
+    const macroIds = Object.values(MACRO_INPUT_FIELDS);
+    [...REQUIRED_PROFILE_FIELDS, ...OPTIONAL_PROFILE_FIELDS].forEach(id => {
+        const el = document.getElementById(id);
+        const err = document.getElementById(id + '-error');
+        if (el) el.classList.toggle('is-invalid', Boolean(errors[id]));
+        if (err) err.textContent = errors[id] || '';
+    });
+    macroIds.forEach(id => document.getElementById(id)?.classList.toggle('is-invalid', Boolean(errors.macroSplit)));
+    const macroErr = document.getElementById('macroSplit-error');
+    if (macroErr) macroErr.textContent = errors.macroSplit || '';
+    return Object.keys(errors).length === 0;
 }
 
-// =========================
-// Meals database
-// =========================
-async function loadMealsDatabase(forceReload = false) {
-    if (mealDatabase && !forceReload) return mealDatabase;
+function displayPlanSeed() {
+    const label = document.getElementById('planSeedLabel');
+    if (label) label.textContent = currentPlanSeed === null ? '—' : String(currentPlanSeed);
+}
 
-    const mealsUrl = `meals.json?v=${Date.now()}`;
+async function shufflePlan() {
+    if (!currentUserProfile) return;
+    const shuffleBtn = document.getElementById('shuffleBtn');
+    if (shuffleBtn) shuffleBtn.disabled = true;
     try {
-        const response = await fetch(mealsUrl, { cache: 'no-store' });
-        if (!response.ok) {
-            console.warn('meals.json fetch returned non-ok status:', response.status);
-            if (mealDatabase) return mealDatabase;
-            mealDatabase = createFallbackMeals();
+        // a fresh seed; the seed field is cleared so it does not pin later generations
+        const seedField = document.getElementById('planSeed');
+        if (seedField) seedField.value = '';
+        const seed = createSeed();
+        await (currentHousehold ? generateHouseholdMealPlan({ seed }) : generateMealPlan({ seed }));
+    } catch (err) {
+        console.error('Error shuffling meal plan:', err);
+    } finally {
+        if (shuffleBtn) shuffleBtn.disabled = false;
+    }
+}
+
+/* ---------------------------
+   Meal database (loaded once, shared by every generation)
+   The user's recipes are merged into it; see "My recipes".
+--------------------------- */
+async function loadMealsDatabase(force = false) {
+    if (mealDatabase && !force) return mealDatabase;
+    if (mealDbLoadPromise && !force) return mealDbLoadPromise;
+    mealDbLoadPromise = fetchMealsDatabase({ urls: [...MEAL_DATA_URLS, location.origin + '/meals.json'] })
+        .then(db => {
+            baseMealDatabase = db;
+            mealDatabase = mergeCustomRecipes(db, readCustomRecipes());
             return mealDatabase;
+        });
+    return mealDbLoadPromise;
+}
+
+/* ---------------------------
+   Plan persistence
+--------------------------- */
+// saved in the same versioned payload format as the tracker handoff, and
+// to the plan history: a `source` ('generated', 'replanned', 'imported')
+// starts a new history entry, edits (no source) update the current one
+function savePlanToStorage(source) {
+    if (!currentMealPlan || !currentUserProfile) return;
+    const payload = buildIntegrationPayload(currentMealPlan, currentUserProfile, currentPlanSeed);
+    try {
+        localStorage.setItem(PLAN_STORAGE_KEY, JSON.stringify(payload));
+        // the household goes with the exact plan it was portioned for
+        if (currentHousehold) {
+            localStorage.setItem(HOUSEHOLD_STORAGE_KEY, JSON.stringify({ checksum: payload.checksum, memberIndex: householdMemberIndex, household: currentHousehold }));
+        } else {
+            localStorage.removeItem(HOUSEHOLD_STORAGE_KEY);
         }
+    } catch (e) { /* ignore storage errors */ }
+    recordPlanHistory(payload, source);
+}
 
-        const newData = await response.json();
-        let newSignature;
-        try { newSignature = JSON.stringify(newData); }
-        catch { newSignature = Date.now().toString(); }
+// the household the saved plan belongs to, or null once another plan was saved
+function readSavedHousehold(payload) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HOUSEHOLD_STORAGE_KEY));
+        if (!saved || saved.checksum !== payload.checksum || !saved.household || !Array.isArray(saved.household.members)) return null;
+        return saved;
+    } catch (e) { return null; }
+}
 
-        const isValidShape = newData && typeof newData === 'object' && Object.keys(newData).length > 0;
-        if (!isValidShape) {
-            console.warn('meals.json has unexpected structure — using fallback meals.');
-            if (!mealDatabase) mealDatabase = createFallbackMeals();
-            return mealDatabase;
+/* ---------------------------
+   Generate & display plan
+--------------------------- */
+async function generateMealPlan(options = {}) {
+    try {
+        const db = await loadMealsDatabase();
+        const values = readFormValues();
+        const profile = normalizeProfile(values);
+        const seed = normalizeSeed(options.seed) ?? normalizeSeed(values.planSeed) ?? createSeed();
+
+        const { plan, regionKey } = generatePlan(db, profile, { seed, previousPlan: currentMealPlan });
+
+        currentMealPlan = plan;
+        currentUserProfile = profile;
+        currentPlanSeed = seed;
+        currentHousehold = null;
+        // logged intake belongs to the plan it was logged against
+        currentIntake = null;
+        lastReplanReasons = null;
+        savePlanToStorage('generated');
+
+        displayMealPlan(plan, profile);
+        await createCharts(plan, profile);
+
+        console.log("✅ Weekly plan generated for", regionKey, profile.dietType, "| seed:", seed);
+        return plan;
+
+    } catch (error) {
+        console.error("❌ Error generating meal plan:", error);
+        alert("Failed to generate meal plan. Please check console for details.");
+        throw error;
+    }
+}
+
+function displayMealPlan(weeklyPlan, profile) {
+    displayPlanSeed();
+    displayStatsCards(weeklyPlan, profile);
+    displayEnergyExplanation(profile);
+    displayComplianceReport(weeklyPlan, profile);
+    displayMealTable(weeklyPlan, profile);
+    displayHousehold();
+    displayShoppingList(weeklyPlan, profile);
+    displayAdherenceReport();
+    renderCalendarOptions(weeklyPlan, profile);
+}
+
+function displayStatsCards(weeklyPlan, profile) {
+    const stats = calculateWeeklyStats(weeklyPlan);
+    const container = document.getElementById('statsGrid');
+    if (!container) return;
+    const targetDiff = Math.round(((stats.avgCalories - profile.targetCalories) / profile.targetCalories) * 100);
+    const targets = calculateMacroTargets(profile);
+    const residuals = Object.values(calculateDailyResiduals(weeklyPlan, targets));
+    const avgDailyMiss = residuals.length ? Math.round(residuals.reduce((sum, r) => sum + Math.abs(r.calories), 0) / residuals.length) : 0;
+    container.innerHTML = `
+        <div class="stat-card fade-in">
+            <div class="stat-title">Calories</div>
+            <div class="stat-value">${Math.round(stats.avgCalories)}</div>
+            <div class="stat-target">/ ${profile.targetCalories}</div>
+        </div>
+        <div class="stat-card fade-in">
+            <div class="stat-title">Protein</div>
+            <div class="stat-value">${Math.round(stats.avgProtein)}<span class="stat-unit">g</span></div>
+            <div class="stat-target">/ ${targets.protein}g (${targets.split.protein}%)</div>
+        </div>
+        <div class="stat-card fade-in">
+            <div class="stat-title">Carbs</div>
+            <div class="stat-value">${Math.round(stats.avgCarbs)}<span class="stat-unit">g</span></div>
+            <div class="stat-target">/ ${targets.carbs}g (${targets.split.carbs}%)</div>
+        </div>
+        <div class="stat-card fade-in">
+            <div class="stat-title">Fat</div>
+            <div class="stat-value">${Math.round(stats.avgFat)}<span class="stat-unit">g</span></div>
+            <div class="stat-target">/ ${targets.fat}g (${targets.split.fat}%)</div>
+        </div>
+        <div class="stat-card fade-in">
+            <div class="stat-title">Fiber</div>
+            <div class="stat-value">${Math.round(stats.avgFiber)}<span class="stat-unit">g</span></div>
+            <div class="stat-target">/ ${targets.fiber}g</div>
+        </div>
+        <div class="stat-card fade-in">
+            <div class="stat-title">Target Diff</div>
+            <div class="stat-value ${targetDiff >= 0 ? 'text-success' : 'text-warning'}">${targetDiff >= 0 ? '+' : ''}${targetDiff}%</div>
+            <div class="stat-target">±${avgDailyMiss} kcal/day</div>
+        </div>
+        ${renderMicronutrientCards(stats)}
+    `;
+}
+
+// one card per micronutrient the plan's meals report, against its daily value
+function renderMicronutrientCards(stats) {
+    return MICRONUTRIENTS.filter(n => stats.micronutrients[n.key]).map(n => {
+        const { avg, reportedMeals } = stats.micronutrients[n.key];
+        const pct = percentOfDailyValue(n.key, avg);
+        const valueClass = n.limit ? (pct > 100 ? 'text-warning' : '') : (pct >= 100 ? 'text-success' : '');
+        const coverage = reportedMeals < stats.mealCount
+            ? `<div class="stat-target" title="Only these meals list ${escapeHtml(n.label.toLowerCase())}">${reportedMeals}/${stats.mealCount} meals</div>`
+            : '';
+        return `
+        <div class="stat-card fade-in">
+            <div class="stat-title">${escapeHtml(n.label)}</div>
+            <div class="stat-value ${valueClass}">${roundNutrientAmount(avg)}<span class="stat-unit">${n.unit}</span></div>
+            <div class="stat-target">${n.limit ? 'max ' : '/ '}${n.dailyValue}${n.unit} (${pct}%)</div>
+            ${coverage}
+        </div>`;
+    }).join('');
+}
+
+// which equation produced the calorie target, and any safety limit applied to it
+function displayEnergyExplanation(profile) {
+    const container = document.getElementById('energyExplanation');
+    if (!container) return;
+    if (profile.targetSource === 'adherence' && profile.adherenceShift) {
+        const { from, shift } = profile.adherenceShift;
+        container.textContent = `🎯 Target of ${profile.targetCalories} kcal/day: ${from} kcal ${shift < 0 ? 'lowered' : 'raised'} by ${Math.abs(shift)} for the intake logged against the previous week.`;
+        return;
+    }
+    if (profile.targetSource === 'manual') {
+        container.textContent = `🎯 Target of ${profile.targetCalories} kcal/day entered manually.`;
+        return;
+    }
+    // plans saved before targets were explained carry no targetSource
+    if (profile.targetSource !== 'model') { container.textContent = ''; return; }
+    const lines = describeEnergyTarget(calculateEnergyTarget(profile), profile.unitSystem);
+    container.innerHTML = `🎯 ${lines.map(escapeHtml).join('<br>')}`;
+}
+
+// how well the plan keeps to the rules of the profile's medical conditions
+function displayComplianceReport(weeklyPlan, profile) {
+    const container = document.getElementById('complianceReport');
+    if (!container) return;
+    const report = buildComplianceReport(weeklyPlan, profile, key => findMealSlot(key, profile).bucket);
+    if (!report.length) { container.innerHTML = ''; return; }
+    const slotName = key => getSlotLabel(findMealSlot(key, profile), false);
+    const failureText = f => `${formatPlanDay(f.day, 'short')}${f.slot ? ' ' + slotName(f.slot) : ''}: ${f.value}`;
+    container.innerHTML = `
+        <div class="card fade-in">
+            <div class="card-header"><h3 class="card-title">🩺 Condition Compliance</h3></div>
+            <div class="card-body">
+                ${report.map(c => `
+                <div class="shopping-category">
+                    <h4>${escapeHtml(c.label)}</h4>
+                    <ul class="shopping-items">
+                        ${c.rules.map(r => {
+                            const ok = r.failures.length === 0;
+                            const noData = r.noData ? ` · ${r.noData} without data` : '';
+                            const misses = ok ? '' : `<div class="text-muted" style="font-size:.8rem;">${escapeHtml(r.failures.slice(0, 3).map(failureText).join(' • '))}${r.failures.length > 3 ? ` • +${r.failures.length - 3} more` : ''}</div>`;
+                            const icon = !r.checked ? '❔' : (ok ? '✅' : '⚠️');
+                            return `<li><span>${icon} ${escapeHtml(r.description)}${misses}</span><span class="shopping-qty">${r.passed}/${r.checked}${noData}</span></li>`;
+                        }).join('')}
+                    </ul>
+                </div>`).join('')}
+            </div>
+        </div>`;
+}
+
+function displayMealTable(weeklyPlan, profile = currentUserProfile) {
+    const container = document.getElementById('mealPlanTable');
+    if (!container) return;
+    const days = Object.keys(weeklyPlan || {});
+    const mealTypes = getPlanSlots(weeklyPlan, profile);
+
+    let html = '<table class="table"><thead><tr><th>Day</th>';
+    mealTypes.forEach(mt => html += `<th>${escapeHtml(mt.label)}</th>`);
+    html += '<th>Daily Total</th></tr></thead><tbody>';
+
+    days.forEach((day, idx) => {
+        if (days.length > DAYS_PER_WEEK && idx % DAYS_PER_WEEK === 0) {
+            html += `<tr><td class="day-header" colspan="${mealTypes.length + 2}" style="background:var(--surface-color);">Week ${idx / DAYS_PER_WEEK + 1}</td></tr>`;
         }
+        html += '<tr>';
+        html += `<td class="day-header">${escapeHtml(formatPlanDay(day, 'long'))}</td>`;
+        let totalCalories = 0;
+        mealTypes.forEach(mt => {
+            const meal = (weeklyPlan[day] || {})[mt.key];
+            if (meal) {
+                const titleText = getMealTitle(meal);
+                const calories = safeNumber(meal.calories || meal.kcal || 0);
+                totalCalories += calories;
+                const serving = localizeServing(meal.serving_size || meal.servingSize || '', profile && profile.unitSystem);
+                const protein = safeNumber(meal.protein || meal.prot || 0);
+                const carbs = safeNumber(meal.carbs || meal.carbohydrates || 0);
+                const fat = safeNumber(meal.fat || meal.fats || 0);
+                const fiber = safeNumber(meal.fiber || 0);
+                const portion = getMealPortion(meal);
 
-        const prevSignature = mealDatabase && mealDatabase._signature ? mealDatabase._signature : null;
-        if (newSignature !== prevSignature) {
-            try {
-                Object.defineProperty(newData, '_signature', { value: newSignature, enumerable: false, writable: true });
-            } catch {
-                newData._signature = newSignature;
+                html += `<td${meal.locked ? ' class="meal-locked"' : ''}>
+                            <div class="meal-item">${escapeHtml(titleText)}</div>
+                            <div class="meal-serving text-primary">${escapeHtml(String(calories))} kcal</div>`;
+                if (serving || portion !== 1) {
+                    html += `<div class="meal-serving">${escapeHtml(serving)}${portion !== 1 ? ` <span class="text-primary">(×${escapeHtml(formatPortion(portion))} portion)</span>` : ''}</div>`;
+                }
+                if (protein || carbs || fat || fiber) {
+                    html += `<div class="meal-nutrients">P: ${escapeHtml(String(protein))}g • C: ${escapeHtml(String(carbs))}g • F: ${escapeHtml(String(fat))}g • Fib: ${escapeHtml(String(fiber))}g</div>`;
+                }
+                const slotAttrs = `data-day="${escapeHtml(day)}" data-slot="${escapeHtml(mt.key)}"`;
+                html += `<div class="meal-actions">
+                            <button type="button" class="meal-action-btn" data-action="swap" ${slotAttrs} title="Swap this meal" aria-label="Swap ${escapeHtml(day)} ${escapeHtml(mt.key)}">🔄 Swap</button>
+                            <button type="button" class="meal-action-btn${meal.locked ? ' active' : ''}" data-action="lock" ${slotAttrs} aria-pressed="${meal.locked ? 'true' : 'false'}" title="${meal.locked ? 'Unlock — allow regeneration to replace it' : 'Lock — keep this meal when regenerating'}">${meal.locked ? '🔒' : '🔓'}</button>
+                         </div>`;
+                html += `</td>`;
+            } else {
+                html += '<td><div class="text-muted">No meal</div></td>';
             }
-            mealDatabase = newData;
-            console.log('✅ meals.json updated and loaded');
+        });
+        html += `<td><strong class="text-success">${Math.round(totalCalories)} kcal</strong></td>`;
+        html += '</tr>';
+    });
 
-            if (currentUserProfile) {
-                try { await selectAndDisplayPlanOnMealsUpdate(currentUserProfile); }
-                catch (err) { console.error('Error regenerating plan after meals update:', err); }
-            }
-        } else {
-            if (!mealDatabase) mealDatabase = newData;
-            console.log('meals.json fetched — no changes detected');
+    html += '</tbody></table>';
+    container.innerHTML = html;
+}
+
+/* ---------------------------
+   Per-meal swap & lock
+--------------------------- */
+let pendingSwap = null;
+
+function refreshPlanViews() {
+    displayMealPlan(currentMealPlan, currentUserProfile);
+    createCharts(currentMealPlan, currentUserProfile);
+    savePlanToStorage();
+}
+
+function openSwapPanel(day, slot) {
+    if (!currentMealPlan || !currentUserProfile) return;
+    const overlay = document.getElementById('swapOverlay');
+    const list = document.getElementById('swapOptions');
+    const subtitle = document.getElementById('swapSubtitle');
+    if (!overlay || !list) return;
+
+    let alternatives = [];
+    try {
+        const { dietMeals } = resolveDietMeals(mealDatabase, currentUserProfile);
+        alternatives = getSwapAlternatives(dietMeals, currentMealPlan, day, slot, currentUserProfile);
+    } catch (err) { console.warn('Swap: no meal bucket for profile', err); }
+    pendingSwap = { day, slot, alternatives };
+
+    const current = (currentMealPlan[day] || {})[slot];
+    if (subtitle) subtitle.textContent = `${formatPlanDay(day, 'long')} · ${getSlotLabel(findMealSlot(slot, currentUserProfile), false)} — currently ${getMealTitle(current)} (target ~${getSlotCalorieTarget(slot, currentUserProfile)} kcal)`;
+    list.innerHTML = alternatives.length
+        ? alternatives.map((m, i) => `
+            <button type="button" class="swap-option" data-swap-index="${i}">
+                <div class="meal-item">${escapeHtml(getMealTitle(m))}</div>
+                <div class="meal-serving">${escapeHtml(m.calories)} kcal · ${escapeHtml(localizeServing(m.serving_size, currentUserProfile && currentUserProfile.unitSystem) || '1 serving')}${getMealPortion(m) !== 1 ? ` (×${escapeHtml(formatPortion(getMealPortion(m)))})` : ''}</div>
+                <div class="meal-nutrients">P: ${escapeHtml(m.protein)}g • C: ${escapeHtml(m.carbs)}g • F: ${escapeHtml(m.fat)}g</div>
+            </button>`).join('')
+        : '<p class="text-muted">No alternative meals available for this slot.</p>';
+
+    overlay.style.display = 'flex';
+    overlay.setAttribute('aria-hidden', 'false');
+}
+
+function closeSwapPanel() {
+    const overlay = document.getElementById('swapOverlay');
+    if (overlay) {
+        overlay.style.display = 'none';
+        overlay.setAttribute('aria-hidden', 'true');
+    }
+    pendingSwap = null;
+}
+
+function applySwap(day, slot, meal) {
+    if (!currentMealPlan || !currentMealPlan[day] || !meal) return;
+    const previous = currentMealPlan[day][slot];
+    currentMealPlan[day][slot] = previous && previous.locked ? { ...meal, locked: true } : meal;
+    refreshPlanViews();
+    console.log(`✅ Swapped ${day} ${slot}:`, getMealTitle(previous), '→', getMealTitle(meal));
+}
+
+function toggleMealLock(day, slot) {
+    const meal = currentMealPlan && currentMealPlan[day] ? currentMealPlan[day][slot] : null;
+    if (!meal) return;
+    if (meal.locked) delete meal.locked;
+    else meal.locked = true;
+    displayMealTable(currentMealPlan);
+    savePlanToStorage();
+}
+
+function initializeMealActions() {
+    const table = document.getElementById('mealPlanTable');
+    if (table) table.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+        const { action, day, slot } = btn.dataset;
+        if (action === 'swap') openSwapPanel(day, slot);
+        else if (action === 'lock') toggleMealLock(day, slot);
+    });
+
+    const overlay = document.getElementById('swapOverlay');
+    if (overlay) overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) { closeSwapPanel(); return; }
+        const option = e.target.closest('[data-swap-index]');
+        if (!option || !pendingSwap) return;
+        const { day, slot, alternatives } = pendingSwap;
+        const chosen = alternatives[Number(option.dataset.swapIndex)];
+        closeSwapPanel();
+        applySwap(day, slot, chosen);
+    });
+    const cancel = document.getElementById('swapCancelBtn');
+    if (cancel) cancel.addEventListener('click', closeSwapPanel);
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && pendingSwap) closeSwapPanel(); });
+}
+
+/* ---------------------------
+   Logged intake & next-week replanning
+--------------------------- */
+function displayAdherenceReport() {
+    const container = document.getElementById('adherenceReport');
+    const replanBtn = document.getElementById('replanBtn');
+    if (!container) return;
+    const reasonList = reasons => `<ul class="shopping-items">${reasons.map(r => `<li><span>${escapeHtml(r)}</span></li>`).join('')}</ul>`;
+    const adherence = currentIntake && currentMealPlan ? calculateAdherence(currentMealPlan, currentIntake) : null;
+    if (replanBtn) replanBtn.disabled = !(adherence && adherence.loggedDays.length);
+    if (!adherence || !adherence.loggedDays.length) {
+        container.innerHTML = lastReplanReasons
+            ? `<div class="text-muted" style="font-size:.85rem;">This plan was adjusted from your logged intake:</div>${reasonList(lastReplanReasons)}`
+            : `<div class="text-muted" style="font-size:.85rem;">Import what you logged in the Diet Tracker to compare it with this plan and plan the next week around it.</div>`;
+        return;
+    }
+    const profile = currentUserProfile;
+    const slotName = key => getSlotLabel(findMealSlot(key, profile), false);
+    const sign = n => (n > 0 ? '+' : n < 0 ? '−' : '±') + Math.abs(n);
+    const adjustments = buildReplanAdjustments(adherence, profile);
+    container.innerHTML = `
+        <div class="stats-grid">
+            <div class="stat-card"><div class="stat-title">Logged Days</div><div class="stat-value">${adherence.loggedDays.length}</div><div class="stat-target">/ ${adherence.loggedDays.length + adherence.unloggedDays.length}</div></div>
+            <div class="stat-card"><div class="stat-title">Meals as Planned</div><div class="stat-value">${adherence.adherencePct}<span class="stat-unit">%</span></div><div class="stat-target">${adherence.swapped} swapped · ${adherence.skipped} skipped</div></div>
+            <div class="stat-card"><div class="stat-title">Eaten / Planned</div><div class="stat-value">${adherence.avgActual}</div><div class="stat-target">/ ${adherence.avgPlanned} kcal/day</div></div>
+            <div class="stat-card"><div class="stat-title">Calorie Drift</div><div class="stat-value ${Math.abs(adherence.calorieDrift) > 150 ? 'text-warning' : 'text-success'}">${sign(adherence.calorieDrift)}</div><div class="stat-target">kcal/day${adherence.extras ? ` · ${adherence.extras} extras` : ''}</div></div>
+        </div>
+        <div class="shopping-category">
+            <h4>By meal slot</h4>
+            <ul class="shopping-items">
+                ${Object.entries(adherence.slots).map(([slot, s]) => `<li><span>${escapeHtml(slotName(slot))}</span><span class="shopping-qty">${s.eaten}/${s.planned} eaten${s.swapped ? ` · ${s.swapped} swapped` : ''}${s.skipped ? ` · ${s.skipped} skipped` : ''}</span></li>`).join('')}
+            </ul>
+        </div>
+        <div class="shopping-category">
+            <h4>For next week</h4>
+            ${reasonList(adjustments.reasons.length ? adjustments.reasons : ['No changes needed — the plan was followed closely.'])}
+        </div>`;
+}
+
+function importIntake(input, sourceLabel) {
+    const { payload, errors } = parseIntakePayload(input);
+    if (!payload) {
+        alert(`❌ Could not import the intake from ${sourceLabel}:\n${errors.slice(0, 5).join('\n')}${errors.length > 5 ? `\n…and ${errors.length - 5} more` : ''}`);
+        return false;
+    }
+    if (!currentMealPlan || !calculateAdherence(currentMealPlan, payload).loggedDays.length) {
+        alert('❌ The intake has no logged days from the current plan.');
+        return false;
+    }
+    currentIntake = payload;
+    lastReplanReasons = null;
+    displayAdherenceReport();
+    console.log(`✅ Imported logged intake from ${sourceLabel}`);
+    return true;
+}
+
+// Generates the week after the current plan, shifted for calorie drift and
+// steering away from meals that kept being skipped or swapped.
+async function planNextWeek() {
+    if (!currentIntake || !currentMealPlan || !currentUserProfile) return;
+    const replanBtn = document.getElementById('replanBtn');
+    if (replanBtn) replanBtn.disabled = true;
+    try {
+        const db = await loadMealsDatabase();
+        const adjustments = buildReplanAdjustments(calculateAdherence(currentMealPlan, currentIntake), currentUserProfile);
+        const previous = currentUserProfile;
+        const profile = {
+            ...previous,
+            startDate: adjustments.startDate,
+            planWeeks: 1,
+            targetCalories: adjustments.targetCalories
+        };
+        if (adjustments.calorieShift) {
+            profile.targetSource = 'adherence';
+            profile.adherenceShift = {
+                from: previous.targetCalories,
+                shift: adjustments.calorieShift,
+                baseSource: previous.adherenceShift ? previous.adherenceShift.baseSource : previous.targetSource
+            };
         }
+        const seed = createSeed();
+        const { plan } = generatePlan(db, profile, { seed, avoidMeals: adjustments.avoidMeals, preferMeals: adjustments.preferMeals });
 
-        return mealDatabase;
-    } catch (error) {
-        console.error('❌ Failed to load meals.json:', error);
-        mealDatabase = createFallbackMeals();
-        return mealDatabase;
+        currentMealPlan = plan;
+        currentUserProfile = profile;
+        currentPlanSeed = seed;
+        currentHousehold = null;
+        currentIntake = null;
+        lastReplanReasons = adjustments.reasons;
+        savePlanToStorage('replanned');
+        fillFormFromProfile(profile);
+        displayMealPlan(plan, profile);
+        await createCharts(plan, profile);
+        console.log('✅ Next week planned from logged intake | seed:', seed, adjustments);
+    } catch (err) {
+        console.error('❌ Failed to plan next week:', err);
+        alert('Failed to plan next week. Please check console for details.');
+        displayAdherenceReport();
     }
 }
 
-async function ensureMealsLoaded() {
-    if (mealDatabase) return mealDatabase;
-    if (!mealDbLoadPromise) {
-        console.time('loadMealsDatabase');
-        mealDbLoadPromise = loadMealsDatabase(true).finally(() => console.timeEnd('loadMealsDatabase'));
+function initializeAdherenceControls() {
+    const fileInput = document.getElementById('importIntakeFile');
+    const fileBtn = document.getElementById('importIntakeFileBtn');
+    if (fileBtn && fileInput) fileBtn.addEventListener('click', () => fileInput.click());
+    if (fileInput) fileInput.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try { importIntake(await file.text(), file.name); } catch (err) { console.error('❌ Failed to read intake file:', err); alert('❌ Could not read the selected file.'); }
+    });
+    const trackerBtn = document.getElementById('importIntakeTrackerBtn');
+    if (trackerBtn) trackerBtn.addEventListener('click', () => {
+        const stored = localStorage.getItem(INTAKE_STORAGE_KEY);
+        if (!stored) { alert('❌ No logged intake from the Diet Tracker was found in this browser.'); return; }
+        importIntake(stored, 'the Diet Tracker');
+    });
+    const replanBtn = document.getElementById('replanBtn');
+    if (replanBtn) replanBtn.addEventListener('click', planNextWeek);
+}
+
+/* ---------------------------
+   Shopping list
+--------------------------- */
+// a shared plan shops for the whole household: every member's portions added up
+function buildCurrentShoppingList(plan = currentMealPlan, profile = currentUserProfile) {
+    const options = { unitSystem: profile && profile.unitSystem };
+    return currentHousehold ? buildHouseholdShoppingList(plan, currentHousehold, options) : buildShoppingList(plan, options);
+}
+
+function displayShoppingList(plan, profile = currentUserProfile) {
+    const container = document.getElementById('shoppingList');
+    if (!container) return;
+    const list = buildCurrentShoppingList(plan, profile);
+    if (!list.itemCount) {
+        container.innerHTML = '<p class="text-muted">The meals in this plan do not list their ingredients.</p>';
+        return;
     }
-    mealDatabase = await mealDbLoadPromise;
-    return mealDatabase;
+    const forHousehold = currentHousehold
+        ? `<p class="text-muted" style="font-size:.85rem;">Quantities for the whole household (${currentHousehold.members.length} people).</p>`
+        : '';
+    container.innerHTML = forHousehold + list.categories.map(cat => `
+        <div class="shopping-category">
+            <h4>${escapeHtml(cat.name)}</h4>
+            <ul class="shopping-items">
+                ${cat.items.map(item => `<li><span>${escapeHtml(item.name)}</span><span class="shopping-qty">${escapeHtml(item.display)}</span></li>`).join('')}
+            </ul>
+        </div>`).join('');
+}
+
+function downloadShoppingListCSV() {
+    if (!currentMealPlan) { alert('❌ No meal plan available to export\nPlease generate a meal plan first.'); return; }
+    downloadTextFile(shoppingListToCSV(buildCurrentShoppingList()), `shopping-list-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv;charset=utf-8;');
+    console.log('✅ Shopping list CSV downloaded');
+}
+
+function downloadShoppingListText() {
+    if (!currentMealPlan) { alert('❌ No meal plan available to export\nPlease generate a meal plan first.'); return; }
+    downloadTextFile(shoppingListToText(buildCurrentShoppingList()), `shopping-list-${new Date().toISOString().split('T')[0]}.txt`, 'text/plain;charset=utf-8;');
+    console.log('✅ Shopping list text downloaded');
+}
+
+/* ---------------------------
+   Calendar export
+--------------------------- */
+function readMealTimes() {
+    try { return JSON.parse(localStorage.getItem(MEAL_TIMES_STORAGE_KEY)) || {}; } catch (e) { return {}; }
+}
+
+// one time input per slot of the plan, prefilled with the saved or default time
+function renderCalendarOptions(plan, profile) {
+    const startFld = document.getElementById('icsStartDate');
+    const firstDay = Object.keys(plan || {})[0];
+    if (startFld) startFld.value = parseISODate(firstDay) ? firstDay : toISODate(new Date());
+    const container = document.getElementById('icsSlotTimes');
+    if (!container) return;
+    const times = readMealTimes();
+    container.innerHTML = getPlanSlots(plan, profile).map(slot => `
+        <div>
+            <label for="icsTime-${escapeHtml(slot.key)}" class="form-label">${escapeHtml(getSlotLabel(slot, false))}</label>
+            <input type="time" id="icsTime-${escapeHtml(slot.key)}" class="form-control" data-slot="${escapeHtml(slot.key)}" value="${getSlotTime(slot, times)}">
+        </div>`).join('');
 }
 
-function createFallbackMeals() {
+function initializeCalendarOptions() {
+    const container = document.getElementById('icsSlotTimes');
+    if (container) container.addEventListener('change', (e) => {
+        const slot = e.target.dataset && e.target.dataset.slot;
+        if (!slot) return;
+        const times = readMealTimes();
+        times[slot] = e.target.value;
+        try { localStorage.setItem(MEAL_TIMES_STORAGE_KEY, JSON.stringify(times)); } catch (err) { /* ignore storage errors */ }
+    });
+}
+
+function downloadICS() {
+    if (!currentMealPlan || !currentUserProfile) { alert('❌ No meal plan available to export\nPlease generate a meal plan first.'); return; }
+    const startFld = document.getElementById('icsStartDate');
+    const ics = planToICS(currentMealPlan, currentUserProfile, {
+        startDate: startFld ? startFld.value : undefined,
+        times: readMealTimes(),
+        seed: currentPlanSeed
+    });
+    downloadTextFile(ics, `meal-plan-${new Date().toISOString().split('T')[0]}.ics`, 'text/calendar;charset=utf-8;');
+    console.log('✅ Calendar file downloaded');
+}
+
+/* ---------------------------
+   Charts - lazy load Chart.js
+--------------------------- */
+async function loadChartJS() {
+    if (ChartsLoaded || window.Chart) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const s = document.createElement('script');
+        s.src = CHART_JS_URL;
+        s.onload = () => { ChartsLoaded = true; resolve(); };
+        s.onerror = () => reject(new Error('Failed to load Chart.js'));
+        document.head.appendChild(s);
+    });
+}
+
+async function createCharts(weeklyPlan, profile) {
+    try {
+        await loadChartJS();
+    } catch (err) {
+        console.warn('Chart.js not loaded:', err);
+        return;
+    }
+
+    const days = Object.keys(weeklyPlan || {});
+    const dailyTotals = calculateDailyTotals(weeklyPlan);
+    const dailyCalories = days.map(d => dailyTotals[d].calories);
+    const weeklyStats = calculateWeeklyStats(weeklyPlan);
+    const isDark = currentTheme === 'dark';
+    const textColor = isDark ? '#ffffff' : '#212529';
+    const gridColor = isDark ? '#404040' : '#dee2e6';
+
+    // Calorie chart
+    const calorieCtx = document.getElementById('calorieChart');
+    try {
+        if (calorieCtx) {
+            if (window.calorieChartInstance && typeof window.calorieChartInstance.destroy === 'function') window.calorieChartInstance.destroy();
+            window.calorieChartInstance = new Chart(calorieCtx, {
+                type: 'bar',
+                data: {
+                    labels: days.map(d => formatPlanDay(d, 'short')),
+                    datasets: [
+                        { label:'Daily Calories', data: dailyCalories, backgroundColor:'rgba(0,123,255,0.8)', borderColor:'rgba(0,123,255,1)', borderWidth:1, borderRadius:2 },
+                        { label:'Target', data:Array(days.length).fill(profile.targetCalories), type:'line', borderColor:'rgba(40,167,69,1)', backgroundColor:'rgba(40,167,69,0.1)', borderWidth:2, fill:false, pointBackgroundColor:'rgba(40,167,69,1)', pointBorderColor:'#fff', pointBorderWidth:1, pointRadius:3 }
+                    ]
+                },
+                options: {
+                    responsive:true, maintainAspectRatio:false,
+                    plugins:{ legend:{ position:'top', labels:{ usePointStyle:true, padding:12, color:textColor, font:{ size:11 } } } },
+                    scales:{ x:{ grid:{ color:gridColor }, ticks:{ color:textColor, font:{ size:10 } } }, y:{ beginAtZero:true, title:{ display:true, text:'Calories', color:textColor, font:{ size:11 } }, grid:{ color:gridColor }, ticks:{ color:textColor, font:{ size:10 } } } }
+                }
+            });
+        }
+    } catch (err) { console.error('Failed to create calorie chart:', err); }
+
+    // Macros doughnut
+    try {
+        if (window.macrosChartInstance && typeof window.macrosChartInstance.destroy === 'function') window.macrosChartInstance.destroy();
+        const macrosCtx = document.getElementById('macrosChart');
+        if (macrosCtx) {
+            const proteinCals = weeklyStats.totalProtein * 4;
+            const carbsCals = weeklyStats.totalCarbs * 4;
+            const fatCals = weeklyStats.totalFat * 9;
+            window.macrosChartInstance = new Chart(macrosCtx, {
+                type: 'doughnut',
+                data: { labels:['Protein','Carbs','Fat'], datasets:[{ data:[proteinCals,carbsCals,fatCals], backgroundColor:['rgba(0,123,255,0.8)','rgba(40,167,69,0.8)','rgba(255,193,7,0.8)'], borderColor:['rgba(0,123,255,1)','rgba(40,167,69,1)','rgba(255,193,7,1)'], borderWidth:1 }] },
+                options: { responsive:true, maintainAspectRatio:false, plugins:{ legend:{ position:'bottom', labels:{ usePointStyle:true, padding:10, color:textColor, font:{ size:10 } }, tooltip:{ callbacks:{ label:function(context){ const label = context.label; const value = context.raw; const total = context.dataset.data.reduce((a,b)=>a+b,0); const percentage = Math.round((value/total)*100); return `${label}: ${percentage}% (${Math.round(value)} cal)`; } } } } }, cutout:'60%' }
+            });
+        }
+    } catch (err) { console.error('Failed to create macros chart:', err); }
+
+    createProjectionChart(weeklyStats, profile, textColor, gridColor);
+}
+
+// projected weight at the plan's average intake, in the profile's units
+function createProjectionChart(weeklyStats, profile, textColor, gridColor) {
+    try {
+        if (window.projectionChartInstance && typeof window.projectionChartInstance.destroy === 'function') window.projectionChartInstance.destroy();
+        const projectionCtx = document.getElementById('projectionChart');
+        if (!projectionCtx || !profile || !profile.weight) return;
+        const projection = projectWeight(profile, weeklyStats.avgCalories, projectionWeeks);
+        const imperial = profile.unitSystem === 'imperial';
+        const toUnit = kg => Math.round((imperial ? kgToLb(kg) : kg) * 10) / 10;
+        window.projectionChartInstance = new Chart(projectionCtx, {
+            type: 'line',
+            data: {
+                labels: projection.points.map(p => `Wk ${p.week}`),
+                datasets: [{ label:`Weight (${imperial ? 'lb' : 'kg'})`, data: projection.points.map(p => toUnit(p.weight)), borderColor:'rgba(111,66,193,1)', backgroundColor:'rgba(111,66,193,0.1)', borderWidth:2, fill:true, tension:0.3, pointRadius:2 }]
+            },
+            options: {
+                responsive:true, maintainAspectRatio:false,
+                plugins:{ legend:{ display:false }, tooltip:{ callbacks:{ afterLabel: context => `Maintenance: ${projection.points[context.dataIndex].maintenance} kcal` } } },
+                scales:{ x:{ grid:{ color:gridColor }, ticks:{ color:textColor, font:{ size:10 }, maxTicksLimit:9 } }, y:{ title:{ display:true, text:imperial ? 'lb' : 'kg', color:textColor, font:{ size:11 } }, grid:{ color:gridColor }, ticks:{ color:textColor, font:{ size:10 } } } }
+            }
+        });
+        const summary = document.getElementById('projectionSummary');
+        if (summary) {
+            const sign = projection.change > 0 ? '+' : projection.change < 0 ? '−' : '±';
+            summary.textContent = `${sign}${formatWeight(Math.abs(projection.change), profile.unitSystem)} in ${projection.weeks} weeks at ${projection.avgIntake} kcal/day — an estimate that allows for metabolic adaptation.`;
+        }
+    } catch (err) { console.error('Failed to create projection chart:', err); }
+}
+
+function initializeProjectionControls() {
+    const select = document.getElementById('projectionWeeks');
+    if (!select) return;
+    select.value = String(projectionWeeks);
+    select.addEventListener('change', () => {
+        projectionWeeks = normalizeProjectionWeeks(select.value);
+        if (!currentMealPlan || !window.Chart) return;
+        const isDark = currentTheme === 'dark';
+        createProjectionChart(calculateWeeklyStats(currentMealPlan), currentUserProfile, isDark ? '#ffffff' : '#212529', isDark ? '#404040' : '#dee2e6');
+    });
+}
+
+/* ---------------------------
+   Send to Tracker & Export
+--------------------------- */
+// the plan goes to this url's origin only
+function getTrackerUrl() {
+    const configured = new URL(document.body.getAttribute('data-diet-tracker-url') || '/diet-tracker', location.href);
+    // a per-browser override can point the planner at tools/tracker-stub.html,
+    // but not at another site
+    const override = localStorage.getItem(TRACKER_URL_STORAGE_KEY);
+    if (override) {
+        const url = new URL(override, location.href);
+        if (url.origin === location.origin || url.origin === configured.origin) return url;
+        console.warn('[DietPlanner] Ignoring tracker url override on another origin:', url.origin);
+    }
+    return configured;
+}
+
+// postMessage to the tracker window we opened; only its replies from its own origin count
+function createWindowTransport(target, targetOrigin) {
+    return {
+        name: 'window',
+        post: message => { try { target.postMessage(message, targetOrigin); } catch (e) { /* window closed */ } },
+        listen: handler => {
+            const onMessage = e => { if (e.source === target && e.origin === targetOrigin) handler(e.data); };
+            window.addEventListener('message', onMessage);
+            return () => window.removeEventListener('message', onMessage);
+        }
+    };
+}
+
+// reaches a tracker already open in another tab of the same origin
+function createChannelTransport() {
+    const channel = new BroadcastChannel(HANDOFF_CHANNEL);
     return {
-        "USA": { "Regular": { "breakfast": [{ "id": 1, "title": "Scrambled Eggs with Toast", "serving_size": "1 serving", "calories": 320, "protein": 18, "carbs": 28, "fat": 14, "fiber": 3 }] } },
-        "India": { "Regular": { "breakfast": [{ "id": 101, "title": "Poha", "serving_size": "1 plate", "calories": 300, "protein": 8, "carbs": 50, "fat": 6, "fiber": 4 }] } }
+        name: 'channel',
+        post: message => channel.postMessage(message),
+        listen: handler => {
+            const onMessage = e => handler(e.data);
+            channel.addEventListener('message', onMessage);
+            return () => channel.close();
+        }
     };
 }
 
-// =========================
-// Key helpers
-// =========================
-function normalizeKey(str) {
-    return str ? str.toLowerCase().replace(/[\s\-]+/g, '_').replace(/[^\w_]/g, '') : '';
-}
-function findKey(keys, desired, synonyms = {}) {
-    if (!desired) return null;
-    const normDesired = normalizeKey(desired);
-    if (keys.includes(desired)) return desired;
-    const ci = keys.find(k => k.toLowerCase() === desired.toLowerCase());
-    if (ci) return ci;
-    const norm = keys.find(k => normalizeKey(k) === normDesired);
-    if (norm) return norm;
-    const mapped = synonyms[normDesired];
-    if (mapped && keys.includes(mapped)) return mapped;
-    return null;
-}
-const dietSynonyms = { keto: "Keto", ketogenic: "Keto", vegetarian: "Vegetarian", vegan: "Vegan", regular: "Regular" };
-
-// =========================
-// Meal Plan Generator
-// =========================
-async function generateMealPlan() {
+// the previous handoff: same-origin localStorage, read by the tracker on load,
+// written under every key the deployed tracker may read
+function storePlanForTracker(payload) {
     try {
-        await ensureMealsLoaded();
-        if (!mealDatabase) {
-            console.warn('Meal DB not loaded, using fallback.');
-            mealDatabase = createFallbackMeals();
+        const text = JSON.stringify(payload);
+        [INTEGRATION_STORAGE_KEY, ...LEGACY_INTEGRATION_KEYS].forEach(k => localStorage.setItem(k, text));
+        localStorage.setItem(INTEGRATION_SENT_FLAG_KEY, 'true');
+        console.log('✅ Meal plan data stored for Diet Tracker');
+        return true;
+    } catch (err) {
+        console.error('❌ Failed to store meal plan for tracker:', err);
+        return false;
+    }
+}
+
+function showHandoffStatus({ title, text, errors = [], done = false }) {
+    const overlay = document.getElementById('redirectOverlay');
+    if (!overlay) return;
+    overlay.style.display = 'flex';
+    overlay.setAttribute('aria-hidden', 'false');
+    const set = (id, value) => { const el = document.getElementById(id); if (el && value !== undefined) el.textContent = value; };
+    set('redirectTitle', title);
+    set('redirectStatus', text);
+    const list = document.getElementById('redirectErrors');
+    if (list) {
+        list.innerHTML = errors.map(e => `<li>${escapeHtml(e)}</li>`).join('');
+        list.style.display = errors.length ? 'block' : 'none';
+    }
+    const spinner = document.getElementById('redirectSpinner');
+    if (spinner) spinner.style.display = done ? 'none' : 'block';
+    const closeBtn = document.getElementById('redirectCloseBtn');
+    if (closeBtn) closeBtn.style.display = done ? 'inline-block' : 'none';
+}
+
+function hideHandoffStatus() {
+    const overlay = document.getElementById('redirectOverlay');
+    if (!overlay) return;
+    overlay.style.display = 'none';
+    overlay.setAttribute('aria-hidden', 'true');
+}
+
+// Opens the tracker, waits for its handshake and sends the plan, falling
+// back to localStorage when the tracker can't be reached by message.
+async function sendToTrackerAndRedirect() {
+    if (!currentMealPlan || !currentUserProfile) {
+        alert('❌ No meal plan available to send to tracker.\nPlease generate a meal plan first.');
+        return;
+    }
+    const integrationData = buildIntegrationPayload(currentMealPlan, currentUserProfile, currentPlanSeed);
+    const trackerUrl = getTrackerUrl();
+    // only the tracker window opened here learns the token, from its url
+    const token = createHandoffToken();
+
+    let trackerWin = null;
+    try { trackerWin = window.open(withHandoffToken(trackerUrl.href, token), '_blank'); } catch (err) { console.warn('Failed to open tracker:', err); }
+    const transports = [];
+    if (trackerWin) transports.push(createWindowTransport(trackerWin, trackerUrl.origin));
+    if (typeof BroadcastChannel === 'function') transports.push(createChannelTransport());
+
+    if (!transports.length) {
+        const stored = storePlanForTracker(integrationData);
+        showHandoffStatus({
+            title: '⚠️ Diet Tracker not opened',
+            text: stored ? 'Popup blocked — the plan was saved in this browser. Allow popups or open the Diet Tracker manually.' : 'Popup blocked and the plan could not be saved. Allow popups and try again.',
+            done: true
+        });
+        return;
+    }
+
+    showHandoffStatus({ title: '🔄 Sending to Diet Tracker', text: 'Waiting for the Diet Tracker to open...' });
+    const result = await sendPlanHandoff({
+        payload: integrationData,
+        transports,
+        token,
+        onStatus: stage => { if (stage === 'sending') showHandoffStatus({ title: '🔄 Sending to Diet Tracker', text: 'Connected — sending your meal plan...' }); }
+    });
+
+    if (result.status === 'delivered') {
+        const days = result.summary && result.summary.days;
+        showHandoffStatus({ title: '✅ Plan delivered', text: `The Diet Tracker received your plan${days ? ` (${days} day${days === 1 ? '' : 's'})` : ''}.`, done: true });
+        console.log('✅ Meal plan delivered to Diet Tracker via', result.via);
+    } else if (result.status === 'rejected') {
+        showHandoffStatus({ title: '❌ Diet Tracker rejected the plan', text: 'The tracker reported:', errors: result.errors, done: true });
+        console.error('❌ Diet Tracker rejected the plan:', result.errors);
+    } else {
+        const stored = storePlanForTracker(integrationData);
+        showHandoffStatus({
+            title: '⚠️ No reply from the Diet Tracker',
+            text: result.stage === 'handshake'
+                ? `The tracker didn't respond${stored ? ' — the plan was saved in this browser, so a tracker on this site can still pick it up' : ''}.`
+                : `The tracker didn't confirm the plan${stored ? ' — it was also saved in this browser as a fallback' : ''}.`,
+            done: true
+        });
+        console.warn('[DietPlanner] Tracker handoff timed out during', result.stage);
+    }
+}
+
+function downloadCSV() {
+    if (!currentMealPlan || !currentUserProfile) { alert('❌ No meal plan available to export\nPlease generate a meal plan first.'); return; }
+    downloadTextFile(planToCSV(currentMealPlan, currentUserProfile), `meal-plan-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv;charset=utf-8;');
+    console.log('✅ CSV downloaded');
+}
+
+// the same payload "Import plan" reads back, so the file restores the plan exactly
+function downloadJSON() {
+    if (!currentMealPlan || !currentUserProfile) { alert('❌ No meal plan available to export\nPlease generate a meal plan first.'); return; }
+    downloadTextFile(planToJSON(currentMealPlan, currentUserProfile, currentPlanSeed), `meal-plan-${new Date().toISOString().split('T')[0]}.json`, 'application/json;charset=utf-8;');
+    console.log('✅ JSON downloaded');
+}
+
+function downloadMarkdown() {
+    if (!currentMealPlan || !currentUserProfile) { alert('❌ No meal plan available to export\nPlease generate a meal plan first.'); return; }
+    downloadTextFile(planToMarkdown(currentMealPlan, currentUserProfile, { seed: currentPlanSeed }), `meal-plan-${new Date().toISOString().split('T')[0]}.md`, 'text/markdown;charset=utf-8;');
+    console.log('✅ Markdown downloaded');
+}
+
+async function copyPlanAsText() {
+    if (!currentMealPlan || !currentUserProfile) { alert('❌ No meal plan available to copy\nPlease generate a meal plan first.'); return; }
+    const text = planToMarkdown(currentMealPlan, currentUserProfile, { plain: true });
+    try {
+        await navigator.clipboard.writeText(text);
+        const btn = document.getElementById('copyPlanTextBtn');
+        if (btn) {
+            const label = btn.textContent;
+            btn.textContent = '✅ Copied';
+            setTimeout(() => { btn.textContent = label; }, 2000);
         }
+        console.log('✅ Plan copied as text');
+    } catch (err) {
+        // no clipboard access (http, or permission denied): fall back to a download
+        console.warn('Clipboard unavailable, downloading instead:', err);
+        downloadTextFile(text, `meal-plan-${new Date().toISOString().split('T')[0]}.txt`, 'text/plain;charset=utf-8;');
+    }
+}
 
-        const profile = {
-            age: safeNumber(document.getElementById('age')?.value),
-            gender: document.getElementById('gender')?.value,
-            height: safeNumber(document.getElementById('height')?.value),
-            weight: safeNumber(document.getElementById('weight')?.value),
-            goal: document.getElementById('goal')?.value,
-            dietType: document.getElementById('dietType')?.value,
-            region: document.getElementById('region')?.value,
-            activityLevel: document.getElementById('activityLevel')?.value,
-            targetCalories: safeNumber(document.getElementById('targetCalories')?.value)
-        };
+function downloadTextFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// built natively by core/pdf.mjs, so it needs no library and works offline
+function downloadPDF() {
+    if (!currentMealPlan || !currentUserProfile) { alert('❌ No meal plan available to export\nPlease generate a meal plan first.'); return; }
+    const shoppingFld = document.getElementById('pdfIncludeShopping');
+    try {
+        const pdf = planToPDF(currentMealPlan, currentUserProfile, {
+            projectionWeeks,
+            seed: currentPlanSeed,
+            shoppingList: (shoppingFld ? shoppingFld.checked : true) && buildCurrentShoppingList()
+        });
+        downloadTextFile(pdf, `TheDietPlanner-MealPlan-${new Date().toISOString().slice(0, 10)}.pdf`, 'application/pdf');
+        console.log('✅ PDF downloaded');
+    } catch (err) {
+        console.error('[DietPlanner] PDF generation failed:', err);
+        alert('❌ PDF generation failed. See console.');
+    }
+}
+
+/* ---------------------------
+   Load saved & imported plans
+--------------------------- */
+// puts a stored (metric) profile back into the form, in the units it was entered in
+function fillFormFromProfile(profile) {
+    Object.keys(profile).forEach(key => {
+        const fld = document.getElementById(key);
+        if (fld && profile[key] !== undefined) fld.value = profile[key];
+    });
+    const unitSystem = normalizeUnitSystem(profile.unitSystem);
+    const unitField = document.getElementById('unitSystem');
+    if (unitField) unitField.value = unitSystem;
+    if (unitSystem === 'imperial') {
+        setImperialHeightFields(profile.height);
+        const weightFld = document.getElementById('weight');
+        if (weightFld) weightFld.value = String(Math.round(kgToLb(profile.weight) * 10) / 10);
+    }
+    applyUnitSystem(unitSystem);
+    // an auto-calculated target must not come back as a manual override
+    const targetFld = document.getElementById('targetCalories');
+    const baseSource = profile.adherenceShift ? profile.adherenceShift.baseSource : profile.targetSource;
+    if (targetFld && baseSource === 'model') targetFld.value = '';
+    const rateFld = document.getElementById('weeklyRate');
+    const rateKg = profile.weeklyRateKg;
+    if (rateFld) rateFld.value = rateKg ? String(unitSystem === 'imperial' ? Math.round(kgToLb(rateKg) * 10) / 10 : rateKg) : '';
+    const allergens = profile.allergens || [];
+    document.querySelectorAll('input[name="allergen"]').forEach(el => { el.checked = allergens.includes(el.value); });
+    const conditions = profile.conditions || [];
+    document.querySelectorAll('input[name="condition"]').forEach(el => { el.checked = conditions.includes(el.value); });
+    const excludedFld = document.getElementById('excludedIngredients');
+    if (excludedFld) excludedFld.value = (profile.excludedIngredients || []).join(', ');
+    const override = profile.macroOverride;
+    if (override) {
+        Object.entries(MACRO_INPUT_FIELDS).forEach(([k, id]) => {
+            const fld = document.getElementById(id);
+            if (fld) fld.value = override[k];
+        });
+    }
+}
 
-        if (!profile.targetCalories || profile.targetCalories <= 0) {
-            profile.targetCalories = Math.round(calculateDailyCalories(profile));
+// makes a validated payload the current plan and renders it; historyId is
+// the history entry it came from, if any, and savedHousehold the household
+// it was portioned for (readSavedHousehold)
+function restorePlanPayload(payload, historyId = null, savedHousehold = null) {
+    setCurrentHistoryPlan(historyId);
+    currentMealPlan = payload.mealPlan;
+    currentUserProfile = payload.userProfile;
+    currentPlanSeed = normalizeSeed(payload.seed);
+    currentHousehold = savedHousehold ? savedHousehold.household : null;
+    householdMemberIndex = savedHousehold ? savedHousehold.memberIndex || 0 : 0;
+    if (currentHousehold) selectHouseholdMembers(currentHousehold);
+    currentIntake = null;
+    lastReplanReasons = null;
+    fillFormFromProfile(currentUserProfile);
+    displayMealPlan(currentMealPlan, currentUserProfile);
+    createCharts(currentMealPlan, currentUserProfile);
+}
+
+function loadExistingPlan() {
+    try {
+        const saved = readSavedPlan();
+        if (!saved) return;
+        // older saves ({ plan, profile, generated }) are migrated by the parser
+        const { payload, errors } = saved;
+        if (!payload) { console.warn('[DietPlanner] Ignoring saved plan:', errors.join('; ')); return; }
+        const daysDiff = (new Date() - new Date(payload.createdAt)) / (1000*60*60*24);
+        // multi-week plans stay available until their last planned day
+        const keepDays = Math.max(DAYS_PER_WEEK, Object.keys(payload.mealPlan).length);
+        if (daysDiff <= keepDays) {
+            restorePlanPayload(payload, readStoredHistoryPlanId(), readSavedHousehold(payload));
+            console.log('✅ Loaded existing plan from localStorage');
         }
+    } catch (err) { console.error('Failed to load existing plan:', err); }
+}
 
-        currentUserProfile = profile;
+// JSON text or object from a file or the tracker -> the current, editable plan
+function importPlanPayload(input, sourceLabel) {
+    const { payload, fromVersion, errors } = parseIntegrationPayload(input);
+    if (!payload) {
+        const shown = errors.slice(0, 5).join('\n');
+        alert(`❌ Could not import the plan from ${sourceLabel}:\n${shown}${errors.length > 5 ? `\n…and ${errors.length - 5} more` : ''}`);
+        return false;
+    }
+    restorePlanPayload(payload);
+    savePlanToStorage('imported');
+    showResults();
+    console.log(`✅ Imported plan from ${sourceLabel}${fromVersion < payload.version ? ` (migrated from v${fromVersion})` : ''}`);
+    return true;
+}
 
-        // (Region + Diet selection logic kept as-is, shortened here for brevity)
-        // ✅ Region and diet selection handled robustly
+async function importPlanFromFile(file) {
+    if (!file) return;
+    try {
+        importPlanPayload(await file.text(), file.name);
     } catch (err) {
-        console.error('❌ Meal plan generation failed:', err);
-        alert('Failed to generate meal plan. Please try again.');
+        console.error('❌ Failed to read plan file:', err);
+        alert('❌ Could not read the selected file.');
     }
 }
 
-// =========================
-// PDF Export
-// =========================
-async function generateAndDownloadPdf() {
-    async function waitForHtml2pdf(timeout = 7000) {
-        const start = Date.now();
-        while (typeof window.html2pdf === 'undefined') {
-            if (Date.now() - start > timeout) throw new Error('html2pdf not available');
-            await new Promise(r => setTimeout(r, 100));
+// the tracker writes edited plans back under their own key; the handoff keys
+// only ever hold what the planner itself sent
+function importPlanFromTracker() {
+    const stored = localStorage.getItem(TRACKER_PLAN_STORAGE_KEY);
+    if (!stored || !stored.trim().startsWith('{')) { alert('❌ No plan from the Diet Tracker was found in this browser.'); return; }
+    importPlanPayload(stored, 'the Diet Tracker');
+}
+
+function initializeImportControls() {
+    const fileInput = document.getElementById('importPlanFile');
+    const fileBtn = document.getElementById('importPlanBtn');
+    if (fileBtn && fileInput) fileBtn.addEventListener('click', () => fileInput.click());
+    if (fileInput) fileInput.addEventListener('change', () => {
+        importPlanFromFile(fileInput.files && fileInput.files[0]);
+        fileInput.value = '';
+    });
+    const trackerBtn = document.getElementById('importFromTrackerBtn');
+    if (trackerBtn) trackerBtn.addEventListener('click', importPlanFromTracker);
+}
+
+/* ---------------------------
+   Saved profiles & plan history
+--------------------------- */
+function openHistoryDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(HISTORY_STORES.profiles)) db.createObjectStore(HISTORY_STORES.profiles, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(HISTORY_STORES.plans)) {
+                db.createObjectStore(HISTORY_STORES.plans, { keyPath: 'id' }).createIndex('profileId', 'profileId');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('The history database is open in an older tab'));
+    });
+}
+
+function createIndexedDbBackend(db) {
+    const run = (storeName, mode, action) => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = action(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    return {
+        getAll: store => run(store, 'readonly', s => s.getAll()),
+        get: (store, id) => run(store, 'readonly', s => s.get(id)),
+        put: (store, record) => run(store, 'readwrite', s => s.put(record)),
+        delete: (store, id) => run(store, 'readwrite', s => s.delete(id))
+    };
+}
+
+// where IndexedDB is missing or blocked (some private windows)
+function createLocalStorageBackend() {
+    const key = store => `history_${store}`;
+    const read = store => {
+        try { return JSON.parse(localStorage.getItem(key(store))) || {}; } catch (e) { return {}; }
+    };
+    const write = (store, records) => localStorage.setItem(key(store), JSON.stringify(records));
+    return {
+        getAll: async store => Object.values(read(store)),
+        get: async (store, id) => read(store)[id],
+        put: async (store, record) => { write(store, { ...read(store), [record.id]: record }); },
+        delete: async (store, id) => {
+            const records = read(store);
+            delete records[id];
+            write(store, records);
+        }
+    };
+}
+
+async function openHistoryStore() {
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            return createHistoryStore(createIndexedDbBackend(await openHistoryDatabase()));
+        } catch (err) {
+            console.warn('[DietPlanner] IndexedDB unavailable, keeping the plan history in localStorage:', err);
         }
     }
-    const content = document.getElementById('planContainer'); // ✅ Correct container
-    if (!content) {
-        alert('No plan content to export.');
+    return createHistoryStore(createLocalStorageBackend());
+}
+
+function readStoredHistoryPlanId() {
+    try { return localStorage.getItem(HISTORY_CURRENT_PLAN_KEY); } catch (e) { return null; }
+}
+
+function setCurrentHistoryPlan(id) {
+    currentHistoryPlanId = id || null;
+    try {
+        if (currentHistoryPlanId) localStorage.setItem(HISTORY_CURRENT_PLAN_KEY, currentHistoryPlanId);
+        else localStorage.removeItem(HISTORY_CURRENT_PLAN_KEY);
+    } catch (e) { /* ignore storage errors */ }
+}
+
+function setCurrentProfile(id) {
+    currentProfileId = id || null;
+    try {
+        if (currentProfileId) localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, currentProfileId);
+        else localStorage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+    } catch (e) { /* ignore storage errors */ }
+    const deleteBtn = document.getElementById('deleteProfileBtn');
+    if (deleteBtn) deleteBtn.disabled = !currentProfileId;
+}
+
+// Opens the store and, once, files the single plan earlier releases kept
+// (PLAN_STORAGE_KEY) as the first history entry.
+async function initializeHistory() {
+    let legacy = null;
+    try {
+        if (!localStorage.getItem(HISTORY_MIGRATED_KEY)) legacy = localStorage.getItem(PLAN_STORAGE_KEY);
+        currentProfileId = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+    } catch (e) { /* ignore storage errors */ }
+    const store = await openHistoryStore();
+    if (legacy !== null) {
+        const record = migrateLegacyPlan(legacy);
+        if (record) {
+            await store.savePlan(record);
+            // the restored plan is this entry, unless a new one was made meanwhile
+            if (!currentHistoryPlanId) setCurrentHistoryPlan(record.id);
+            console.log('✅ Moved the saved plan into the plan history');
+        }
+    }
+    try { localStorage.setItem(HISTORY_MIGRATED_KEY, '1'); } catch (e) { /* ignore storage errors */ }
+    return store;
+}
+
+// writes run one at a time, so an edit never races the entry it updates
+function recordPlanHistory(payload, source) {
+    if (!historyReady) return;
+    if (source || !currentHistoryPlanId) setCurrentHistoryPlan(createRecordId('plan'));
+    const id = currentHistoryPlanId;
+    const profileId = currentProfileId;
+    historyWrites = historyWrites.then(async () => {
+        const store = await historyReady;
+        if (!store) return;
+        const existing = await store.getPlan(id);
+        const profile = !existing && profileId ? await store.getProfile(profileId) : null;
+        await store.savePlan(existing
+            ? createPlanRecord(payload, { id, profileId: existing.profileId, profileName: existing.profileName, source: existing.source, createdAt: existing.createdAt })
+            : createPlanRecord(payload, { id, profileId: profile ? profile.id : null, profileName: profile ? profile.name : null, source }));
+        await renderPlanHistory();
+    }).catch(err => console.error('❌ Failed to save the plan to history:', err));
+}
+
+async function renderSavedProfiles() {
+    const store = await historyReady;
+    if (!store) return;
+    const profiles = await store.listProfiles();
+    if (currentProfileId && !profiles.some(p => p.id === currentProfileId)) setCurrentProfile(null);
+    const options = profiles.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('');
+    const select = document.getElementById('savedProfileSelect');
+    if (select) {
+        select.innerHTML = `<option value="">— New profile —</option>${options}`;
+        select.value = currentProfileId || '';
+    }
+    const filter = document.getElementById('historyProfileFilter');
+    if (filter) {
+        const shown = filter.value;
+        filter.innerHTML = `<option value="">All profiles</option>${options}`;
+        filter.value = profiles.some(p => p.id === shown) ? shown : '';
+    }
+    setCurrentProfile(currentProfileId);
+    renderHouseholdMembers(profiles);
+}
+
+async function selectSavedProfile(id) {
+    setCurrentProfile(id);
+    const store = await historyReady;
+    const record = id && store ? await store.getProfile(id) : null;
+    if (record) fillFormFromProfile(record.profile);
+}
+
+// saves the form under the selected profile, or as a new one
+async function saveCurrentProfile() {
+    const store = await historyReady;
+    if (!store) { alert('❌ Profiles cannot be saved in this browser.'); return; }
+    if (!validateForm()) { alert('❌ Please fix the highlighted fields before saving the profile.'); return; }
+    const existing = currentProfileId ? await store.getProfile(currentProfileId) : null;
+    const name = prompt('Profile name', existing ? existing.name : '');
+    if (name === null) return;
+    try {
+        const record = createProfileRecord(name, normalizeProfile(readFormValues()), existing ? { id: existing.id, createdAt: existing.createdAt } : {});
+        await store.saveProfile(record);
+        setCurrentProfile(record.id);
+        await renderSavedProfiles();
+        console.log('✅ Saved profile', record.name);
+    } catch (err) {
+        console.error('❌ Failed to save profile:', err);
+        alert('❌ Could not save the profile. Please check console for details.');
+    }
+}
+
+async function deleteCurrentProfile() {
+    const store = await historyReady;
+    if (!store || !currentProfileId) return;
+    const record = await store.getProfile(currentProfileId);
+    if (!confirm(`Delete the profile "${record ? record.name : ''}"?\nIts plans stay in the history.`)) return;
+    await store.deleteProfile(currentProfileId);
+    setCurrentProfile(null);
+    await renderSavedProfiles();
+}
+
+const PLAN_SOURCE_LABELS = { generated: 'Generated', replanned: 'Replanned', imported: 'Imported', migrated: 'Saved' };
+
+async function renderPlanHistory() {
+    const container = document.getElementById('planHistoryList');
+    const store = await historyReady;
+    if (!container || !store) return;
+    const filter = document.getElementById('historyProfileFilter');
+    const plans = await store.listPlans({ profileId: filter ? filter.value : '' });
+    historySelection = historySelection.filter(id => plans.some(p => p.id === id));
+    updateCompareButton();
+    if (!plans.length) {
+        container.innerHTML = '<p class="text-muted">Plans you generate or import are kept here.</p>';
         return;
     }
-    await waitForHtml2pdf();
-    const opt = {
-        margin: 0.5,
-        filename: 'meal-plan.pdf',
-        image: { type: 'jpeg', quality: 0.98 },
-        html2canvas: { scale: 2, useCORS: true },
-        jsPDF: { unit: 'in', format: 'a4', orientation: 'portrait' }
-    };
-    await window.html2pdf().set(opt).from(content).save();
+    const rows = plans.map(record => {
+        const s = record.summary;
+        const id = escapeHtml(record.id);
+        const range = s.startDate === s.endDate ? formatPlanDay(s.startDate, 'short') : `${formatPlanDay(s.startDate, 'short')} – ${formatPlanDay(s.endDate, 'short')}`;
+        return `<tr>
+            <td><input type="checkbox" data-history-select="${id}" ${historySelection.includes(record.id) ? 'checked' : ''} aria-label="Select this plan for comparison"></td>
+            <td><div class="meal-item">${escapeHtml(range)}${record.id === currentHistoryPlanId ? ' <span class="text-muted">(open)</span>' : ''}</div>
+                <div class="meal-serving">${s.days} days · ${PLAN_SOURCE_LABELS[record.source] || ''} ${escapeHtml(new Date(record.createdAt).toLocaleString())}</div></td>
+            <td>${record.profileName ? escapeHtml(record.profileName) : '—'}</td>
+            <td>${s.avgCalories} / ${s.targetCalories} kcal</td>
+            <td>${s.avgProtein} / ${s.avgCarbs} / ${s.avgFat} g</td>
+            <td style="white-space:nowrap;">
+                <button type="button" class="meal-action-btn" data-history-action="open" data-plan-id="${id}">Open</button>
+                <button type="button" class="meal-action-btn" data-history-action="delete" data-plan-id="${id}" aria-label="Delete this plan">🗑️</button>
+            </td>
+        </tr>`;
+    }).join('');
+    container.innerHTML = `
+        <div class="table-responsive">
+            <table class="table">
+                <thead><tr><th></th><th>Plan</th><th>Profile</th><th>Avg / Target</th><th>P / C / F</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
+
+function updateCompareButton() {
+    const btn = document.getElementById('comparePlansBtn');
+    if (btn) btn.disabled = historySelection.length !== 2;
 }
 
-// =========================
-// Send to Tracker (GLOBAL)
-// =========================
-function sendToTrackerAndRedirect() {
+// keeps the two most recently ticked plans
+function toggleHistorySelection(id, selected) {
+    historySelection = historySelection.filter(x => x !== id);
+    if (selected) historySelection.push(id);
+    if (historySelection.length > 2) historySelection = historySelection.slice(-2);
+    document.querySelectorAll('[data-history-select]').forEach(el => { el.checked = historySelection.includes(el.dataset.historySelect); });
+    updateCompareButton();
+}
+
+async function openHistoryPlan(id) {
+    const store = await historyReady;
+    const record = store ? await store.getPlan(id) : null;
+    if (!record) { alert('❌ That plan is no longer in the history.'); return; }
+    const { payload, errors } = parseIntegrationPayload(record.payload);
+    if (!payload) { alert(`❌ The plan could not be read:\n${errors.slice(0, 5).join('\n')}`); return; }
+    restorePlanPayload(payload, record.id);
+    // reopening is not an edit: the entry keeps its payload, it just becomes the last saved plan
+    try { localStorage.setItem(PLAN_STORAGE_KEY, JSON.stringify(payload)); } catch (e) { /* ignore storage errors */ }
+    if (record.profileId && await store.getProfile(record.profileId)) {
+        setCurrentProfile(record.profileId);
+        await renderSavedProfiles();
+    }
+    showResults();
+    renderPlanHistory();
+    console.log('✅ Opened plan from history', record.id);
+}
+
+async function deleteHistoryPlan(id) {
+    const store = await historyReady;
+    if (!store || !confirm('Delete this plan from the history?')) return;
+    await store.deletePlan(id);
+    if (id === currentHistoryPlanId) setCurrentHistoryPlan(null);
+    const compare = document.getElementById('planCompare');
+    if (compare && historySelection.includes(id)) compare.innerHTML = '';
+    await renderPlanHistory();
+}
+
+function describeHistoryPlan(record) {
+    const s = record.summary;
+    const who = record.profileName ? ` · ${record.profileName}` : '';
+    return `${formatPlanDay(s.startDate, 'short')} – ${formatPlanDay(s.endDate, 'short')}${who}`;
+}
+
+// daily calories and macros of the two selected plans, older one first
+async function compareSelectedPlans() {
+    const container = document.getElementById('planCompare');
+    const store = await historyReady;
+    if (!container || !store || historySelection.length !== 2) return;
+    const records = await Promise.all(historySelection.map(id => store.getPlan(id)));
+    if (records.some(r => !r)) { alert('❌ One of the selected plans is no longer in the history.'); return; }
+    const [a, b] = records.sort((x, y) => String(x.createdAt).localeCompare(String(y.createdAt)));
+    const result = comparePlans(a, b);
+    const sign = n => (n > 0 ? '+' : n < 0 ? '−' : '±') + Math.abs(n);
+    const kcal = t => (t ? `${t.calories}` : '—');
+    const macros = t => (t ? `${t.protein} / ${t.carbs} / ${t.fat}` : '—');
+    const diff = d => (d ? `${sign(d.calories)}` : '—');
+    const macroDiff = d => (d ? `${sign(d.protein)} / ${sign(d.carbs)} / ${sign(d.fat)}` : '—');
+    const rows = result.rows.map(r => `<tr>
+            <td><div class="day-header">Day ${r.index + 1}</div><div class="meal-serving">${escapeHtml([r.a, r.b].map(t => (t ? formatPlanDay(t.day, 'short') : '—')).join(' · '))}</div></td>
+            <td>${kcal(r.a)}</td><td>${kcal(r.b)}</td><td>${diff(r.diff)}</td>
+            <td>${macros(r.a)}</td><td>${macros(r.b)}</td><td>${macroDiff(r.diff)}</td>
+        </tr>`).join('');
+    const { averages, targets } = result;
+    container.innerHTML = `
+        <h4 class="card-title" style="margin:1rem 0 .5rem;">⚖️ A: ${escapeHtml(describeHistoryPlan(a))} &nbsp;vs&nbsp; B: ${escapeHtml(describeHistoryPlan(b))}</h4>
+        <div class="table-responsive">
+            <table class="table">
+                <thead><tr><th>Day</th><th>A kcal</th><th>B kcal</th><th>Δ kcal</th><th>A P / C / F (g)</th><th>B P / C / F (g)</th><th>Δ P / C / F</th></tr></thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr><th>Average</th><th>${kcal(averages.a)}</th><th>${kcal(averages.b)}</th><th>${diff(averages.diff)}</th><th>${macros(averages.a)}</th><th>${macros(averages.b)}</th><th>${macroDiff(averages.diff)}</th></tr>
+                    <tr><th>Target</th><th>${targets.a}</th><th>${targets.b}</th><th>${sign(targets.b - targets.a)}</th><th colspan="3"></th></tr>
+                </tfoot>
+            </table>
+        </div>`;
+}
+
+function initializeHistoryControls() {
+    historyReady = initializeHistory().catch(err => {
+        console.error('❌ Plan history unavailable:', err);
+        return null;
+    });
+    historyReady.then(() => Promise.all([renderSavedProfiles(), renderPlanHistory()]));
+
+    const select = document.getElementById('savedProfileSelect');
+    if (select) select.addEventListener('change', () => selectSavedProfile(select.value));
+    const saveBtn = document.getElementById('saveProfileBtn');
+    if (saveBtn) saveBtn.addEventListener('click', saveCurrentProfile);
+    const deleteBtn = document.getElementById('deleteProfileBtn');
+    if (deleteBtn) deleteBtn.addEventListener('click', deleteCurrentProfile);
+
+    const filter = document.getElementById('historyProfileFilter');
+    if (filter) filter.addEventListener('change', renderPlanHistory);
+    const list = document.getElementById('planHistoryList');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-history-action]');
+            if (!btn) return;
+            if (btn.dataset.historyAction === 'open') openHistoryPlan(btn.dataset.planId);
+            else if (btn.dataset.historyAction === 'delete') deleteHistoryPlan(btn.dataset.planId);
+        });
+        list.addEventListener('change', (e) => {
+            const box = e.target.closest('[data-history-select]');
+            if (box) toggleHistorySelection(box.dataset.historySelect, box.checked);
+        });
+    }
+    const compareBtn = document.getElementById('comparePlansBtn');
+    if (compareBtn) compareBtn.addEventListener('click', compareSelectedPlans);
+}
+
+/* ---------------------------
+   Household plans
+--------------------------- */
+function renderHouseholdMembers(profiles) {
+    const container = document.getElementById('householdMembers');
+    if (!container) return;
+    [...householdMemberIds].forEach(id => { if (!profiles.some(p => p.id === id)) householdMemberIds.delete(id); });
+    container.innerHTML = profiles.length
+        ? profiles.map(p => `<label><input type="checkbox" data-household-member="${escapeHtml(p.id)}" ${householdMemberIds.has(p.id) ? 'checked' : ''}> ${escapeHtml(p.name)}</label>`).join('')
+        : '<span class="text-muted" style="font-size:.85rem;">Save a profile for each person first.</span>';
+    updateHouseholdButton();
+}
+
+// ticks a restored household's members, so Shuffle can plan for them again
+function selectHouseholdMembers(household) {
+    household.members.forEach(m => { if (m.id) householdMemberIds.add(m.id); });
+    document.querySelectorAll('[data-household-member]').forEach(el => { el.checked = householdMemberIds.has(el.dataset.householdMember); });
+    updateHouseholdButton();
+}
+
+function updateHouseholdButton() {
+    const btn = document.getElementById('generateHouseholdBtn');
+    if (btn) btn.disabled = householdMemberIds.size < MIN_HOUSEHOLD_MEMBERS;
+}
+
+// The form supplies the shared settings (region, meal structure, dates,
+// seed); each ticked profile brings its own target, diet and restrictions.
+async function generateHouseholdMealPlan(options = {}) {
     try {
-        // Build integration payload (meal plan + profile)
-        const integrationData = {
-            profile: currentUserProfile,
-            plan: currentMealPlan,
-            timestamp: Date.now()
-        };
+        const store = await historyReady;
+        const records = store ? (await Promise.all([...householdMemberIds].map(id => store.getProfile(id)))).filter(Boolean) : [];
+        if (records.length < MIN_HOUSEHOLD_MEMBERS) throw new Error(`A household plan needs at least ${MIN_HOUSEHOLD_MEMBERS} saved profiles`);
+        const db = await loadMealsDatabase();
+        const values = readFormValues();
+        const settings = normalizeProfile(values);
+        const seed = normalizeSeed(options.seed) ?? normalizeSeed(values.planSeed) ?? createSeed();
+        const members = records.map(r => ({ id: r.id, name: r.name, profile: r.profile }));
 
-        // Store it in localStorage so Diet Tracker can read it
-        const payloadStr = JSON.stringify(integrationData);
-        localStorage.setItem('INTEGRATION_STORAGE_KEY', payloadStr);
-        localStorage.setItem('planned_meals_v1', payloadStr);
-        localStorage.setItem('diettracker_import', payloadStr);
-        localStorage.setItem('meal_plan_transfer', payloadStr);
-        localStorage.setItem('meal_plan_sent', 'true');
+        const { household, plan, regionKey } = generateHouseholdPlan(db, settings, members, { seed, previousPlan: currentMealPlan });
 
-        console.log('✅ Meal plan data stored for Diet Tracker');
+        currentHousehold = household;
+        householdMemberIndex = 0;
+        currentMealPlan = plan;
+        currentUserProfile = household.members[0].profile;
+        currentPlanSeed = seed;
+        currentIntake = null;
+        lastReplanReasons = null;
+        savePlanToStorage('generated');
 
-        // Show redirect overlay
-        const overlay = document.getElementById('redirectOverlay');
-        if (overlay) overlay.classList.add('active');
+        displayMealPlan(plan, currentUserProfile);
+        await createCharts(plan, currentUserProfile);
 
-        // Redirect after short delay (adjust URL if needed)
-        const trackerUrl = document.body.getAttribute('data-diet-tracker-url') || "https://mhhakda.github.io/diet-tracker/";
-        setTimeout(() => {
-            window.location.href = trackerUrl;
-        }, 2500);
+        console.log('✅ Household plan generated for', regionKey, household.dietType, '|', members.length, 'members | seed:', seed);
+        return plan;
+    } catch (error) {
+        console.error('❌ Error generating household plan:', error);
+        alert(`Failed to generate the household plan.\n${error.message}`);
+        throw error;
+    }
+}
+
+// the same dishes, portioned for another member; the rest of the page follows
+function showHouseholdMember(index) {
+    const member = currentHousehold && currentHousehold.members[index];
+    if (!member || !currentMealPlan) return;
+    householdMemberIndex = index;
+    currentMealPlan = scalePlanForMember(currentMealPlan, member.profile);
+    currentUserProfile = member.profile;
+    displayMealPlan(currentMealPlan, currentUserProfile);
+    createCharts(currentMealPlan, currentUserProfile);
+}
+
+function displayHousehold() {
+    const card = document.getElementById('householdResults');
+    if (!card) return;
+    card.hidden = !currentHousehold;
+    if (!currentHousehold || !currentMealPlan) return;
+    const { members, dietType, dietKey, conflicts } = currentHousehold;
+    const unitSystem = currentUserProfile && currentUserProfile.unitSystem;
+
+    const select = document.getElementById('householdViewSelect');
+    if (select) {
+        select.innerHTML = members.map((m, i) => `<option value="${i}">${escapeHtml(m.name)}</option>`).join('');
+        select.value = String(householdMemberIndex);
+    }
+
+    const notes = [`Shared diet: ${dietType.replace(/_/g, ' ')}.`];
+    if (!dietKey && dietType !== 'Regular') notes.push(`No ${dietType.replace(/_/g, ' ')} meals for this region — Regular meals were used, so check them for everyone.`);
+    conflicts.forEach(c => notes.push(`${c.name}'s ${c.dietType.replace(/_/g, ' ')} diet is not met by the shared menu.`));
+    const notesEl = document.getElementById('householdNotes');
+    if (notesEl) notesEl.innerHTML = `<ul class="shopping-items">${notes.map(n => `<li><span>${escapeHtml(n)}</span></li>`).join('')}</ul>`;
+
+    const tableEl = document.getElementById('householdTable');
+    if (tableEl) {
+        let lastDay = null;
+        const rows = buildHouseholdTable(currentMealPlan, currentHousehold).map(row => {
+            const dayCell = row.day === lastDay ? '' : `<span class="day-header">${escapeHtml(formatPlanDay(row.day, 'short'))}</span>`;
+            lastDay = row.day;
+            return `<tr>
+                <td>${dayCell}</td>
+                <td>${escapeHtml(getSlotLabel(findMealSlot(row.slot, currentUserProfile), false))}</td>
+                <td><div class="meal-item">${escapeHtml(getMealTitle(row.meal))}</div></td>
+                ${row.portions.map(m => (m
+                    ? `<td><div class="meal-serving">${escapeHtml(localizeServing(m.serving_size, unitSystem) || `×${formatPortion(getMealPortion(m))}`)}</div><div class="meal-nutrients">${escapeHtml(m.calories)} kcal</div></td>`
+                    : '<td>—</td>')).join('')}
+            </tr>`;
+        }).join('');
+        tableEl.innerHTML = `
+            <table class="table">
+                <thead><tr><th>Day</th><th>Meal</th><th>Dish</th>${members.map(m => `<th>${escapeHtml(m.name)}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    const totalsEl = document.getElementById('householdTotals');
+    if (totalsEl) {
+        const sign = n => (n > 0 ? '+' : n < 0 ? '−' : '±') + Math.abs(n);
+        totalsEl.innerHTML = `
+            <table class="table">
+                <thead><tr><th>Member</th><th>Avg kcal / day</th><th>Target</th><th>Difference</th><th>P / C / F (g)</th><th>Fiber (g)</th></tr></thead>
+                <tbody>${summarizeHouseholdMembers(currentMealPlan, currentHousehold).map(t => `<tr>
+                    <td>${escapeHtml(t.name)}</td><td>${t.avg.calories}</td><td>${t.targetCalories}</td>
+                    <td class="${Math.abs(t.calorieGap) > 150 ? 'text-warning' : 'text-success'}">${sign(t.calorieGap)}</td>
+                    <td>${t.avg.protein} / ${t.avg.carbs} / ${t.avg.fat}</td><td>${t.avg.fiber}</td>
+                </tr>`).join('')}</tbody>
+            </table>`;
+    }
+}
+
+function initializeHouseholdControls() {
+    const members = document.getElementById('householdMembers');
+    if (members) members.addEventListener('change', (e) => {
+        const box = e.target.closest('[data-household-member]');
+        if (!box) return;
+        if (box.checked) householdMemberIds.add(box.dataset.householdMember);
+        else householdMemberIds.delete(box.dataset.householdMember);
+        updateHouseholdButton();
+    });
+    const btn = document.getElementById('generateHouseholdBtn');
+    if (btn) btn.addEventListener('click', () => handleFormSubmit(generateHouseholdMealPlan));
+    const select = document.getElementById('householdViewSelect');
+    if (select) select.addEventListener('change', () => showHouseholdMember(Number(select.value)));
+}
+
+/* ---------------------------
+   My recipes
+--------------------------- */
+// stored as a library file; entries that no longer validate are dropped with a warning
+function readCustomRecipes() {
+    try {
+        const stored = localStorage.getItem(RECIPE_STORAGE_KEY);
+        if (!stored) return [];
+        const { recipes, errors } = parseRecipeLibrary(stored);
+        if (errors.length) console.warn('[DietPlanner] Skipped stored recipes:', errors);
+        return recipes;
+    } catch (e) { return []; }
+}
+
+// saves the library and rebuilds the meal database the solver picks from
+function writeCustomRecipes(recipes) {
+    try {
+        localStorage.setItem(RECIPE_STORAGE_KEY, recipesToJSON(recipes));
     } catch (err) {
-        console.error('❌ Failed to store meal plan for tracker:', err);
+        console.error('❌ Failed to save recipes:', err);
+        alert('❌ Could not save your recipes.\nBrowser storage may be full or disabled.');
+        return false;
     }
+    if (baseMealDatabase) mealDatabase = mergeCustomRecipes(baseMealDatabase, recipes);
+    renderRecipeList();
+    return true;
 }
 
-// ✅ Expose globally so button works
-window.sendToTrackerAndRedirect = sendToTrackerAndRedirect;
+const RECIPE_MEAL_LABELS = { breakfast: 'Breakfast', lunch: 'Lunch', dinner: 'Dinner', snacks: 'Snack' };
+
+function renderRecipeList() {
+    const container = document.getElementById('recipeList');
+    if (!container) return;
+    const recipes = readCustomRecipes();
+    const exportBtn = document.getElementById('exportRecipesBtn');
+    if (exportBtn) exportBtn.disabled = !recipes.length;
+    if (!recipes.length) {
+        container.innerHTML = '<p class="text-muted">Recipes you save here are added to the meals your plans are picked from.</p>';
+        return;
+    }
+    const rows = recipes.map(r => {
+        const id = escapeHtml(r.id);
+        return `<tr>
+            <td><div class="meal-item">${escapeHtml(r.title)}${r.id === editingRecipeId ? ' <span class="text-muted">(editing)</span>' : ''}</div>
+                <div class="meal-serving">${escapeHtml(r.serving_size)}</div></td>
+            <td>${RECIPE_MEAL_LABELS[r.mealType]}</td>
+            <td>${escapeHtml(r.region.replace(/_/g, ' '))}</td>
+            <td>${escapeHtml(r.diets.map(d => d.replace(/_/g, ' ')).join(', '))}</td>
+            <td><div class="meal-nutrients">${r.calories} kcal · ${r.protein} / ${r.carbs} / ${r.fat} g</div></td>
+            <td style="white-space:nowrap;">
+                <button type="button" class="meal-action-btn" data-recipe-action="edit" data-recipe-id="${id}">Edit</button>
+                <button type="button" class="meal-action-btn" data-recipe-action="delete" data-recipe-id="${id}" aria-label="Delete this recipe">🗑️</button>
+            </td>
+        </tr>`;
+    }).join('');
+    container.innerHTML = `
+        <div class="table-responsive">
+            <table class="table">
+                <thead><tr><th>Recipe</th><th>Meal</th><th>Region</th><th>Diets</th><th>kcal · P / C / F</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
 
+const RECIPE_FIELDS = {
+    title: 'recipeTitle', mealType: 'recipeMealType', region: 'recipeRegion', serving_size: 'recipeServing',
+    foods: 'recipeFoods', calories: 'recipeCalories', protein: 'recipeProtein', carbs: 'recipeCarbs', fat: 'recipeFat', fiber: 'recipeFiber'
+};
+
+function readRecipeEditor() {
+    const values = {};
+    Object.entries(RECIPE_FIELDS).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        values[key] = el ? el.value : '';
+    });
+    values.diets = Array.from(document.querySelectorAll('input[name="recipeDiet"]:checked')).map(el => el.value);
+    return values;
+}
+
+// a library recipe, or null for an empty editor
+function fillRecipeEditor(recipe) {
+    editingRecipeId = recipe ? recipe.id : null;
+    const values = recipe
+        ? { ...recipe, foods: formatRecipeFoods(recipe.foods) }
+        : { mealType: 'lunch', region: (document.getElementById('region') || {}).value || 'India' };
+    Object.entries(RECIPE_FIELDS).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (el) el.value = values[key] ?? '';
+    });
+    const diets = recipe ? recipe.diets : ['Regular'];
+    document.querySelectorAll('input[name="recipeDiet"]').forEach(el => { el.checked = diets.includes(el.value); });
+    showRecipeErrors([]);
+    renderRecipeList();
+}
+
+function showRecipeErrors(errors) {
+    const el = document.getElementById('recipeErrors');
+    if (el) el.innerHTML = errors.map(e => `<div>${escapeHtml(e)}</div>`).join('');
+}
+
+function saveRecipe() {
+    const { recipe, errors } = validateRecipe({ ...readRecipeEditor(), id: editingRecipeId });
+    if (!recipe) { showRecipeErrors(errors); return; }
+    if (!writeCustomRecipes(mergeRecipeLists(readCustomRecipes(), [recipe]))) return;
+    fillRecipeEditor(null);
+    console.log('✅ Saved recipe', recipe.id, recipe.title);
+}
+
+function deleteRecipe(id) {
+    const recipes = readCustomRecipes();
+    const recipe = recipes.find(r => r.id === id);
+    if (!recipe || !confirm(`Delete the recipe "${recipe.title}"?\nPlans that already use it keep it.`)) return;
+    if (!writeCustomRecipes(recipes.filter(r => r.id !== id))) return;
+    if (id === editingRecipeId) fillRecipeEditor(null);
+}
+
+function exportRecipes() {
+    const recipes = readCustomRecipes();
+    if (!recipes.length) { alert('❌ No recipes to export yet.'); return; }
+    downloadTextFile(recipesToJSON(recipes), `recipes-${new Date().toISOString().split('T')[0]}.json`, 'application/json;charset=utf-8;');
+}
+
+// imported recipes replace stored ones with the same id; invalid entries are reported, the rest kept
+async function importRecipesFromFile(file) {
+    if (!file) return;
+    let text;
+    try {
+        text = await file.text();
+    } catch (err) {
+        console.error('❌ Failed to read recipe file:', err);
+        alert('❌ Could not read the selected file.');
+        return;
+    }
+    const { recipes, errors } = parseRecipeLibrary(text);
+    const skipped = errors.length ? `\n${errors.slice(0, 5).join('\n')}${errors.length > 5 ? `\n…and ${errors.length - 5} more` : ''}` : '';
+    if (!recipes.length) { alert(`❌ No recipes could be imported from ${file.name}:${skipped}`); return; }
+    if (!writeCustomRecipes(mergeRecipeLists(readCustomRecipes(), recipes))) return;
+    if (errors.length) alert(`⚠️ Imported ${recipes.length} recipe(s) from ${file.name}; skipped ${errors.length}:${skipped}`);
+    console.log(`✅ Imported ${recipes.length} recipe(s) from ${file.name}`);
+}
+
+function initializeRecipeControls() {
+    fillRecipeEditor(null);
+
+    const saveBtn = document.getElementById('saveRecipeBtn');
+    if (saveBtn) saveBtn.addEventListener('click', saveRecipe);
+    const cancelBtn = document.getElementById('cancelRecipeBtn');
+    if (cancelBtn) cancelBtn.addEventListener('click', () => fillRecipeEditor(null));
+    const exportBtn = document.getElementById('exportRecipesBtn');
+    if (exportBtn) exportBtn.addEventListener('click', exportRecipes);
+
+    const fileInput = document.getElementById('importRecipesFile');
+    const importBtn = document.getElementById('importRecipesBtn');
+    if (importBtn && fileInput) importBtn.addEventListener('click', () => fileInput.click());
+    if (fileInput) fileInput.addEventListener('change', () => {
+        importRecipesFromFile(fileInput.files && fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    const list = document.getElementById('recipeList');
+    if (list) list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-recipe-action]');
+        if (!btn) return;
+        if (btn.dataset.recipeAction === 'edit') fillRecipeEditor(readCustomRecipes().find(r => r.id === btn.dataset.recipeId) || null);
+        else if (btn.dataset.recipeAction === 'delete') deleteRecipe(btn.dataset.recipeId);
+    });
+}
+
+/* ---------------------------
+   Offline support
+--------------------------- */
+function readSavedPlan() {
+    try {
+        const stored = localStorage.getItem(PLAN_STORAGE_KEY);
+        return stored ? parseIntegrationPayload(stored) : null;
+    } catch (e) { return null; }
+}
+
+// the last generated or imported plan, however old — needs no network
+function openSavedPlan() {
+    const saved = readSavedPlan();
+    if (!saved) { alert('❌ No saved plan yet\nGenerate or import a plan first.'); return; }
+    if (!saved.payload) { alert(`❌ The saved plan could not be read:\n${saved.errors.slice(0, 5).join('\n')}`); return; }
+    restorePlanPayload(saved.payload, readStoredHistoryPlanId(), readSavedHousehold(saved.payload));
+    showResults();
+    console.log('✅ Opened the last saved plan');
+}
+
+function updateOfflineIndicator() {
+    const indicator = document.getElementById('offlineIndicator');
+    if (!indicator) return;
+    indicator.hidden = navigator.onLine !== false;
+    const openBtn = document.getElementById('offlineOpenSavedBtn');
+    if (openBtn) openBtn.hidden = !(readSavedPlan() || {}).payload;
+}
+
+function registerServiceWorker() {
+    // service workers need http(s); opening index.html from disk just skips caching
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js')
+        .then(reg => console.log('✅ Service worker registered for', reg.scope))
+        .catch(err => console.warn('Service worker registration failed:', err));
+}
+
+function initializeOfflineSupport() {
+    registerServiceWorker();
+    updateOfflineIndicator();
+    window.addEventListener('online', updateOfflineIndicator);
+    window.addEventListener('offline', updateOfflineIndicator);
+    ['openSavedPlanBtn', 'offlineOpenSavedBtn'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', openSavedPlan);
+    });
+}
+
+/* ---------------------------
+   DOMContentLoaded setup
+--------------------------- */
+document.addEventListener('DOMContentLoaded', () => {
+    initializeTheme();
+    initializeNavigation();
+    initializeMobileMenu();
+    initializeIntersectionObserver();
+    initializeResultsToggle();
+    initializeForm();
+    initializeProjectionControls();
+    initializeImportControls();
+    initializeAdherenceControls();
+    initializeHistoryControls();
+    initializeHouseholdControls();
+    initializeRecipeControls();
+    initializeOfflineSupport();
+
+    const sendBtn = document.getElementById('sendToTrackerBtn');
+    if (sendBtn) sendBtn.addEventListener('click', sendToTrackerAndRedirect);
+    const handoffCloseBtn = document.getElementById('redirectCloseBtn');
+    if (handoffCloseBtn) handoffCloseBtn.addEventListener('click', hideHandoffStatus);
+    const csvBtn = document.getElementById('downloadCsvBtn');
+    if (csvBtn) csvBtn.addEventListener('click', downloadCSV);
+    const pdfBtn = document.getElementById('downloadPdfBtn');
+    if (pdfBtn) pdfBtn.addEventListener('click', downloadPDF);
+    const icsBtn = document.getElementById('downloadIcsBtn');
+    if (icsBtn) icsBtn.addEventListener('click', downloadICS);
+    initializeCalendarOptions();
+    const jsonBtn = document.getElementById('downloadJsonBtn');
+    if (jsonBtn) jsonBtn.addEventListener('click', downloadJSON);
+    const mdBtn = document.getElementById('downloadMarkdownBtn');
+    if (mdBtn) mdBtn.addEventListener('click', downloadMarkdown);
+    const copyTextBtn = document.getElementById('copyPlanTextBtn');
+    if (copyTextBtn) copyTextBtn.addEventListener('click', copyPlanAsText);
+
+    const shopCsvBtn = document.getElementById('downloadShoppingCsvBtn');
+    if (shopCsvBtn) shopCsvBtn.addEventListener('click', downloadShoppingListCSV);
+    const shopTxtBtn = document.getElementById('downloadShoppingTxtBtn');
+    if (shopTxtBtn) shopTxtBtn.addEventListener('click', downloadShoppingListText);
+
+    initializeMealActions();
+
+    loadMealsDatabase().catch(()=>{});
+    loadExistingPlan();
+    console.log('🍽️ Diet Planner loaded.');
+});
+
+// Expose key functions globally (safe)
+window.sendToTrackerAndRedirect = sendToTrackerAndRedirect;
+window.downloadCSV = downloadCSV;
+window.downloadPDF = downloadPDF;
+window.downloadICS = downloadICS;
+window.downloadJSON = downloadJSON;
+window.downloadMarkdown = downloadMarkdown;
+window.copyPlanAsText = copyPlanAsText;
+window.downloadShoppingListCSV = downloadShoppingListCSV;
+window.downloadShoppingListText = downloadShoppingListText;
+window.generateMealPlan = generateMealPlan;
+window.openSavedPlan = openSavedPlan;
@@ -9,6 +9,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { preserveConditionDiet, addMicronutrients } = require('../tools/meal_fields');
 
 // Canonical constraints
 const CANONICAL_REGIONS = [
@@ -188,6 +189,11 @@ class MealNormalizer {
             diets: Array.isArray(meal.diets) ? (meal.diets.includes(dietKey) ? meal.diets : [dietKey, ...meal.diets]) : [dietKey]
         };
 
+        addMicronutrients(normalized, meal, (field, value) => this.report.unparseable_nutrients.push({ id, field, value }));
+        if (Array.isArray(meal.conditions)) normalized.conditions = meal.conditions.map(String);
+        if ((meal.glycemic_index ?? meal.gi) !== undefined) normalized.glycemic_index = this.parseNumeric(meal.glycemic_index ?? meal.gi, 'glycemic_index', id);
+        if ((meal.glycemic_load ?? meal.gl) !== undefined) normalized.glycemic_load = this.parseNumeric(meal.glycemic_load ?? meal.gl, 'glycemic_load', id);
+
         if (meal.serving_size) normalized.serving_size = String(meal.serving_size);
         if (meal.foods) normalized.foods = meal.foods;
         if (meal.ingredients) normalized.ingredients = String(meal.ingredients);
@@ -301,6 +307,7 @@ class MealNormalizer {
 
                 // Check for diet violations and either place or move
                 for (const meal of processed) {
+                    preserveConditionDiet(meal, originalDiet);
                     const violations = this.checkDietViolations(meal, mappedDiet);
                     if (violations.length) {
                         if (mappedDiet === 'Vegan') {
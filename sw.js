@@ -0,0 +1,121 @@
+/*************************************************************************
+ * Diet Planner service worker
+ * Keeps the planner usable offline: the app shell (page, UI, core modules,
+ * vendored Chart.js) is precached, meals.json is network-first with the
+ * last good copy as the offline fallback.
+ *
+ * Bump SHELL_VERSION when shipping changed files and MEALS_VERSION when
+ * meals.json changes shape; activate drops every cache not named below.
+ *************************************************************************/
+const SHELL_VERSION = 'v4';
+const MEALS_VERSION = 'v1';
+const SHELL_CACHE = `dietplanner-shell-${SHELL_VERSION}`;
+const MEALS_CACHE = `dietplanner-meals-${MEALS_VERSION}`;
+const NETWORK_TIMEOUT_MS = 5000;  // then fall back to the cached copy
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'planner.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/chart.umd.js',
+    'core/index.mjs',
+    'core/util.mjs',
+    'core/calendar.mjs',
+    'core/units.mjs',
+    'core/random.mjs',
+    'core/energy.mjs',
+    'core/nutrition.mjs',
+    'core/nutrients.mjs',
+    'core/meals.mjs',
+    'core/exclusions.mjs',
+    'core/conditions.mjs',
+    'core/structures.mjs',
+    'core/portions.mjs',
+    'core/stats.mjs',
+    'core/projection.mjs',
+    'core/solver.mjs',
+    'core/shopping.mjs',
+    'core/profile.mjs',
+    'core/plan.mjs',
+    'core/pdf.mjs',
+    'core/exports.mjs',
+    'core/integration.mjs',
+    'core/handoff.mjs',
+    'core/adherence.mjs',
+    'core/history.mjs',
+    'core/household.mjs',
+    'core/recipes.mjs'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('dietplanner-') && key !== SHELL_CACHE && key !== MEALS_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/* ---------------------------
+   Strategies
+--------------------------- */
+// the network, unless it fails or takes longer than timeoutMs and there is a
+// cached copy to fall back on; a late response still refreshes the cache
+async function networkFirst(event, cacheName, timeoutMs) {
+    const cache = await caches.open(cacheName);
+    const network = fetch(event.request).then(response => {
+        if (!response.ok) return response;
+        return cache.put(event.request, response.clone()).then(() => response);
+    });
+    event.waitUntil(network.catch(() => {}));
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    if (!cached) return network;
+    const timeout = new Promise(resolve => setTimeout(() => resolve(cached), timeoutMs));
+    return Promise.race([network.then(response => (response.ok ? response : cached), () => cached), timeout]);
+}
+
+// the cached copy straight away, refreshed in the background for next time
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const refresh = fetch(event.request)
+        .then(response => {
+            if (response.ok) return cache.put(event.request, response.clone()).then(() => response);
+            return response;
+        });
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname.endsWith('/meals.json')) {
+        event.respondWith(networkFirst(event, MEALS_CACHE, NETWORK_TIMEOUT_MS));
+    } else if (request.mode === 'navigate') {
+        // fresh HTML when online, the cached page when not
+        event.respondWith(networkFirst(event, SHELL_CACHE, NETWORK_TIMEOUT_MS)
+            .catch(() => caches.match('index.html')));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});
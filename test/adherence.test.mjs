@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    calculateAdherence, buildReplanAdjustments, buildIntakePayload, parseIntakePayload,
+    MIN_LOGGED_DAYS_FOR_DRIFT, DRIFT_COMPENSATION, MAX_DRIFT_SHIFT, getCalorieFloor
+} from '../core/index.mjs';
+
+const oats = { id: 'oats', title: 'Masala oats', calories: 400, protein: 14, carbs: 55, fat: 10 };
+const dal = { id: 'dal', title: 'Dal tadka', calories: 600, protein: 24, carbs: 80, fat: 14 };
+const fish = { id: 'fish', title: 'Fish curry', calories: 700, protein: 40, carbs: 40, fat: 30 };
+const days = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22'];
+const plan = Object.fromEntries(days.map(day => [day, { breakfast: oats, lunch: dal, dinner: fish }]));
+const profile = { gender: 'female', targetCalories: 1700 };
+
+// three logged days: fish curry swapped for paneer twice and skipped once, 100 kcal over at breakfast
+const intake = buildIntakePayload({
+    '2026-10-19': { breakfast: { status: 'eaten', calories: 500 }, lunch: { status: 'eaten' }, dinner: { status: 'swapped', name: 'Paneer tikka', calories: 650 } },
+    '2026-10-20': { breakfast: { status: 'eaten', calories: 500 }, lunch: { status: 'eaten' }, dinner: { status: 'swapped', name: 'paneer tikka', calories: 650 } },
+    '2026-10-21': { breakfast: { status: 'eaten', calories: 500 }, lunch: { status: 'eaten' }, snack: { status: 'extra', calories: 150 } }
+}, { createdAt: '2026-10-22T08:00:00.000Z' });
+
+test('the intake payload validates and rejects tampering', () => {
+    assert.deepEqual(parseIntakePayload(JSON.stringify(intake)).errors, []);
+    const tampered = { ...intake, days: { ...intake.days, '2026-10-19': { breakfast: { status: 'skipped' } } } };
+    assert.ok(parseIntakePayload(tampered).errors.some(e => e.startsWith('checksum does not match')));
+});
+
+test('adherence counts planned, logged and missing slots per day', () => {
+    const report = calculateAdherence(plan, intake);
+    assert.deepEqual(report.loggedDays, days.slice(0, 3));
+    assert.deepEqual(report.unloggedDays, ['2026-10-22']);
+    assert.equal(report.plannedSlots, 9);
+    assert.equal(report.eaten, 6);
+    assert.equal(report.swapped, 2);
+    assert.equal(report.skipped, 1);          // dinner missing from the 21st
+    assert.equal(report.extras, 1);
+    assert.equal(report.adherencePct, 67);
+    assert.deepEqual(report.days['2026-10-19'], { planned: 1700, actual: 1750, drift: 50 });
+    assert.deepEqual(report.days['2026-10-21'], { planned: 1700, actual: 1250, drift: -450 });
+    assert.equal(report.avgPlanned, 1700);
+    assert.equal(report.avgActual, 1583);
+    assert.equal(report.calorieDrift, -117);
+    assert.deepEqual(report.slots.dinner, { planned: 3, eaten: 0, swapped: 2, skipped: 1 });
+    assert.deepEqual(report.missedMeals.map(m => m.id), ['fish']);
+    assert.deepEqual(report.swapIns, [{ name: 'Paneer tikka', count: 2 }]);
+});
+
+test('replanning shifts the target by part of the drift and drops missed meals', () => {
+    const adjustments = buildReplanAdjustments(calculateAdherence(plan, intake), profile);
+    assert.equal(adjustments.calorieShift, -Math.round(-117 * DRIFT_COMPENSATION));  // under-eating raises the target
+    assert.equal(adjustments.targetCalories, 1700 + adjustments.calorieShift);
+    assert.equal(adjustments.startDate, '2026-10-23');
+    assert.deepEqual(adjustments.avoidMeals, ['fish']);
+    assert.deepEqual(adjustments.preferMeals, ['Paneer tikka']);
+    assert.equal(adjustments.reasons.length, 3);
+});
+
+test('too few logged days leave the target alone', () => {
+    const short = buildIntakePayload({ '2026-10-19': { breakfast: { status: 'eaten', calories: 1400 } } });
+    const adjustments = buildReplanAdjustments(calculateAdherence(plan, short), profile);
+    assert.ok(MIN_LOGGED_DAYS_FOR_DRIFT > 1);
+    assert.equal(adjustments.calorieShift, 0);
+    assert.equal(adjustments.targetCalories, 1700);
+    assert.match(adjustments.reasons[0], /logged days are needed/);
+});
+
+test('the shift is capped, and never goes below the calorie floor', () => {
+    const overeating = buildIntakePayload(Object.fromEntries(days.map(day => [day, {
+        breakfast: { status: 'eaten', calories: 1400 }, lunch: { status: 'eaten' }, dinner: { status: 'eaten' }
+    }])));
+    const capped = buildReplanAdjustments(calculateAdherence(plan, overeating), profile);
+    assert.equal(capped.calorieShift, -MAX_DRIFT_SHIFT);
+
+    const low = { gender: 'female', targetCalories: getCalorieFloor({ gender: 'female' }) + 50 };
+    const floored = buildReplanAdjustments(calculateAdherence(plan, overeating), low);
+    assert.equal(floored.targetCalories, getCalorieFloor(low));
+    assert.match(floored.reasons[0], /safety floor/);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeConditions, getGlycemicLoad, createConditionMealFilter, createConditionDayPenalty,
+    buildComplianceReport, optimizeDay
+} from '../core/index.mjs';
+
+test('unknown and repeated conditions are dropped', () => {
+    assert.deepEqual(normalizeConditions(['Diabetes', 'gout', 'diabetes', ' PCOS ']), ['diabetes', 'pcos']);
+    assert.deepEqual(normalizeConditions('diabetes'), []);
+});
+
+test('glycemic load uses the meal\'s own GI, or a medium GI', () => {
+    assert.equal(getGlycemicLoad({ carbs: 50, fiber: 10 }), 22);
+    assert.equal(getGlycemicLoad({ carbs: 50, fiber: 10, glycemic_index: 30 }), 12);
+});
+
+test('strict meal rules filter candidates; meals without the nutrient pass', () => {
+    const allowed = createConditionMealFilter({ conditions: ['hypertension'] });
+    assert.equal(allowed({ sodium: 900 }, 'lunch'), false);
+    assert.equal(allowed({ sodium: 400 }, 'lunch'), true);
+    assert.equal(allowed({ carbs: 90 }, 'lunch'), true);
+    assert.equal(createConditionMealFilter({ conditions: [] })({ sodium: 5000 }), true);
+});
+
+test('a day rule is skipped while meals miss the nutrient, unless the reported part already breaks the max', () => {
+    const day = createConditionDayPenalty({ conditions: ['hypertension'] });
+    assert.deepEqual(day.nutrients, ['sodium', 'saturated_fat']);
+    assert.equal(day.penalty({ sodium: 1200, saturated_fat: 5 }, { sodium: 1, saturated_fat: 0 }), 0);
+    assert.ok(day.penalty({ sodium: 1800, saturated_fat: 5 }, { sodium: 1, saturated_fat: 0 }) > 0);
+    assert.ok(day.penalty({ sodium: 1800, saturated_fat: 5 }) > 0);
+    assert.equal(day.value({ calories: 300 }, 'sodium'), null);
+});
+
+test('the solver keeps the day\'s sodium under the limit when the meals report it', () => {
+    const m = (id, calories, sodium) => ({ id, calories, protein: 20, carbs: 40, fat: 10, sodium });
+    const pools = [[m('a', 500, 1200), m('b', 480, 300)], [m('c', 700, 900), m('d', 690, 400)]];
+    const targets = { calories: 1200, protein: 40, carbs: 80, fat: 20 };
+    const dayPenalty = createConditionDayPenalty({ conditions: ['hypertension'] });
+    const picks = optimizeDay(pools, targets, { dayPenalty });
+    assert.ok(picks.reduce((sum, p) => sum + p.sodium, 0) <= 1500);
+});
+
+test('the compliance report counts checked, failed and unverified days', () => {
+    const plan = {
+        '2026-10-19': { breakfast: { carbs: 40, sodium: 600 }, lunch: { carbs: 70, sodium: 1100 } },
+        '2026-10-20': { breakfast: { carbs: 30 }, lunch: { carbs: 50, sodium: 500 } }
+    };
+    const [report] = buildComplianceReport(plan, { conditions: ['hypertension'] });
+    const [perMeal, perDay] = report.rules;
+    assert.equal(report.label, 'Hypertension');
+    assert.deepEqual([perMeal.checked, perMeal.passed, perMeal.noData], [3, 2, 1]);
+    assert.deepEqual(perMeal.failures, [{ day: '2026-10-19', slot: 'lunch', value: 1100 }]);
+    assert.deepEqual([perDay.checked, perDay.passed, perDay.noData], [1, 0, 1]);
+});
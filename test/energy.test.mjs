@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEnergyTarget, describeEnergyTarget, resolveGoalRate, CALORIE_FLOOR } from '../core/index.mjs';
+
+const male = { age: 30, gender: 'male', height: 178, weight: 75, activityLevel: 'moderate', goal: 'loss' };
+
+test('Mifflin-St Jeor with the default loss rate', () => {
+    const r = calculateEnergyTarget(male);
+    assert.equal(r.model, 'mifflin_st_jeor');
+    assert.equal(r.bmr, 1718);
+    assert.equal(r.tdee, 2362);
+    assert.equal(r.goalAdjustment, -550);
+    assert.equal(r.target, 1812);
+    assert.equal(r.floorApplied, false);
+});
+
+test('Katch-McArdle needs body fat and otherwise falls back', () => {
+    const without = calculateEnergyTarget({ ...male, energyModel: 'katch_mcardle' });
+    assert.equal(without.model, 'mifflin_st_jeor');
+    assert.deepEqual(without.missingInputs, ['bodyFat']);
+    assert.match(describeEnergyTarget(without, 'metric')[0], /Katch-McArdle needs body fat %/);
+    const withFat = calculateEnergyTarget({ ...male, energyModel: 'katch_mcardle', bodyFat: 20 });
+    assert.equal(withFat.model, 'katch_mcardle');
+    assert.equal(withFat.bmr, 1666);
+});
+
+test('the revised Harris-Benedict equation', () => {
+    assert.equal(calculateEnergyTarget({ ...male, energyModel: 'harris_benedict' }).bmr, 1777);
+});
+
+test('the rate is capped per goal and the target never drops below the floor', () => {
+    assert.deepEqual(resolveGoalRate({ goal: 'loss', weeklyRateKg: 1.5 }), { goal: 'loss', rateKg: -1, capped: true });
+    assert.deepEqual(resolveGoalRate({ goal: 'maintain', weeklyRateKg: 1 }), { goal: 'maintain', rateKg: 0, capped: false });
+    const r = calculateEnergyTarget({ age: 40, gender: 'female', height: 160, weight: 60, activityLevel: 'low', goal: 'loss', weeklyRateKg: 1.5 });
+    assert.equal(r.unclamped, 387);
+    assert.equal(r.target, CALORIE_FLOOR.female);
+    assert.ok(r.floorApplied && r.rateCapped);
+    const lines = describeEnergyTarget(r, 'metric');
+    assert.ok(lines.some(l => l.startsWith('Rate capped at 1 kg/week')));
+    assert.ok(lines.some(l => l.includes('1,200 kcal safety floor')));
+});
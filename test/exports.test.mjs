@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planToJSON, parseIntegrationPayload, planToMarkdown, escapeMarkdown } from '../core/index.mjs';
+
+const profile = { age: 30, gender: 'female', height: 165, weight: 60, goal: 'maintain', targetCalories: 1900 };
+const plan = {
+    '2026-10-19': {
+        breakfast: { id: 'b1', title: 'Oats *with* berries', calories: 380, protein: 14, carbs: 55, fat: 10, serving_size: '1 bowl' },
+        lunch: { id: 'l1', title: 'Dal tadka', calories: 560, protein: 24, carbs: 80, fat: 14, portion: 1.5 }
+    },
+    '2026-10-20': {
+        dinner: { id: 'd1', title: 'Paneer_tikka', calories: 600, protein: 30, carbs: 20, fat: 40 }
+    }
+};
+
+test('the JSON export reads back to the same plan, seed and daily totals', () => {
+    const text = planToJSON(plan, profile, 7);
+    assert.ok(text.endsWith('\n'));
+    const { payload, errors } = parseIntegrationPayload(text);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(payload.mealPlan, plan);
+    assert.equal(payload.seed, 7);
+    assert.deepEqual(payload.dailyTotals['2026-10-19'], { calories: 940, protein: 38, carbs: 135, fat: 24, fiber: 0 });
+});
+
+test('Markdown escapes formatting characters in meal titles', () => {
+    assert.equal(escapeMarkdown('a*b_c#d|e'), 'a\\*b\\_c\\#d\\|e');
+    assert.equal(escapeMarkdown(null), '');
+    const md = planToMarkdown(plan, profile, { seed: 7 });
+    assert.match(md, /^# Meal Plan — /);
+    assert.match(md, /\*\*Seed:\*\* 7/);
+    assert.match(md, /Oats \\\*with\\\* berries/);
+    assert.match(md, /Paneer\\_tikka/);
+    assert.match(md, /\(×1\.5\)/);
+    assert.equal(md.match(/^## /gm).length, 2);
+});
+
+test('the plain-text export drops the Markdown markup', () => {
+    const text = planToMarkdown(plan, profile, { plain: true });
+    assert.ok(!text.includes('#') && !text.includes('**'), text);
+    // titles are left as they are
+    assert.match(text, /^• Breakfast: Oats \*with\* berries — 1 bowl/m);
+    assert.match(text, /Total: 940 kcal/);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    sendPlanHandoff, acceptPlanHandoff, createHandoffToken, withHandoffToken, readHandoffToken, buildIntegrationPayload
+} from '../core/index.mjs';
+
+const profile = { age: 30, gender: 'female', height: 165, weight: 60, goal: 'maintain', targetCalories: 1900 };
+const plan = { '2026-10-19': { breakfast: { id: 'b1', title: 'Poha', calories: 350, protein: 8, carbs: 60, fat: 9 } } };
+const payload = buildIntegrationPayload(plan, profile, 42);
+
+// an in-memory BroadcastChannel: a message reaches every other endpoint
+function createBus() {
+    const endpoints = [];
+    return name => {
+        const endpoint = { handlers: new Set() };
+        endpoints.push(endpoint);
+        return {
+            name,
+            post: message => endpoints.forEach(other => {
+                if (other !== endpoint) other.handlers.forEach(h => queueMicrotask(() => h(structuredClone(message))));
+            }),
+            listen: handler => { endpoint.handlers.add(handler); return () => endpoint.handlers.delete(handler); }
+        };
+    };
+}
+
+test('the token round-trips through the tracker url', () => {
+    const token = createHandoffToken();
+    assert.match(token, /^[0-9a-z]{12,}$/);
+    assert.notEqual(createHandoffToken(), token);
+    const url = withHandoffToken('https://planner.example/diet-tracker?x=1#tab=log', token);
+    assert.equal(readHandoffToken(url), token);
+    assert.equal(new URL(url).searchParams.get('x'), '1');
+    assert.equal(readHandoffToken('https://planner.example/diet-tracker'), null);
+});
+
+test('the plan is sent once, after a ready with the token, and only that tracker takes it', async () => {
+    const endpoint = createBus();
+    const token = createHandoffToken();
+    const heard = [];
+    const eavesdropper = endpoint('channel');
+    eavesdropper.listen(message => heard.push(message));
+    acceptPlanHandoff({ transports: [endpoint('channel')], token: 'guessed', onPlan: () => assert.fail('no plan for a wrong token') });
+
+    let received = null;
+    const sending = sendPlanHandoff({ payload, transports: [endpoint('channel')], token });
+    acceptPlanHandoff({ transports: [endpoint('channel')], token, onPlan: p => { received = p; return { days: 1 }; } });
+    const result = await sending;
+
+    assert.equal(result.status, 'delivered');
+    assert.deepEqual(result.summary, { days: 1 });
+    assert.deepEqual(received.mealPlan, plan);
+    // the plan went out on the shared channel, but only once, after the right ready
+    assert.equal(heard.filter(m => m.type === 'plan').length, 1);
+});
+
+test('a tracker without the token never gets the plan', async () => {
+    const endpoint = createBus();
+    const heard = [];
+    endpoint('channel').listen(message => heard.push(message));
+    acceptPlanHandoff({ transports: [endpoint('channel')], onPlan: () => assert.fail('no plan without a token') });
+    const result = await sendPlanHandoff({ payload, transports: [endpoint('channel')], token: createHandoffToken(), timeouts: { handshake: 50 } });
+
+    assert.equal(result.status, 'timeout');
+    assert.equal(result.stage, 'handshake');
+    assert.ok(heard.some(m => m.type === 'ready'));
+    assert.ok(!heard.some(m => m.type === 'plan'));
+});
+
+test('a rejected plan comes back with the tracker errors', async () => {
+    const endpoint = createBus();
+    const token = createHandoffToken();
+    acceptPlanHandoff({ transports: [endpoint('window')], token, onPlan: () => { throw new Error('tracker is full'); } });
+    const result = await sendPlanHandoff({ payload, transports: [endpoint('window')], token });
+
+    assert.equal(result.status, 'rejected');
+    assert.equal(result.via, 'window');
+    assert.deepEqual(result.errors, ['tracker is full']);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    HISTORY_STORES, createProfileRecord, createPlanRecord, summarizePlan, comparePlans, createHistoryStore,
+    migrateLegacyPlan, buildIntegrationPayload
+} from '../core/index.mjs';
+
+const profile = { age: 30, gender: 'female', height: 165, weight: 60, goal: 'maintain', targetCalories: 1900 };
+const meal = (id, calories, protein) => ({ id, title: id, calories, protein, carbs: 50, fat: 10 });
+const weekA = { '2026-10-19': { lunch: meal('a1', 500, 20), dinner: meal('a2', 700, 30) }, '2026-10-20': { lunch: meal('a3', 600, 25) } };
+const weekB = { '2026-11-02': { lunch: meal('b1', 800, 40) } };
+
+// the IndexedDB calls the page makes, over plain maps
+function createMemoryBackend() {
+    const stores = Object.fromEntries(Object.values(HISTORY_STORES).map(name => [name, new Map()]));
+    return {
+        getAll: async store => [...stores[store].values()].map(r => structuredClone(r)),
+        get: async (store, id) => structuredClone(stores[store].get(id) ?? null),
+        put: async (store, record) => { stores[store].set(record.id, structuredClone(record)); },
+        delete: async (store, id) => { stores[store].delete(id); }
+    };
+}
+
+test('a plan summary averages its days', () => {
+    assert.deepEqual(summarizePlan(weekA, profile), {
+        days: 2, startDate: '2026-10-19', endDate: '2026-10-20', targetCalories: 1900,
+        avgCalories: 900, avgProtein: 38, avgCarbs: 75, avgFat: 15
+    });
+    assert.equal(summarizePlan({}).avgCalories, 0);
+});
+
+test('compare pairs days by position and diffs b - a', () => {
+    const a = createPlanRecord(buildIntegrationPayload(weekA, profile, 1));
+    const b = createPlanRecord(buildIntegrationPayload(weekB, { ...profile, targetCalories: 2100 }, 2));
+    const result = comparePlans(a, b);
+    assert.equal(result.rows.length, 2);
+    assert.deepEqual(result.rows[0].diff, { calories: -400, protein: -10, carbs: -50, fat: -10 });
+    assert.equal(result.rows[1].b, null);
+    assert.equal(result.rows[1].diff, null);
+    assert.equal(result.averages.diff.calories, -100);
+    assert.deepEqual(result.targets, { a: 1900, b: 2100 });
+});
+
+test('the store lists profiles by name and plans newest first', async () => {
+    const store = createHistoryStore(createMemoryBackend());
+    const maya = await store.saveProfile(createProfileRecord('  Maya ', profile));
+    await store.saveProfile(createProfileRecord('', profile));
+    assert.deepEqual((await store.listProfiles()).map(p => p.name), ['Maya', 'Unnamed profile']);
+
+    const older = createPlanRecord(buildIntegrationPayload(weekA, profile, 1), { profileId: maya.id, createdAt: '2026-10-01T00:00:00.000Z' });
+    const newer = createPlanRecord(buildIntegrationPayload(weekB, profile, 2), { profileId: maya.id, createdAt: '2026-10-15T00:00:00.000Z', source: 'replanned' });
+    const other = createPlanRecord(buildIntegrationPayload(weekB, profile, 3), { source: 'bogus' });
+    await Promise.all([older, newer, other].map(r => store.savePlan(r)));
+
+    assert.deepEqual((await store.listPlans({ profileId: maya.id })).map(r => r.id), [newer.id, older.id]);
+    assert.equal(other.source, 'generated');
+    await store.deleteProfile(maya.id);
+    assert.equal((await store.listPlans()).length, 3);
+    assert.deepEqual((await store.getPlan(newer.id)).payload.mealPlan, weekB);
+});
+
+test('the old single saved plan migrates into history', () => {
+    const saved = JSON.stringify({ plan: weekA, profile, seed: 5, generated: '2026-10-01T00:00:00.000Z' });
+    const record = migrateLegacyPlan(saved);
+    assert.equal(record.source, 'migrated');
+    assert.equal(record.seed, 5);
+    assert.deepEqual(record.payload.mealPlan, weekA);
+    assert.equal(migrateLegacyPlan('not json'), null);
+    assert.equal(migrateLegacyPlan(null), null);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeProfile, resolveHouseholdDiet, createHousehold, scalePlanForMember, getMemberPlans,
+    summarizeHouseholdMembers, buildHouseholdShoppingList, PORTION_MIN
+} from '../core/index.mjs';
+
+const person = (extra = {}) => normalizeProfile({
+    age: 35, gender: 'female', height: 165, weight: 60, activityLevel: 'moderate', goal: 'maintain',
+    dietType: 'Regular', region: 'India', mealStructure: 'standard', startDate: '2026-10-19', ...extra
+});
+const settings = person();
+const member = (name, extra) => ({ id: name.toLowerCase(), name, profile: person(extra) });
+
+const plan = {
+    '2026-10-19': {
+        breakfast: { id: 'b1', title: 'Poha', calories: 400, protein: 10, carbs: 50, fat: 12, foods: [{ name: 'flattened rice', quantity: 80, unit: 'g' }] },
+        lunch: { id: 'l1', title: 'Rajma chawal', calories: 600, protein: 22, carbs: 55, fat: 15, foods: [{ name: 'rice', quantity: 100, unit: 'g' }] }
+    }
+};
+
+test('the strictest diet is shared and members it does not suit are named', () => {
+    assert.deepEqual(resolveHouseholdDiet([member('A', { dietType: 'Regular' }), member('B', { dietType: 'Vegan' })]), { dietType: 'Vegan', conflicts: [] });
+    const { dietType, conflicts } = resolveHouseholdDiet([member('A', { dietType: 'Keto' }), member('B', { dietType: 'Vegetarian' })]);
+    assert.equal(dietType, 'Vegetarian');
+    assert.deepEqual(conflicts, [{ name: 'A', dietType: 'Keto' }]);
+});
+
+test('everyone\'s restrictions apply and the menu is planned for the average target', () => {
+    const household = createHousehold(settings, [
+        member('A', { allergens: ['peanuts'], targetCalories: 1600, targetSource: 'manual' }),
+        member('B', { excludedIngredients: ['mushroom'], conditions: ['diabetes'], targetCalories: 2400, targetSource: 'manual' })
+    ]);
+    assert.deepEqual(household.profile.allergens, ['peanuts']);
+    assert.deepEqual(household.profile.excludedIngredients, ['mushroom']);
+    assert.equal(household.profile.targetCalories, 2000);
+    household.members.forEach(m => assert.deepEqual(m.profile.conditions, ['diabetes']));
+    assert.deepEqual(household.members.map(m => m.profile.targetCalories), [1600, 2400]);
+    assert.throws(() => createHousehold(settings, [member('A')]), /at least 2 members/);
+});
+
+test('members get portions for their own targets and one shopping list adds them up', () => {
+    const household = createHousehold(settings, [
+        member('A', { targetCalories: 1600, targetSource: 'manual' }),
+        member('B', { targetCalories: 3200, targetSource: 'manual' })
+    ]);
+    const [a, b] = getMemberPlans(plan, household).map(m => m.plan['2026-10-19'].breakfast);
+    assert.ok(b.portion > a.portion);
+    assert.equal(b.base.calories, 400);
+
+    const [sa, sb] = summarizeHouseholdMembers(plan, household);
+    assert.ok(sb.avg.calories > sa.avg.calories);
+    const rice = buildHouseholdShoppingList(plan, household).categories.flatMap(c => c.items).find(i => i.name === 'flattened rice');
+    assert.equal(rice.quantity, 80 * (a.portion + b.portion));
+});
+
+test('a member portion that breaks a strict condition rule is made smaller', () => {
+    const household = createHousehold(settings, [
+        member('A', { targetCalories: 1600, targetSource: 'manual' }),
+        member('B', { targetCalories: 3600, targetSource: 'manual', conditions: ['diabetes'] })
+    ]);
+    const big = household.members[1].profile;
+    const lunch = scalePlanForMember(plan, big)['2026-10-19'].lunch;
+    // 3600 kcal wants 2x Rajma chawal (110 g carbs); diabetes allows 60 g a meal
+    assert.ok(lunch.carbs <= 60, `carbs ${lunch.carbs}`);
+    assert.equal(lunch.portion, 1);
+    // a dish that can't comply even at the smallest portion stops there
+    const heavy = { '2026-10-19': { lunch: { ...plan['2026-10-19'].lunch, carbs: 200 } } };
+    assert.equal(scalePlanForMember(heavy, big)['2026-10-19'].lunch.portion, PORTION_MIN);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeICSText, foldICSLine, planToICS } from '../core/index.mjs';
+
+const octets = s => Buffer.byteLength(s, 'utf8');
+const unfold = text => text.replace(/\r\n /g, '');
+
+test('text values escape backslashes, semicolons, commas and newlines', () => {
+    assert.equal(escapeICSText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+    assert.equal(escapeICSText(null), '');
+});
+
+test('short lines are left alone', () => {
+    const line = 'SUMMARY:' + 'x'.repeat(67);
+    assert.equal(octets(line), 75);
+    assert.equal(foldICSLine(line), line);
+});
+
+test('long lines fold at 75 octets and unfold to the original', () => {
+    const line = 'DESCRIPTION:' + 'abcdefghij'.repeat(20);
+    const folded = foldICSLine(line);
+    const parts = folded.split('\r\n');
+    assert.ok(parts.length > 1);
+    parts.forEach((part, i) => {
+        assert.ok(octets(part) <= 75, `line ${i} has ${octets(part)} octets`);
+        if (i) assert.equal(part[0], ' ');
+    });
+    assert.equal(unfold(folded), line);
+});
+
+test('folding never splits a multi-byte character', () => {
+    const line = 'SUMMARY:' + 'é☕🍲'.repeat(30);
+    const parts = foldICSLine(line).split('\r\n');
+    parts.forEach(part => {
+        assert.ok(octets(part) <= 75);
+        assert.ok(!part.includes('�'));
+        assert.equal(Buffer.from(part, 'utf8').toString('utf8'), part);
+        assert.ok(!/[\uD800-\uDBFF]$/.test(part), 'ends inside a surrogate pair');
+    });
+    assert.equal(unfold(parts.join('\r\n')), line);
+});
+
+test('a plan exports escaped, folded events with CRLF line endings', () => {
+    const plan = {
+        '2026-10-19': {
+            breakfast: { id: 'b1', title: 'Oats, berries; honey', calories: 380, protein: 14, carbs: 55, fat: 10, fiber: 7,
+                foods: ['rolled oats', 'blueberries', 'honey', 'a very long list of toppings that pushes the description well past one line'] },
+            lunch: null
+        }
+    };
+    const ics = planToICS(plan, { mealStructure: 'standard', unitSystem: 'metric' }, { now: new Date('2026-10-18T12:00:00Z'), seed: 5 });
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(ics), 'bare LF line ending');
+    ics.split('\r\n').forEach(line => assert.ok(octets(line) <= 75, line));
+
+    const lines = unfold(ics).split('\r\n');
+    assert.equal(lines.filter(l => l === 'BEGIN:VEVENT').length, 1);
+    assert.ok(lines.includes('SUMMARY:Breakfast: Oats\\, berries\\; honey'), lines.find(l => l.startsWith('SUMMARY')));
+    assert.ok(lines.includes('DTSTAMP:20261018T120000Z'));
+    assert.ok(lines.some(l => l.startsWith('DTSTART:20261019T')));
+    const description = lines.find(l => l.startsWith('DESCRIPTION:'));
+    assert.ok(description.includes('\\nFoods: rolled oats\\, blueberries\\, honey'), description);
+});
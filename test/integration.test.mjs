@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PAYLOAD_SCHEMA, PAYLOAD_VERSION, buildIntegrationPayload, parseIntegrationPayload, computePayloadChecksum
+} from '../core/index.mjs';
+
+const profile = { age: 30, gender: 'female', height: 165, weight: 60, goal: 'maintain', targetCalories: 1900 };
+const plan = {
+    '2026-10-19': {
+        breakfast: { id: 'b1', title: 'Masala oats', calories: 380, protein: 14, carbs: 55, fat: 10, fiber: 7, foods: [{ name: 'oats', quantity: 60, unit: 'g' }] },
+        lunch: { id: 'l1', title: 'Dal tadka', calories: 560, protein: 24, carbs: 80, fat: 14, fiber: 12 },
+        dinner: null
+    },
+    '2026-10-20': {
+        breakfast: { id: 'b2', title: 'Poha', calories: 350, protein: 8, carbs: 60, fat: 9, fiber: 4 }
+    }
+};
+
+test('a payload survives a JSON round trip unchanged', () => {
+    const payload = buildIntegrationPayload(plan, profile, 42, { createdAt: '2026-10-19T08:00:00.000Z' });
+    const { payload: parsed, fromVersion, errors } = parseIntegrationPayload(JSON.stringify(payload));
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, PAYLOAD_VERSION);
+    assert.deepEqual(parsed, payload);
+    assert.deepEqual(parsed.mealPlan, plan);
+    assert.equal(parsed.seed, 42);
+});
+
+test('the checksum does not depend on key order', () => {
+    const payload = buildIntegrationPayload(plan, profile, 42);
+    const reordered = Object.fromEntries(Object.entries(payload).reverse());
+    assert.equal(computePayloadChecksum(reordered), payload.checksum);
+});
+
+test('a modified payload is rejected by its checksum', () => {
+    const payload = buildIntegrationPayload(plan, profile, 42);
+    payload.mealPlan['2026-10-19'].lunch.calories = 900;
+    const { payload: parsed, errors } = parseIntegrationPayload(payload);
+    assert.equal(parsed, null);
+    assert.ok(errors.some(e => e.startsWith('checksum does not match')), errors.join('; '));
+});
+
+test('a payload without a checksum is rejected', () => {
+    const { checksum, ...payload } = buildIntegrationPayload(plan, profile, 42);
+    const { payload: parsed, errors } = parseIntegrationPayload(payload);
+    assert.equal(parsed, null);
+    assert.ok(errors.includes('checksum is missing'));
+});
+
+test('the planner\'s version 1 saved plan is migrated', () => {
+    const saved = { plan, profile, seed: 7, generated: '2026-10-18T10:00:00.000Z' };
+    const { payload, fromVersion, errors } = parseIntegrationPayload(JSON.stringify(saved));
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, 1);
+    assert.equal(payload.schema, PAYLOAD_SCHEMA);
+    assert.equal(payload.version, PAYLOAD_VERSION);
+    assert.equal(payload.createdAt, saved.generated);
+    assert.equal(payload.seed, 7);
+    assert.deepEqual(payload.mealPlan, plan);
+    assert.equal(payload.dailyTargets.calories, 1900);
+});
+
+test('a version 3.0 payload is migrated', () => {
+    const v3 = { version: '3.0', timestamp: '2026-10-18T10:00:00.000Z', source: 'diet-tracker', userProfile: profile, mealPlan: plan, seed: 9 };
+    const { payload, fromVersion, errors } = parseIntegrationPayload(v3);
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, 3);
+    assert.equal(payload.version, PAYLOAD_VERSION);
+    assert.equal(payload.source, 'diet-tracker');
+    assert.equal(payload.createdAt, v3.timestamp);
+    assert.equal(payload.timestamp, undefined);
+    assert.equal(payload.checksum, computePayloadChecksum(payload));
+});
+
+test('payloads from a newer version or of another kind are refused', () => {
+    assert.match(parseIntegrationPayload({ ...buildIntegrationPayload(plan, profile, 1), version: PAYLOAD_VERSION + 1 }).errors[0], /newer than this planner supports/);
+    assert.deepEqual(parseIntegrationPayload({ hello: 'world' }).errors, ['Not a Diet Planner payload']);
+    assert.deepEqual(parseIntegrationPayload('{not json').errors, ['Not valid JSON']);
+});
+
+test('version 2, which was never released, is refused by name', () => {
+    const { payload, errors } = parseIntegrationPayload({ version: 2, userProfile: profile, mealPlan: plan });
+    assert.equal(payload, null);
+    assert.deepEqual(errors, ['Payload version 2 was never released by the Diet Planner (known versions: 1, 3, 4)']);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addMicronutrients, parseNutrientValue, preserveConditionDiet } from '../tools/meal_fields.js';
+
+test('micronutrients are read flat or nested, under any accepted name', () => {
+    const out = {};
+    addMicronutrients(out, { title: 'Dal', sodium_mg: 420, nutrients: { fe: '3.5 mg', vitaminC: 12 } });
+    assert.deepEqual(out, { sodium: 420, iron: 3.5, vitamin_c: 12 });
+});
+
+test('an unparseable value is left out and reported, not stored as 0', () => {
+    const out = {}, reported = [];
+    addMicronutrients(out, { sugar: 'trace', calcium: '120mg' }, (field, value) => reported.push([field, value]));
+    assert.deepEqual(out, { calcium: 120 });
+    assert.deepEqual(reported, [['sugar', 'trace']]);
+});
+
+test('nutrient values', () => {
+    assert.equal(parseNutrientValue('1,200 mg'), 1200);
+    assert.equal(parseNutrientValue(0), 0);
+    assert.equal(parseNutrientValue('n/a'), null);
+    assert.equal(parseNutrientValue(NaN), null);
+});
+
+test('a meal from a condition diet keeps that diet and gains the condition', () => {
+    const meal = { title: 'Millet upma', diets: ['Regular'], conditions: ['senior'] };
+    preserveConditionDiet(meal, 'Diabetic_Friendly');
+    preserveConditionDiet(meal, 'Diabetic_Friendly');
+    assert.deepEqual(meal.diets, ['Regular', 'Diabetic_Friendly']);
+    assert.deepEqual(meal.conditions, ['senior', 'diabetes']);
+    const plain = { title: 'Toast', diets: ['Regular'] };
+    preserveConditionDiet(plain, 'Regular');
+    assert.deepEqual(plain, { title: 'Toast', diets: ['Regular'] });
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toWinAnsi, measureText, wrapText, niceScale, createPdfDocument, planToPDF } from '../core/index.mjs';
+
+const profile = { age: 30, gender: 'female', height: 165, weight: 60, goal: 'lose', targetCalories: 1800 };
+const plan = {
+    '2026-10-19': {
+        breakfast: { id: 'b1', title: 'Masala oats', calories: 380, protein: 14, carbs: 55, fat: 10, foods: [{ name: 'rolled oats', quantity: 60, unit: 'g' }] },
+        lunch: { id: 'l1', title: 'Dal (tadka) 🍛', calories: 560, protein: 24, carbs: 80, fat: 14 }
+    },
+    '2026-10-20': {
+        dinner: { id: 'd1', title: 'Paneer tikka', calories: 600, protein: 30, carbs: 20, fat: 40, foods: [{ name: 'paneer', quantity: 150, unit: 'g' }] }
+    }
+};
+
+// every xref entry must point at the start of its object
+function assertXref(pdf) {
+    const start = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.ok(pdf.startsWith('xref\n', start));
+    const entries = pdf.slice(start).split('\n').slice(3).filter(line => / 00000 n $/.test(line));
+    entries.forEach((line, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, Number(line.slice(0, 10))), `object ${i + 1}`));
+    return entries.length;
+}
+
+test('text is mapped to WinAnsi and measured in Helvetica widths', () => {
+    assert.equal(toWinAnsi('Café – 2 → 3 🍛'), 'Café \x96 2 -> 3 ');
+    assert.equal(measureText('ii', 10), 4.44);
+    assert.ok(measureText('t', 10, true) > measureText('t', 10));
+    const lines = wrapText('a rather long line of text that has to wrap', 60, 10);
+    assert.ok(lines.length > 1);
+    lines.forEach(line => assert.ok(measureText(line, 10) <= 60, line));
+});
+
+test('chart axes get round tick values', () => {
+    const scale = niceScale(1843);
+    assert.ok(scale.max >= 1843);
+    assert.equal(scale.max % scale.step, 0);
+});
+
+test('a document has one page object per page and a valid xref table', () => {
+    const doc = createPdfDocument({ title: 'Test', now: new Date('2026-10-19T08:00:00Z') });
+    doc.addPage();
+    doc.text(40, 40, 'first (page)');
+    doc.addPage();
+    doc.text(40, 40, 'second');
+    const pdf = doc.render();
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.match(pdf, /\/Count 2 >>/);
+    assert.match(pdf, /\(first \\\(page\\\)\) Tj/);
+    assert.equal(assertXref(pdf), 2 + 2 + 2 * 2 + 1);
+});
+
+test('the plan PDF has the profile, every day and an optional shopping list', () => {
+    const now = new Date('2026-10-19T08:00:00Z');
+    const withList = planToPDF(plan, profile, { now, seed: 9, shoppingList: true });
+    const withoutList = planToPDF(plan, profile, { now, seed: 9, shoppingList: false });
+    assertXref(withList);
+    assert.match(withList, /\(Profile & Targets\)/);
+    assert.match(withList, /\(Dal \\\(tadka\\\) ?\)/);
+    assert.match(withList, /\(Shopping List\)/);
+    assert.doesNotMatch(withoutList, /\(Shopping List\)/);
+    assert.equal(planToPDF(plan, profile, { now, seed: 9, shoppingList: true }), withList);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeMealsDatabase, normalizeProfile, generatePlan, getMealTitle, getMealId,
+    createDefaultMeal, replacePlaceholderMeals, getSwapAlternatives, SWAP_MAX_OPTIONS
+} from '../core/index.mjs';
+
+const meal = (mealType, title, calories, foods = []) => ({
+    region: 'India', diets: ['Regular'], mealType, title, calories,
+    protein: Math.round(calories * 0.2 / 4), carbs: Math.round(calories * 0.5 / 4), fat: Math.round(calories * 0.3 / 9), fiber: 5, foods
+});
+
+const db = normalizeMealsDatabase([
+    meal('breakfast', 'Masala oats', 380, ['oats', 'onion']),
+    meal('breakfast', 'Egg bhurji', 420, ['eggs', 'tomato']),
+    meal('breakfast', 'Poha', 350, ['flattened rice', 'peanuts']),
+    meal('breakfast', 'Idli sambar', 360, ['idli', 'sambar']),
+    meal('breakfast', 'Upma', 370, ['semolina', 'vegetables']),
+    meal('lunch', 'Rajma chawal', 620, ['kidney beans', 'rice']),
+    meal('lunch', 'Chicken curry', 650, ['chicken', 'rice']),
+    meal('lunch', 'Dal tadka', 560, ['lentils', 'rice']),
+    meal('lunch', 'Chole', 600, ['chickpeas', 'rice']),
+    meal('lunch', 'Veg biryani', 640, ['rice', 'vegetables']),
+    meal('dinner', 'Palak paneer', 580, ['spinach', 'paneer']),
+    meal('dinner', 'Egg curry', 560, ['egg', 'onion']),
+    meal('dinner', 'Fish curry', 600, ['fish', 'rice']),
+    meal('dinner', 'Mixed veg sabzi', 500, ['vegetables', 'roti']),
+    meal('dinner', 'Moong dal khichdi', 520, ['moong dal', 'rice']),
+    meal('snacks', 'Roasted chana', 200, ['chickpeas']),
+    meal('snacks', 'Peanut chikki', 250, ['peanut', 'jaggery']),
+    meal('snacks', 'Fruit chaat', 180, ['apple', 'banana']),
+    meal('snacks', 'Sprouts salad', 190, ['sprouts'])
+]);
+const dietMeals = db.India.Regular;
+
+const profile = (extra = {}) => normalizeProfile({
+    age: 30, gender: 'male', height: 178, weight: 75, activityLevel: 'moderate', goal: 'maintain',
+    dietType: 'Regular', region: 'India', mealStructure: 'standard', startDate: '2026-10-19', ...extra
+});
+
+const titles = plan => Object.values(plan).flatMap(day => Object.values(day).filter(Boolean).map(getMealTitle));
+
+test('the same seed gives the same plan', () => {
+    const a = generatePlan(db, profile(), { seed: 1234 });
+    const b = generatePlan(db, profile(), { seed: 1234 });
+    assert.equal(a.seed, 1234);
+    assert.deepEqual(a.plan, b.plan);
+    assert.equal(Object.keys(a.plan).length, 7);
+});
+
+test('meals with an allergen or excluded ingredient are never picked', () => {
+    const banned = ['Egg bhurji', 'Egg curry', 'Poha', 'Peanut chikki', 'Fish curry'];
+    // without restrictions the solver does use them
+    assert.ok(titles(generatePlan(db, profile(), { seed: 1 }).plan).some(t => banned.includes(t)));
+    const p = profile({ allergens: ['egg', 'peanuts'], excludedIngredients: 'fish' });
+    for (let seed = 1; seed <= 10; seed++) {
+        const picked = titles(generatePlan(db, p, { seed }).plan);
+        banned.forEach(title => assert.ok(!picked.includes(title), `seed ${seed} picked ${title}`));
+    }
+});
+
+test('the plan has one entry per day of the chosen weeks and the structure\'s slots', () => {
+    const { plan } = generatePlan(db, profile({ planWeeks: 2, mealStructure: 'three_plus_two' }), { seed: 7 });
+    const days = Object.keys(plan);
+    assert.equal(days.length, 14);
+    assert.equal(days[0], '2026-10-19');
+    assert.equal(days[13], '2026-11-01');
+    days.forEach(day => assert.deepEqual(Object.keys(plan[day]),
+        ['breakfast', 'morning_snack', 'lunch', 'afternoon_snack', 'dinner']));
+});
+
+test('locked meals survive a regeneration from another start date', () => {
+    const first = generatePlan(db, profile(), { seed: 3 }).plan;
+    const [day0, , day2] = Object.keys(first);
+    first[day0].breakfast = { ...first[day0].breakfast, locked: true };
+    first[day2].dinner = { ...first[day2].dinner, locked: true };
+
+    const next = generatePlan(db, profile({ startDate: '2026-10-26' }), { seed: 99, previousPlan: first }).plan;
+    const [newDay0, , newDay2] = Object.keys(next);
+    assert.equal(newDay0, '2026-10-26');
+    assert.deepEqual(next[newDay0].breakfast, first[day0].breakfast);
+    assert.deepEqual(next[newDay2].dinner, first[day2].dinner);
+});
+
+test('a locked meal that now hits an exclusion is dropped', () => {
+    const first = generatePlan(db, profile({ excludedIngredients: 'oats, semolina, idli, rice' }), { seed: 5 }).plan;
+    const day0 = Object.keys(first)[0];
+    assert.equal(getMealTitle(first[day0].breakfast), 'Egg bhurji');
+    first[day0].breakfast = { ...first[day0].breakfast, locked: true };
+    const next = generatePlan(db, profile({ allergens: ['egg'] }), { seed: 5, previousPlan: first }).plan;
+    assert.notEqual(getMealTitle(next[day0].breakfast), 'Egg bhurji');
+});
+
+test('only generated placeholders are replaced, whatever a real meal is called', () => {
+    const real = { ...dietMeals.lunch[0], id: 'healthy_bowl', title: 'Healthy quinoa bowl' };
+    const plan = { '2026-10-19': { breakfast: createDefaultMeal('breakfast', 400), lunch: real } };
+    replacePlaceholderMeals(plan, dietMeals, profile());
+    const { breakfast, lunch } = plan['2026-10-19'];
+    assert.equal(lunch, real);
+    assert.ok(!breakfast._isFallback);
+    assert.ok(dietMeals.breakfast.some(m => getMealId(m) === getMealId(breakfast)));
+});
+
+test('swap alternatives skip the day\'s meals and excluded meals, closest to the slot target first', () => {
+    const p = profile({ allergens: ['egg'] });
+    const { plan } = generatePlan(db, p, { seed: 11 });
+    const day = Object.keys(plan)[0];
+    const options = getSwapAlternatives(dietMeals, plan, day, 'dinner', p);
+    const sameDay = Object.values(plan[day]).map(getMealId);
+    assert.ok(options.length > 0 && options.length <= SWAP_MAX_OPTIONS);
+    options.forEach(m => {
+        assert.ok(!sameDay.includes(getMealId(m)));
+        assert.notEqual(getMealTitle(m), 'Egg curry');
+    });
+    const target = Math.round(p.targetCalories * 0.35);
+    const gaps = options.map(m => Math.abs(m.calories - target));
+    assert.deepEqual(gaps, gaps.slice().sort((a, b) => a - b));
+});
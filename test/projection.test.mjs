@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { projectWeight, normalizeProjectionWeeks, calculateEnergyTarget, MAX_ADAPTATION } from '../core/index.mjs';
+
+const profile = { age: 30, gender: 'male', height: 178, weight: 75, activityLevel: 'moderate', goal: 'maintain' };
+
+test('the horizon is kept within the chart options', () => {
+    assert.equal(normalizeProjectionWeeks(100), 24);
+    assert.equal(normalizeProjectionWeeks(1), 4);
+    assert.equal(normalizeProjectionWeeks(undefined), 12);
+});
+
+test('eating at maintenance keeps the weight', () => {
+    const p = projectWeight(profile, calculateEnergyTarget(profile).tdee, 8);
+    assert.equal(p.points.length, 9);
+    assert.ok(Math.abs(p.change) <= 0.1);
+});
+
+test('a deficit loses weight, more slowly as maintenance adapts', () => {
+    const p = projectWeight(profile, 1800, 24);
+    const loss = i => p.points[i].weight - p.points[i + 1].weight;
+    assert.equal(p.startWeight, 75);
+    assert.ok(p.change < -5);
+    assert.ok(loss(0) > loss(22));
+    assert.equal(p.points[24].adaptation, MAX_ADAPTATION * 100);
+});
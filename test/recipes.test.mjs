@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateRecipe, parseRecipeFoods, recipesToJSON, parseRecipeLibrary, mergeRecipeLists, mergeCustomRecipes,
+    normalizeMealsDatabase, normalizeProfile, generatePlan, getMealTitle, CUSTOM_RECIPE_TAG
+} from '../core/index.mjs';
+
+const recipe = extra => validateRecipe({
+    region: 'India', diets: ['Vegetarian'], calories: '420', protein: 15, carbs: 60, fat: 12, fiber: 8, ...extra
+}, { id: extra.id }).recipe;
+
+const meal = (mealType, title, calories) => ({
+    region: 'India', diets: ['Vegetarian'], mealType, title, calories,
+    protein: Math.round(calories * 0.2 / 4), carbs: Math.round(calories * 0.5 / 4), fat: Math.round(calories * 0.3 / 9), fiber: 5
+});
+const db = normalizeMealsDatabase([
+    meal('breakfast', 'Poha', 350),
+    meal('lunch', 'Chole', 600),
+    meal('dinner', 'Palak paneer', 580),
+    meal('snacks', 'Fruit chaat', 180)
+]);
+
+test('recipes are checked with the meals.json rules', () => {
+    const { recipe: ok, errors } = validateRecipe({
+        title: '  Masala oats ', region: 'india', diets: ['Low Carb', 'Paleo'], calories: '380 kcal', protein: 14, carbs: 40, fat: 10, fiber: 7,
+        foods: '60 g rolled oats\n1 onion'
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(ok.title, 'Masala oats');
+    assert.equal(ok.region, 'India');
+    assert.deepEqual(ok.diets, ['Low_Carb', 'Regular']);
+    assert.equal(ok.mealType, 'breakfast');
+    assert.equal(ok.calories, 380);
+    assert.deepEqual(ok.foods, parseRecipeFoods('60 g rolled oats\n1 onion'));
+    assert.ok(ok.tags.includes(CUSTOM_RECIPE_TAG));
+
+    const bad = validateRecipe({ region: 'Atlantis', diets: ['Vegan'], title: 'Egg curry', calories: 0, protein: 'lots', carbs: 1, fat: 1, fiber: 1 });
+    assert.equal(bad.recipe, null);
+    assert.ok(bad.errors.some(e => e.startsWith('Region must be one of')));
+    assert.ok(bad.errors.includes('protein must be a number'));
+    assert.ok(bad.errors.includes('calories must be more than 0'));
+    assert.ok(bad.errors.includes('Not Vegan: contains egg'));
+});
+
+test('a library file round-trips and reports the recipes it leaves out', () => {
+    const oats = recipe({ id: 'r1', title: 'Healthy oats', mealType: 'breakfast' });
+    const { recipes, errors } = parseRecipeLibrary(recipesToJSON([oats]));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(recipes, [oats]);
+
+    const mixed = parseRecipeLibrary([{ ...oats, id: 'r2' }, { title: 'Nothing', region: 'India' }]);
+    assert.equal(mixed.recipes.length, 1);
+    assert.match(mixed.errors[0], /^Recipe 2 \("Nothing"\): /);
+    assert.deepEqual(parseRecipeLibrary('{').errors, ['Not valid JSON']);
+    assert.deepEqual(mergeRecipeLists([oats], [{ ...oats, title: 'Overnight oats' }]).map(r => r.title), ['Overnight oats']);
+});
+
+test('merging recipes leaves the loaded database untouched', () => {
+    const before = JSON.stringify(db);
+    const merged = mergeCustomRecipes(db, [recipe({ id: 'r1', title: 'Healthy oats', mealType: 'breakfast' })]);
+    assert.equal(JSON.stringify(db), before);
+    assert.deepEqual(merged.India.Vegetarian.breakfast.map(getMealTitle), ['Poha', 'Healthy oats']);
+});
+
+test('custom recipes with everyday titles stay in the generated plan', () => {
+    const merged = mergeCustomRecipes(db, [
+        recipe({ id: 'r1', title: 'Healthy oats', mealType: 'breakfast' }),
+        recipe({ id: 'r2', title: 'Mixed dal', mealType: 'lunch', calories: 600 })
+    ]);
+    const profile = normalizeProfile({
+        age: 30, gender: 'female', height: 165, weight: 60, activityLevel: 'moderate', goal: 'maintain',
+        dietType: 'Vegetarian', region: 'India', mealStructure: 'standard', startDate: '2026-10-19'
+    });
+    const { plan } = generatePlan(merged, profile, { seed: 7 });
+    const titles = Object.values(plan).flatMap(day => Object.values(day).filter(Boolean).map(getMealTitle));
+    assert.ok(titles.includes('Healthy oats'), titles.join(', '));
+    assert.ok(titles.includes('Mixed dal'), titles.join(', '));
+});
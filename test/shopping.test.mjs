@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildShoppingList, getAisle, parseFoodQuantity, shoppingListToCSV, scaleMeal } from '../core/index.mjs';
+
+test('aisle keywords match whole words, plurals included', () => {
+    assert.equal(getAisle('eggs'), 'Dairy & Eggs');
+    assert.equal(getAisle('eggplant'), 'Produce');
+    assert.equal(getAisle('watermelon'), 'Produce');
+    assert.equal(getAisle('tomatoes'), 'Produce');
+    assert.equal(getAisle('rolled oats'), 'Grains & Pasta');
+    assert.equal(getAisle('peanut butter'), 'Pantry');
+    assert.equal(getAisle('nutmeg'), 'Other');
+});
+
+test('food quantities are read from text and from fields', () => {
+    assert.deepEqual(parseFoodQuantity('2 eggs'), { name: 'eggs', quantity: 2, unit: 'pcs' });
+    assert.deepEqual(parseFoodQuantity('1/2 cup rice'), { name: 'rice', quantity: 0.5, unit: 'cup' });
+    assert.deepEqual(parseFoodQuantity({ name: 'Paneer', grams: 100 }), { name: 'Paneer', quantity: 100, unit: 'g' });
+    assert.deepEqual(parseFoodQuantity('salt'), { name: 'salt', quantity: null, unit: null });
+});
+
+test('the list sums the same item across the week, scaled by portion', () => {
+    const oats = { title: 'Oats', calories: 300, foods: [{ name: 'rolled oats', grams: 50 }, 'milk'] };
+    const plan = {
+        '2026-10-19': { breakfast: oats },
+        '2026-10-20': { breakfast: scaleMeal(oats, 2) }
+    };
+    const list = buildShoppingList(plan);
+    const grains = list.categories.find(c => c.name === 'Grains & Pasta');
+    assert.deepEqual(grains.items[0], { name: 'rolled oats', quantity: 150, unit: 'g', display: '150 g', meals: 2 });
+    const dairy = list.categories.find(c => c.name === 'Dairy & Eggs');
+    assert.equal(dairy.items[0].display, 'for 2 meals');
+    assert.equal(list.itemCount, 2);
+    assert.match(shoppingListToCSV(list), /"Grains & Pasta","rolled oats",150,"g","150 g",2/);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MEAL_STRUCTURES, findMealSlot, getPlanSlots, choosePortionScale, scaleMeal, PORTION_MIN, PORTION_MAX } from '../core/index.mjs';
+
+test('slot shares of every structure add up to 1', () => {
+    Object.entries(MEAL_STRUCTURES).forEach(([key, structure]) => {
+        const total = structure.slots.reduce((sum, s) => sum + s.share, 0);
+        assert.ok(Math.abs(total - 1) < 1e-9, `${key} shares sum to ${total}`);
+    });
+});
+
+test('slot keys from another structure or an older plan still resolve', () => {
+    const profile = { mealStructure: 'fasting_16_8' };
+    assert.equal(findMealSlot('morning_snack', profile).bucket, 'snacks');
+    assert.deepEqual(findMealSlot('brunch', profile), { key: 'brunch', bucket: 'brunch', label: 'brunch', share: 0.25 });
+    const slots = getPlanSlots({ '2026-10-19': { lunch: {}, breakfast: {} } }, profile).map(s => s.key);
+    assert.deepEqual(slots, ['lunch', 'snacks', 'dinner', 'breakfast']);
+});
+
+test('portions step by a quarter within the allowed range', () => {
+    assert.equal(choosePortionScale({ calories: 400 }, 500), 1.25);
+    assert.equal(choosePortionScale({ calories: 100 }, 1000), PORTION_MAX);
+    assert.equal(choosePortionScale({ calories: 1000 }, 100), PORTION_MIN);
+    assert.equal(choosePortionScale({ calories: 0 }, 500), 1);
+});
+
+test('re-scaling works from the unscaled values', () => {
+    const meal = { title: 'Eggs', serving_size: '2 eggs', calories: 150, protein: 12, carbs: 1, fat: 10, fiber: 0 };
+    const once = scaleMeal(meal, 1.5);
+    assert.equal(once.serving_size, '3 eggs');
+    assert.equal(once.calories, 225);
+    const twice = scaleMeal(once, 0.5);
+    assert.equal(twice.serving_size, '1 eggs');
+    assert.equal(twice.calories, 75);
+    assert.equal(twice.protein, 6);
+});
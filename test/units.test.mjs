@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    feetInchesToCm, cmToFeetInches, lbToKg, formatHeight, formatWeight, formatMass, localizeServing,
+    normalizeProfile, validateProfileInput, buildShoppingList, G_PER_OZ, G_PER_LB
+} from '../core/index.mjs';
+
+test('height and weight convert both ways', () => {
+    assert.equal(Math.round(feetInchesToCm(5, 10) * 10) / 10, 177.8);
+    assert.deepEqual(cmToFeetInches(177.8), { feet: 5, inches: 10 });
+    assert.equal(formatHeight(177.8, 'imperial'), '5 ft 10 in');
+    assert.equal(formatWeight(lbToKg(165), 'imperial'), '165 lb');
+    assert.equal(formatWeight(75, 'metric'), '75 kg');
+});
+
+test('masses switch to larger units past a pound or a kilo', () => {
+    assert.equal(formatMass(G_PER_OZ * 4, 'imperial'), '4 oz');
+    assert.equal(formatMass(G_PER_LB * 1.5, 'imperial'), '1.5 lb');
+    assert.equal(formatMass(1500, 'metric'), '1.5 kg');
+});
+
+test('servings are only rewritten when their unit belongs to the other system', () => {
+    assert.equal(localizeServing('150 g chicken', 'imperial'), '5.3 oz chicken');
+    assert.equal(localizeServing('8 oz steak', 'metric'), '227 g steak');
+    assert.equal(localizeServing('1 lb potatoes', 'metric'), '454 g potatoes');
+    assert.equal(localizeServing('1 cup rice', 'imperial'), '1 cup rice');
+    assert.equal(localizeServing('8 oz steak', 'imperial'), '8 oz steak');
+});
+
+test('an imperial profile is stored in metric', () => {
+    const values = { unitSystem: 'imperial', age: 30, gender: 'female', heightFt: 5, heightIn: 6, weight: 140,
+        goal: 'maintain', dietType: 'Regular', region: 'USA', activityLevel: 'moderate' };
+    assert.deepEqual(validateProfileInput(values), {});
+    const profile = normalizeProfile(values);
+    assert.equal(profile.height, 167.6);
+    assert.equal(profile.weight, 63.5);
+    assert.equal(profile.unitSystem, 'imperial');
+    assert.ok(validateProfileInput({ ...values, heightIn: 12 }).heightIn);
+});
+
+test('shopping quantities in pounds and grams add up', () => {
+    const plan = { '2026-10-19': {
+        lunch: { title: 'Roast', foods: [{ name: 'potatoes', quantity: 1, unit: 'lb' }] },
+        dinner: { title: 'Mash', foods: [{ name: 'potatoes', grams: 200 }] }
+    } };
+    const [item] = buildShoppingList(plan).categories[0].items;
+    assert.equal(item.quantity, Math.round((G_PER_LB + 200) * 100) / 100);
+    assert.equal(item.display, '654 g');
+    const [imperialItem] = buildShoppingList(plan, { unitSystem: 'imperial' }).categories[0].items;
+    assert.equal(imperialItem.unit, 'oz');
+    assert.equal(imperialItem.display, '1.44 lb');
+});
@@ -0,0 +1,62 @@
+/**
+ * Meal field tables shared by tools/validate_and_fix_meals.js and
+ * scripts/validate_and_fix_meals.js, so both validators write the same fields.
+ */
+
+// Diets that describe a medical condition rather than a way of eating. Their
+// meals go to the mapped diet but keep the original diet in `diets` and the
+// condition in `conditions`; mirrors CONDITION_DATASET_DIETS in core/conditions.mjs
+const CONDITION_DIETS = {
+    'Diabetic_Friendly': 'diabetes',
+    'PCOS_Friendly': 'pcos',
+    'Senior_Friendly': 'senior'
+};
+
+// Optional micronutrients: canonical key -> accepted source names. Kept only
+// when the source meal reports them (flat or under `nutrients`/`micronutrients`);
+// mirrors MICRONUTRIENTS in core/nutrients.mjs
+const MICRONUTRIENT_FIELDS = {
+    sugar: ['sugar', 'sugars', 'total_sugar', 'added_sugar'],
+    saturated_fat: ['saturated_fat', 'saturatedFat', 'sat_fat', 'saturated'],
+    cholesterol: ['cholesterol', 'chol'],
+    sodium: ['sodium', 'na', 'sodium_mg'],
+    potassium: ['potassium', 'k', 'potassium_mg'],
+    calcium: ['calcium', 'ca', 'calcium_mg'],
+    iron: ['iron', 'fe', 'iron_mg'],
+    vitamin_a: ['vitamin_a', 'vitaminA', 'vit_a'],
+    vitamin_c: ['vitamin_c', 'vitaminC', 'vit_c'],
+    vitamin_d: ['vitamin_d', 'vitaminD', 'vit_d']
+};
+
+// Record the condition diet a meal came from once it is filed under a canonical diet
+function preserveConditionDiet(meal, originalDiet) {
+    const condition = CONDITION_DIETS[originalDiet];
+    if (!condition) return;
+    if (!meal.diets.includes(originalDiet)) meal.diets.push(originalDiet);
+    meal.conditions = [...new Set([...(meal.conditions || []), condition])];
+}
+
+// "120 mg" -> 120; null when there is no number to read
+function parseNutrientValue(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const parsed = parseFloat(String(value).replace(/[^\d.-]+/g, ''));
+    return isNaN(parsed) ? null : parsed;
+}
+
+// Copy reported micronutrients onto the normalized meal. A value that isn't a
+// number is left out (an unknown amount is not 0) and passed to onUnparseable.
+function addMicronutrients(normalized, meal, onUnparseable = () => {}) {
+    const sources = [meal, meal.nutrients, meal.micronutrients].filter(s => s && typeof s === 'object');
+    Object.entries(MICRONUTRIENT_FIELDS).forEach(([key, names]) => {
+        for (const source of sources) {
+            const name = names.find(n => source[n] !== undefined && source[n] !== null && source[n] !== '' && typeof source[n] !== 'object');
+            if (!name) continue;
+            const value = parseNutrientValue(source[name]);
+            if (value === null) onUnparseable(key, source[name]);
+            else normalized[key] = value;
+            return;
+        }
+    });
+}
+
+module.exports = { CONDITION_DIETS, MICRONUTRIENT_FIELDS, preserveConditionDiet, parseNutrientValue, addMicronutrients };
@@ -8,8 +8,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { MICRONUTRIENT_FIELDS, preserveConditionDiet, addMicronutrients } = require('./meal_fields');
 
-// Canonical constraints
+// Canonical constraints; the region, diet and violation tables are mirrored in
+// core/recipes.mjs, which checks recipes added in the page
 const CANONICAL_REGIONS = [
     'India', 'USA', 'Europe', 'Middle_Eastern', 'Latin_American',
     'Nordic', 'East_Asian', 'African', 'Australian'
@@ -219,6 +221,11 @@ class MealValidator {
             region: regionKey
         };
 
+        addMicronutrients(normalized, meal, (field, value) => this.stats.unparseableNutrients.push({ id: uniqueId, field, value }));
+        if (Array.isArray(meal.conditions)) normalized.conditions = meal.conditions.map(String);
+        if ((meal.glycemic_index ?? meal.gi) !== undefined) normalized.glycemic_index = this.parseNumeric(meal.glycemic_index ?? meal.gi, 'glycemic_index', uniqueId);
+        if ((meal.glycemic_load ?? meal.gl) !== undefined) normalized.glycemic_load = this.parseNumeric(meal.glycemic_load ?? meal.gl, 'glycemic_load', uniqueId);
+
         if (meal.serving_size) normalized.serving_size = String(meal.serving_size);
         if (meal.foods) normalized.foods = meal.foods;
         if (meal.ingredients) normalized.ingredients = String(meal.ingredients);
@@ -293,6 +300,7 @@ class MealValidator {
                     const flattened = this.flattenOptions(meal, regionKey, dietKey, mealTypeHint);
 
                     for (const normalizedMeal of flattened) {
+                        preserveConditionDiet(normalizedMeal, origDiet);
                         const violations = this.checkDietViolations(normalizedMeal, dietKey);
                         if (violations.length > 0) {
                             let targetDiet = dietKey;
@@ -379,7 +387,7 @@ class MealValidator {
         if (this.stats.unparseableNutrients.length > 0) {
             console.log(`\n⚠️  UNPARSEABLE NUTRIENTS (${this.stats.unparseableNutrients.length}):`);
             this.stats.unparseableNutrients.slice(0, 3).forEach(n => {
-                console.log(`   ID ${n.id}: ${n.field} = "${n.value}" -> set to 0`);
+                console.log(`   ID ${n.id}: ${n.field} = "${n.value}" -> ${MICRONUTRIENT_FIELDS[n.field] ? 'left out' : 'set to 0'}`);
             });
         }
 